@@ -6,56 +6,238 @@ const packageJson = require("../package.json");
 
 // Import your create command
 const { createApp } = require("../src/commands/create");
+const { listTemplates } = require("../src/utils/templateManifest");
+const { PACKAGE_MANAGERS } = require("../src/utils/packageManager");
+const { resolveConfig, printConfig } = require("../src/utils/config");
+const { setCommandTrace } = require("../src/utils/runner");
+
+/**
+ * Options given on the command line, leaving out commander's defaults so
+ * config files and presets can fill them in
+ * @param {Object} command - Commander command
+ * @returns {Object} - Explicit options
+ */
+function getExplicitOptions(command) {
+  const options = command.opts();
+  return Object.fromEntries(
+    Object.keys(options)
+      .filter((key) => command.getOptionValueSource(key) !== "default")
+      .map((key) => [key, options[key]])
+  );
+}
 
 // Set up the program
 program
   .name("create-titas-app")
   .description("Create a new Titas app with your preferred tech stack")
   .version(packageJson.version)
-  .argument("<project-name>", "name of the project")
-  .option("--portfolio", "create a portfolio template")
-  .option("--ecom", "create an e-commerce template")
-  .option("--dashboard", "create a dashboard template")
-  .option("--webapp", "create a web app template")
+  .argument(
+    "<project-name>",
+    "name of the project (. for the current directory)"
+  );
+
+// Register one flag per template manifest
+for (const template of listTemplates()) {
+  program.option(
+    `--${template.name}`,
+    `use the ${template.name} template (${template.description})`
+  );
+}
+
+// Register one flag per supported package manager
+for (const name of Object.keys(PACKAGE_MANAGERS)) {
+  program.option(`--use-${name}`, `install dependencies with ${name}`);
+}
+
+program
+  .option(
+    "--template <source>",
+    "template name, local path, file:<tarball>, github:<org>/<repo>#<branch>/<dir> or npm:<package>"
+  )
   .option("--typescript", "use TypeScript")
   .option("--tailwind", "include Tailwind CSS")
+  .option(
+    "--tailwind-version <version>",
+    "Tailwind CSS config style to generate (3 or 4)",
+    "3"
+  )
+  .option(
+    "--preset <name>",
+    "apply a preset from ~/.titasrc or titas.config.js"
+  )
+  .option("-y, --yes", "accept the default answer for every prompt")
+  .option(
+    "--answers <file>",
+    "JSON file with answers for prompts, including template prompts"
+  )
+  .option(
+    "--env-file <file>",
+    "dotenv file with values for the template's environment variables"
+  )
+  .option(
+    "--force",
+    "scaffold into a non-empty directory, overwriting conflicting files (package.json is merged)"
+  )
+  .option(
+    "--workspace",
+    "add the app to the pnpm/npm/yarn workspace it is created in"
+  )
+  .option(
+    "--ui-package",
+    "with --workspace, move the UI components into a shared packages/ui"
+  )
   .option("--no-git", "skip Git initialization")
+  .option("--branch <name>", "name of the initial Git branch", "main")
+  .option(
+    "--commit-message <message>",
+    "message of the initial commit",
+    "Initial commit from create-titas-app"
+  )
+  .option("--develop", "also create a develop branch and switch to it")
+  .option("--remote <url>", "add this repository as the origin remote")
+  .option("--push", "with --remote, push the initial commit")
+  .option(
+    "--hooks",
+    "add Git hooks: lint-staged on commit, commitlint on commit messages, type check on push"
+  )
+  .option(
+    "--template-hooks",
+    "run the post-create commands of a template that is not built in"
+  )
   .option("--no-install", "skip dependency installation")
+  .option("--offline", "install only from the package manager cache")
+  .option("--prefer-offline", "use cached packages when available")
+  .option("--registry <url>", "install packages from this npm registry")
+  .option(
+    "--frozen-lockfile",
+    "fail instead of updating the lockfile (npm ci for npm)"
+  )
   .option("--verbose", "show detailed output for debugging")
-  .action(async (projectName, options) => {
+  .option(
+    "--dry-run",
+    "show the files, variables, package.json and commands without writing anything"
+  )
+  .option("--json", "print the --dry-run plan as JSON")
+  .action(async (projectName, options, command) => {
     try {
-      console.log(
-        chalk.cyan(`\n🚀 Creating ${projectName} with create-titas-app...\n`)
-      );
-      await createApp(projectName, options);
+      if (options.json) {
+        // Keep stdout for the JSON plan; progress messages go to stderr
+        console.log = console.error;
+      } else {
+        console.log(
+          chalk.cyan(`\n🚀 Creating ${projectName} with create-titas-app...\n`)
+        );
+      }
+      await createApp(projectName, getExplicitOptions(command));
     } catch (error) {
       console.error(chalk.red("\n❌ Error creating app:"), error.message);
       if (process.env.DEBUG) {
         console.error(error.stack);
       }
-      process.exit(1);
+      process.exit(error.code === "CANCELLED" ? 130 : 1);
     }
   });
 
+// --verbose (or DEBUG) traces the git and package manager commands that
+// subcommands run; the create command traces its own around the spinner
+program.hook("preAction", (thisCommand, actionCommand) => {
+  if (
+    actionCommand !== program &&
+    (program.opts().verbose || process.env.DEBUG)
+  ) {
+    setCommandTrace((line) => console.error(chalk.gray(line)));
+  }
+});
+
 // Add additional commands if needed
 program
   .command("info")
-  .description("Display environment information")
+  .description(
+    "Display environment information and the effective configuration"
+  )
   .action(() => {
     console.log(chalk.blue("Environment Information:"));
     console.log(`Node.js version: ${process.version}`);
     console.log(`Platform: ${process.platform}`);
     console.log(`Architecture: ${process.arch}`);
     console.log(`create-titas-app version: ${packageJson.version}`);
+
+    try {
+      printConfig(resolveConfig(getExplicitOptions(program)));
+    } catch (error) {
+      console.error(chalk.red("\n❌ Invalid configuration:"), error.message);
+      process.exit(1);
+    }
   });
 
 // Add environment check command
 program
   .command("doctor")
   .description("Check system requirements and diagnose issues")
-  .action(async () => {
-    const { checkEnvironment } = require("../src/commands/create");
-    await checkEnvironment();
+  .option("--json", "print the results as JSON")
+  .option("--fix", "apply safe fixes, such as setting the Git identity")
+  .option(
+    "--project",
+    "also audit the generated project for misconfiguration (env files, middleware, aliases, dependencies)"
+  )
+  .option("--cwd <dir>", "project directory (defaults to the current one)")
+  .action(async (options) => {
+    try {
+      const { doctorCommand } = require("../src/commands/doctor");
+      // --json is also a root option, which commander gives to the program
+      await doctorCommand({
+        ...options,
+        json: options.json || program.opts().json,
+      });
+    } catch (error) {
+      console.error(chalk.red("\n❌ Error running doctor:"), error.message);
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Add registry components to an existing project
+program
+  .command("add <component...>")
+  .description("Add UI components from the bundled registry to a project")
+  .option("--cwd <dir>", "project directory (defaults to the current one)")
+  .option("--overwrite", "replace component files that already exist")
+  .action(async (components, options) => {
+    try {
+      const { addCommand } = require("../src/commands/add");
+      await addCommand(components, options);
+    } catch (error) {
+      console.error(chalk.red("\n❌ Error adding components:"), error.message);
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Re-apply a newer template version to a generated project
+program
+  .command("upgrade")
+  .description("Merge changes from a newer template version into a project")
+  .option("--cwd <dir>", "project directory (defaults to the current one)")
+  .option(
+    "--to <source>",
+    "template source to upgrade to (defaults to the one in .titasrc.json)"
+  )
+  .option("--diff", "preview the changes as a diff without writing anything")
+  .action(async (options) => {
+    try {
+      const { upgradeCommand } = require("../src/commands/upgrade");
+      await upgradeCommand(options);
+    } catch (error) {
+      console.error(chalk.red("\n❌ Error upgrading project:"), error.message);
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
   });
 
 // Handle unknown commands
@@ -0,0 +1,58 @@
+const path = require("path");
+const chalk = require("chalk");
+
+const { addComponents } = require("../utils/componentRegistry");
+const {
+  detectProjectPackageManager,
+  getInstallCommand,
+} = require("../utils/packageManager");
+
+/**
+ * Add registry components to an existing project
+ * @param {Array<string>} components - Component names
+ * @param {Object} options - CLI options
+ * @param {string} options.cwd - Project directory
+ * @param {boolean} options.overwrite - Replace files that already exist
+ */
+async function addCommand(components, options = {}) {
+  const projectPath = path.resolve(options.cwd || process.cwd());
+
+  console.log(
+    chalk.cyan(`\n🧩 Adding ${components.join(", ")} to ${projectPath}...\n`)
+  );
+
+  const result = await addComponents(projectPath, components, {
+    overwrite: options.overwrite,
+  });
+
+  if (result.skipped.length > 0) {
+    console.log(
+      chalk.yellow(
+        `\n⚠️ Skipped ${result.skipped.length} existing file(s); use --overwrite to replace them`
+      )
+    );
+  }
+
+  const dependencies = Object.keys(result.dependencies);
+  if (dependencies.length > 0) {
+    const packageManager = detectProjectPackageManager(projectPath, options);
+    console.log(
+      chalk.blue(`\n📦 Added to package.json: ${dependencies.join(", ")}`)
+    );
+    console.log(
+      `\nRun ${chalk.cyan(
+        getInstallCommand(packageManager)
+      )} to install the new dependencies.`
+    );
+  }
+
+  console.log(
+    chalk.green(
+      `\n✅ Added ${result.added.length} file(s) for ${result.components.join(
+        ", "
+      )}\n`
+    )
+  );
+}
+
+module.exports = { addCommand };
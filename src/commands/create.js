@@ -2,9 +2,7 @@ const fs = require("fs-extra");
 const path = require("path");
 const chalk = require("chalk");
 const ora = require("ora");
-const inquirer = require("inquirer");
 const validateProjectName = require("validate-npm-package-name");
-const { spawn, exec } = require("child_process");
 
 // Import your utilities
 const {
@@ -13,251 +11,1052 @@ const {
   copyFiles,
   processTemplateFiles,
   writeJsonFile,
+  toPosixPath,
+  removeEmptyDirectories,
+  listFiles,
 } = require("../utils/fileUtils");
 
 const {
   initializeGit,
   isGitAvailable,
+  findGitRoot,
   checkGitConfig,
+  createGitignore,
+  resolveRemoteUrl,
+  addRemote,
+  pushToRemote,
+  createBranch,
 } = require("../utils/gitUtils");
 
+const { convertToJavaScript } = require("../utils/typescriptUtils");
+const {
+  getTailwindVariables,
+  withTailwindComponents,
+  configureComponentsJson,
+} = require("../utils/tailwindUtils");
+const { mergePackageJson } = require("../utils/packageJsonUtils");
+const { createProjectPlan, printProjectPlan } = require("../utils/projectPlan");
+
+const { fetchTemplate } = require("../utils/templateSource");
+const { copyComponents } = require("../utils/componentRegistry");
+const { resolveConfig } = require("../utils/config");
+const { runChecks, printChecks } = require("./doctor");
+const {
+  getBlockingFiles,
+  copyIntoDirectory,
+  listNewPaths,
+  removeNewPaths,
+} = require("../utils/directoryMerge");
+const {
+  createJournal,
+  createStaging,
+  watchSignals,
+} = require("../utils/staging");
+const { findWorkspaceRoot, addToWorkspace } = require("../utils/workspace");
+const {
+  ENV_LOCAL_FILE,
+  ENV_MODULE_FILE,
+  readEnvFile,
+  collectEnvValues,
+  writeEnvLocal,
+  generateEnvModule,
+} = require("../utils/envFile");
+const {
+  PROJECT_CONFIG_FILE,
+  createProjectConfig,
+  writeProjectConfig,
+} = require("../utils/projectConfig");
+const { ask, loadAnswers, isNonInteractive } = require("../utils/prompts");
+const {
+  consoleLogger,
+  silentLogger,
+  createLogger,
+} = require("../utils/logger");
+const {
+  ScaffoldError,
+  InvalidProjectNameError,
+  DirectoryNotEmptyError,
+  TemplateError,
+  CancelledError,
+} = require("../utils/errors");
+const {
+  getInstallArgs,
+  resolveInstallOptions,
+  installDependencies,
+} = require("../utils/installer");
+const { runCommand, setCommandTrace } = require("../utils/runner");
+const {
+  getGitHookFiles,
+  writeGitHooks,
+  activateGitHooks,
+} = require("../utils/gitHooks");
+const {
+  LOCKFILES,
+  detectPackageManager,
+  getInstallCommand,
+  getRunCommand,
+  getExecCommand,
+} = require("../utils/packageManager");
+
+const {
+  MANIFEST_FILE,
+  TEMPLATES_DIR,
+  listTemplates,
+  getOptionKey,
+  createFileFilter,
+  getEnvSchema,
+  getTemplateGitignore,
+  applyRenames,
+} = require("../utils/templateManifest");
+
 /**
- * Check system requirements and environment
+ * Template files that are never copied into a project
  */
-async function checkEnvironment() {
-  const { execSync } = require("child_process");
+const SKIPPED_TEMPLATE_FILES = [
+  ...LOCKFILES,
+  "node_modules",
+  ".git",
+  MANIFEST_FILE,
+];
+
+const GIT_COMMIT_MESSAGE = "Initial commit from create-titas-app";
+
+/**
+ * How long each of a template's post-create hooks may run
+ */
+const HOOK_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Branch created next to the initial one with --develop
+ */
+const DEVELOP_BRANCH = "develop";
+
+/**
+ * Name given to the --remote repository
+ */
+const REMOTE_NAME = "origin";
 
+/**
+ * Check system requirements and environment, leaving out the network checks
+ * of `doctor`
+ */
+async function checkEnvironment() {
   console.log(chalk.blue("🔍 Checking environment..."));
+  printChecks(await runChecks({ network: false }));
+  console.log();
+}
+
+/**
+ * Main function to create a new Titas app
+ * @param {string} projectName - Name of the project
+ * @param {Object} cliOptions - Options given explicitly on the command line
+ */
+async function createApp(projectName, cliOptions) {
+  // Layer ~/.titasrc, titas.config.js and --preset under the CLI flags
+  const config = resolveConfig(cliOptions, { cwd: process.cwd() });
+  const options = {
+    ...config.options,
+    dependencies: config.dependencies,
+    devDependencies: config.devDependencies,
+    packageJson: config.packageJson,
+  };
+
+  // Add environment check for debugging
+  if (process.env.DEBUG || options.verbose) {
+    await checkEnvironment();
+  }
 
+  const spinner = ora();
+  const logger = {
+    ...consoleLogger,
+    step: (text) => {
+      if (spinner.isSpinning) {
+        spinner.text = text;
+      } else {
+        spinner.start(text);
+      }
+    },
+    pause: () => {
+      if (spinner.isSpinning) {
+        spinner.stop();
+      }
+    },
+    warn: (message) => {
+      if (spinner.isSpinning) {
+        spinner.warn(chalk.yellow(message));
+      } else {
+        consoleLogger.warn(message);
+      }
+    },
+  };
+
+  // Trace every git and package manager command, printed above the spinner
+  const previousTrace =
+    process.env.DEBUG || options.verbose
+      ? setCommandTrace((line) => {
+          const spinning = spinner.isSpinning;
+          if (spinning) spinner.clear();
+          console.error(chalk.gray(line));
+          if (spinning) spinner.render();
+        })
+      : undefined;
+
+  // `.` scaffolds into the current directory and `apps/admin` into a
+  // sub-directory; both are named after the folder. Scoped names are kept.
+  const targetDir = path.resolve(projectName);
+  let result;
   try {
-    // Check Node.js
-    const nodeVersion = process.version;
-    console.log(chalk.green(`✅ Node.js: ${nodeVersion}`));
+    result = await scaffold({
+      name: projectName.startsWith("@")
+        ? projectName
+        : path.basename(targetDir),
+      targetDir,
+      cwd: process.cwd(),
+      options: {
+        ...options,
+        answers: {
+          ...config.answers,
+          ...(options.answers ? await loadAnswers(options.answers) : {}),
+        },
+      },
+      interactive: !isNonInteractive(options),
+      handleSignals: true,
+      logger,
+    });
+  } catch (error) {
+    if (spinner.isSpinning) {
+      spinner.fail("❌ Failed to create app");
+    }
 
-    // Check npm
-    try {
-      const npmVersion = execSync("npm --version", {
-        encoding: "utf8",
-        timeout: 5000,
-      }).trim();
-      console.log(chalk.green(`✅ npm: v${npmVersion}`));
-    } catch (error) {
-      console.log(chalk.red("❌ npm: Not found or not working"));
-      console.log(
-        chalk.yellow("   Please install Node.js from https://nodejs.org/")
+    if (error instanceof InvalidProjectNameError) {
+      console.error(chalk.red(`❌ Invalid project name: ${projectName}`));
+      error.errors.forEach((message) =>
+        console.error(chalk.red(`  - ${message}`))
+      );
+      error.warnings.forEach((warning) =>
+        console.warn(chalk.yellow(`  - ${warning}`))
       );
+      process.exit(1);
     }
 
-    // Check yarn (optional)
-    try {
-      const yarnVersion = execSync("yarn --version", {
-        encoding: "utf8",
-        timeout: 5000,
-      }).trim();
-      console.log(chalk.green(`✅ yarn: v${yarnVersion}`));
-    } catch (error) {
-      console.log(chalk.gray("ℹ️ yarn: Not available (optional)"));
+    if (error instanceof DirectoryNotEmptyError) {
+      console.error(
+        chalk.red(
+          `❌ Directory ${error.directory} already exists and is not empty!`
+        )
+      );
+      console.error(
+        chalk.gray(
+          `  Found: ${error.files.join(", ")}
+  Run interactively to resolve conflicts file by file, or pass --force to overwrite them.`
+        )
+      );
+      process.exit(1);
     }
 
-    // Check Git
-    try {
-      const gitVersion = execSync("git --version", {
-        encoding: "utf8",
-        timeout: 5000,
-      }).trim();
-      console.log(chalk.green(`✅ ${gitVersion}`));
-    } catch (error) {
-      console.log(chalk.yellow("⚠️ Git: Not found (optional for --no-git)"));
+    throw error;
+  } finally {
+    if (previousTrace !== undefined) {
+      setCommandTrace(previousTrace);
     }
+  }
 
+  if (result.dryRun) {
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(result.plan, null, 2)}\n`);
+    } else {
+      printProjectPlan(result.plan);
+    }
+    return result;
+  }
+
+  if (result.install.status === "failed") {
+    console.log(chalk.red(`Error: ${result.install.error}`));
+    console.log();
+    console.log(chalk.blue("💡 You can install dependencies manually:"));
+    // Workspace members are installed from the root
+    console.log(
+      chalk.gray(
+        `  cd ${
+          result.workspace
+            ? path.relative(process.cwd(), result.workspace.root) || "."
+            : projectName
+        }`
+      )
+    );
+    console.log(chalk.gray(`  ${getInstallCommand(result.packageManager)}`));
     console.log();
-  } catch (error) {
-    console.error(chalk.red("Error checking environment:", error.message));
   }
+
+  spinner.succeed(chalk.green("✅ Successfully created your Titas app!"));
+
+  if (result.workspace) {
+    printWorkspaceSummary(result.workspace);
+  }
+
+  if (result.conflicts.length > 0) {
+    console.log(chalk.blue("\nExisting files:"));
+    result.conflicts.forEach(({ path: file, resolution }) =>
+      console.log(`  ${file} ${chalk.gray(`(${resolution})`)}`)
+    );
+  }
+
+  if (result.git.hooks === "pending") {
+    console.log(
+      chalk.gray(
+        `\n🪝 The Git hooks activate on the first ${getInstallCommand(
+          result.packageManager
+        )}`
+      )
+    );
+  }
+
+  // Show next steps
+  showNextSteps(
+    path.relative(process.cwd(), targetDir),
+    options,
+    result.packageManager,
+    result.workspace
+  );
+
+  return result;
 }
 
 /**
- * Main function to create a new Titas app
- * @param {string} projectName - Name of the project
- * @param {Object} options - CLI options from commander
+ * Scaffold a project without any CLI side effects: nothing is read from
+ * `process.cwd()`, the process never exits and output only goes to `logger`.
+ * @param {Object} params - Scaffold parameters
+ * @param {string} params.name - Project (package) name, defaults to the target folder name
+ * @param {string} params.targetDir - Absolute path of the directory to create
+ * @param {string} params.template - Template name or source, as for `--template`
+ * @param {Object} params.options - Same options as the CLI flags, plus `answers`
+ * @param {Object} params.logger - Logger with debug/info/success/warn/error/step (silent by default)
+ * @param {boolean} params.interactive - Prompt for answers missing from `options.answers`
+ * @param {string} params.cwd - Directory relative template paths are resolved against
+ * @param {boolean} params.handleSignals - Stop at the next safe point and clean up on Ctrl-C or SIGTERM; the CLI turns this on
+ * @returns {Promise<Object>} - Result with files, warnings and install/git outcomes
  */
-async function createApp(projectName, options) {
-  // Add environment check for debugging
-  if (process.env.DEBUG || options.verbose) {
-    await checkEnvironment();
+async function scaffold(params = {}) {
+  const {
+    targetDir,
+    options = {},
+    interactive = false,
+    handleSignals = false,
+  } = params;
+  const warnings = [];
+  const baseLogger = createLogger(params.logger);
+  const logger = {
+    ...baseLogger,
+    warn: (message) => {
+      warnings.push(message);
+      baseLogger.warn(message);
+    },
+  };
+
+  if (!targetDir || !path.isAbsolute(targetDir)) {
+    throw new ScaffoldError("targetDir must be an absolute path", {
+      code: "INVALID_TARGET_DIR",
+    });
   }
 
+  const projectPath = path.normalize(targetDir);
+  const projectName = params.name || path.basename(projectPath);
+  const cwd = params.cwd || path.dirname(projectPath);
+
   // Validate project name
   const validation = validateProjectName(projectName);
   if (!validation.validForNewPackages) {
-    console.error(chalk.red(`❌ Invalid project name: ${projectName}`));
-    if (validation.errors) {
-      validation.errors.forEach((error) =>
-        console.error(chalk.red(`  - ${error}`))
+    throw new InvalidProjectNameError(projectName, validation);
+  }
+
+  // --workspace: the app joins the workspace found above the target and
+  // uses its package manager
+  let workspace = null;
+  if (options.workspace) {
+    workspace = await findWorkspaceRoot(path.dirname(projectPath));
+    if (!workspace) {
+      throw new ScaffoldError(
+        `No workspace found above ${projectPath}. Add "workspaces" to the root package.json or create a pnpm-workspace.yaml.`,
+        { code: "WORKSPACE_NOT_FOUND" }
       );
     }
-    if (validation.warnings) {
-      validation.warnings.forEach((warning) =>
-        console.warn(chalk.yellow(`  - ${warning}`))
-      );
+  }
+  // Explicit --use-* flag, or whichever package manager ran the CLI
+  const packageManager = detectPackageManager(
+    workspace
+      ? { packageManager: workspace.packageManager, ...options }
+      : options
+  );
+
+  // Pre-filled answers and whether prompts may be shown at all
+  const promptOptions = {
+    answers: options.answers || {},
+    nonInteractive: !interactive || Boolean(options.yes),
+  };
+
+  // Files such as README.md or .git may already be there; anything else
+  // needs --force or a confirmation, then conflicts are resolved per file
+  const {
+    exists,
+    isEmpty,
+    files: existingFiles,
+  } = await checkDirectory(projectPath, logger);
+  const blockingFiles = getBlockingFiles(existingFiles);
+  if (blockingFiles.length > 0 && !options.force) {
+    const { continueInDirectory } = await ask(
+      [
+        {
+          type: "confirm",
+          name: "continueInDirectory",
+          message: `📁 ${projectName} is not empty (${blockingFiles.join(
+            ", "
+          )}). Scaffold into it and resolve conflicts file by file?`,
+          default: false,
+        },
+      ],
+      promptOptions
+    );
+    if (!continueInDirectory) {
+      throw new DirectoryNotEmptyError(projectPath, blockingFiles);
     }
-    process.exit(1);
   }
 
+  // The workspace's repository already tracks the app, and a repository
+  // that was in the directory before is the user's: neither gets commits,
+  // branches, remotes or pushes
+  const gitRoot = workspace
+    ? await findGitRoot(workspace.root)
+    : existingFiles.includes(".git")
+    ? projectPath
+    : null;
+
   // Determine template type
-  const templateType = await determineTemplate(options);
+  let template;
+  try {
+    template = await determineTemplate(
+      { ...options, template: params.template || options.template },
+      promptOptions,
+      { cwd, logger }
+    );
+  } catch (error) {
+    throw toScaffoldError(error, TemplateError);
+  }
 
-  // Create project directory
-  const projectPath = path.resolve(projectName);
+  // Extra packages and package.json fields from presets and config files
+  template = withTailwindComponents(
+    {
+      ...template,
+      dependencies: { ...template.dependencies, ...options.dependencies },
+      devDependencies: {
+        ...template.devDependencies,
+        ...options.devDependencies,
+      },
+      packageJson: { ...template.packageJson, ...options.packageJson },
+    },
+    Boolean(options.tailwind)
+  );
+
+  try {
+    // Ask the template's own questions
+    const templateAnswers = await promptTemplateOptions(
+      template,
+      promptOptions
+    );
+
+    // Share the UI components through packages/ui (--ui-package)
+    const { uiPackage = false } =
+      workspace && template.components.length > 0
+        ? await ask(
+            [
+              {
+                type: "confirm",
+                name: "uiPackage",
+                message:
+                  "📦 Move the UI components into a shared packages/ui package?",
+                default: false,
+              },
+            ],
+            {
+              ...promptOptions,
+              answers:
+                options.uiPackage === undefined
+                  ? promptOptions.answers
+                  : { ...promptOptions.answers, uiPackage: options.uiPackage },
+            }
+          )
+        : {};
+
+    // Git hooks (--hooks) need a repository of the project's own
+    const canUseGitHooks = options.git !== false && !gitRoot;
+    if (options.hooks && !canUseGitHooks) {
+      logger.warn(
+        "⚠️ --hooks needs a new Git repository for the project; skipping Git hooks"
+      );
+    }
+    const { hooks = false } = canUseGitHooks
+      ? await ask(
+          [
+            {
+              type: "confirm",
+              name: "hooks",
+              message:
+                "🪝 Add Git hooks (lint and format on commit, commitlint, type check on push)?",
+              default: false,
+            },
+          ],
+          {
+            ...promptOptions,
+            answers:
+              options.hooks === undefined
+                ? promptOptions.answers
+                : { ...promptOptions.answers, hooks: options.hooks },
+          }
+        )
+      : {};
+    const projectOptions = { ...options, hooks };
+
+    // Commands from templates that are not built in run only once allowed
+    // (--template-hooks)
+    const postCreate = template.hooks.postCreate;
+    const trusted = !template.source || template.source.type === "builtin";
+    const { templateHooks = true } =
+      postCreate.length > 0 && !trusted
+        ? await ask(
+            [
+              {
+                type: "confirm",
+                name: "templateHooks",
+                message: `⚠️ Run the template's post-create commands?\n${postCreate
+                  .map((hookCommand) => `  ${hookCommand}`)
+                  .join("\n")}\n`,
+                default: false,
+              },
+            ],
+            {
+              ...promptOptions,
+              answers:
+                options.templateHooks === undefined
+                  ? promptOptions.answers
+                  : {
+                      ...promptOptions.answers,
+                      templateHooks: options.templateHooks,
+                    },
+            }
+          )
+        : {};
+    if (!templateHooks) {
+      logger.warn(
+        "⚠️ Skipping the template's post-create commands; pass --template-hooks to run them"
+      );
+      template = { ...template, hooks: { ...template.hooks, postCreate: [] } };
+    }
 
-  // Check if directory already exists
-  const { exists, isEmpty } = await checkDirectory(projectPath);
-  if (exists && !isEmpty) {
-    console.error(
-      chalk.red(`❌ Directory ${projectName} already exists and is not empty!`)
+    const variables = getTemplateVariables(
+      template,
+      templateAnswers,
+      projectOptions,
+      { projectName, packageManager }
     );
-    process.exit(1);
+    const envSchema = getEnvSchema(template, variables);
+
+    const result = {
+      dryRun: Boolean(options.dryRun),
+      projectName,
+      projectPath,
+      template: {
+        name: template.name,
+        displayName: template.displayName,
+        source: template.source ? template.source.source : template.name,
+      },
+      answers: templateAnswers,
+      packageManager,
+      files: [],
+      conflicts: [],
+      workspace: null,
+      warnings,
+      env: null,
+      install: { status: "skipped" },
+      hooks: [],
+      git: { status: "skipped" },
+    };
+
+    // Preview what would happen without touching disk
+    if (options.dryRun) {
+      result.plan = await createProjectPlan({
+        projectPath,
+        template,
+        variables,
+        filter: (relativePath) =>
+          !relativePath
+            .split("/")
+            .some((segment) => SKIPPED_TEMPLATE_FILES.includes(segment)),
+        commands: getPlannedCommands(
+          template,
+          {
+            ...projectOptions,
+            ...(options.install !== false &&
+              (await resolveInstallOptions(
+                workspace ? workspace.root : projectPath,
+                // Nothing is run for the plan, not even `yarn --version`
+                { ...projectOptions, packageManager, probe: false },
+                silentLogger
+              ))),
+            ...(gitRoot && { git: false }),
+          },
+          packageManager
+        ),
+        generatedFiles: [
+          ".gitignore",
+          PROJECT_CONFIG_FILE,
+          ...(hooks ? getGitHookFiles() : []),
+          ...(envSchema.length > 0
+            ? [
+                ENV_LOCAL_FILE,
+                options.typescript
+                  ? ENV_MODULE_FILE
+                  : ENV_MODULE_FILE.replace(/\.ts$/, ".js"),
+              ]
+            : []),
+        ],
+      });
+      result.files = result.plan.files.map((file) => file.path);
+      return result;
+    }
+
+    // Values for .env.local come from --env-file, the answers file or
+    // prompts; unlike the answers they are never recorded
+    const envValues =
+      envSchema.length > 0
+        ? await collectEnvValues(
+            envSchema,
+            promptOptions,
+            options.envFile
+              ? await readEnvFile(path.resolve(cwd, options.envFile))
+              : {}
+          )
+        : null;
+
+    const projectConfig = createProjectConfig({
+      template,
+      projectName,
+      answers: templateAnswers,
+      options: projectOptions,
+      packageManager,
+    });
+
+    // Build the project in a staging directory and only move it into place
+    // once every step is done; the journal records the completed steps
+    const merging = exists && !isEmpty;
+    const staging = await createStaging(projectPath, logger);
+    const signals = watchSignals({ listen: handleSignals });
+    const { journal } = staging;
+    result.journal = journal.steps;
+    // Install, hooks and git run in the staged project, or in the existing
+    // directory once the generated files are copied into it
+    let workPath = staging.path;
+    let addedPaths = null;
+    // Existing files are backed up next to the staged project before a
+    // merge overwrites them, and go away with it
+    const backupPath = path.join(path.dirname(staging.path), "backup");
+
+    try {
+      await generateProject(staging.path, template, variables, logger, journal);
+      // Record how the project was generated so `upgrade` can redo it
+      await writeProjectConfig(staging.path, projectConfig);
+      if (envValues) {
+        const missing = await writeEnvLocal(staging.path, envSchema, envValues);
+        result.env = { file: ENV_LOCAL_FILE, missing };
+        await journal.record("env");
+        if (missing.length > 0) {
+          logger.warn(
+            `⚠️ ${missing.join(
+              ", "
+            )} left empty in ${ENV_LOCAL_FILE}; the app will not start until they are set`
+          );
+        }
+      }
+      signals.check();
+
+      if (merging) {
+        // Generate next to the user's files, then copy over what they allow
+        addedPaths = await listNewPaths(staging.path, projectPath);
+        const copied = await copyIntoDirectory(staging.path, projectPath, {
+          force: options.force,
+          promptOptions,
+          signals,
+          backupPath,
+          logger,
+        });
+        result.files = copied.files;
+        result.conflicts = copied.conflicts;
+        await journal.record("merge", { files: copied.files });
+        workPath = projectPath;
+      } else {
+        result.files = await listFiles(staging.path);
+      }
+
+      if (workspace) {
+        // Workspace members are installed from the root, so the app has to
+        // be in place first
+        if (workPath === staging.path) {
+          await staging.commit();
+          workPath = projectPath;
+        }
+        logger.step("Adding the app to the workspace...");
+        result.workspace = await addToWorkspace(workspace, projectPath, {
+          uiPackage,
+          components: template.components,
+          registryDir: template.registryDir,
+        });
+        await journal.record("workspace", {
+          registered: result.workspace.registered,
+        });
+        signals.check();
+      }
+
+      // Install dependencies if requested
+      if (options.install !== false) {
+        logger.step("Installing dependencies...");
+        try {
+          const installPath = workspace ? workspace.root : workPath;
+          const { command, attempts } = await installDependencies(installPath, {
+            ...options,
+            packageManager,
+            cancelOnSignal: handleSignals,
+            logger,
+            onProgress: (line) =>
+              logger.step(`Installing dependencies... ${truncate(line, 60)}`),
+          });
+          result.install = {
+            status: "success",
+            packageManager,
+            command,
+            attempts,
+          };
+        } catch (error) {
+          if (error instanceof CancelledError) {
+            throw error;
+          }
+          logger.warn("⚠️ Failed to install dependencies automatically");
+          result.install = {
+            status: "failed",
+            packageManager,
+            error: error.message,
+          };
+        }
+        await journal.record("install", { status: result.install.status });
+        signals.check();
+      }
+
+      // Run the template's post-create hooks
+      if (template.hooks.postCreate.length > 0) {
+        logger.step("Running template hooks...");
+        result.hooks = await runPostCreateHooks(
+          workPath,
+          template.hooks.postCreate,
+          logger
+        );
+        await journal.record("hooks");
+        signals.check();
+      }
+
+      // Initialize git if requested
+      if (options.git !== false && gitRoot) {
+        const skipped = ["develop", "remote", "push"].filter(
+          (option) => options[option]
+        );
+        if (skipped.length > 0) {
+          logger.warn(
+            `⚠️ ${gitRoot} is already a Git repository; skipping ${skipped
+              .map((option) => `--${option}`)
+              .join(", ")}`
+          );
+        }
+        logger.debug(`Skipping Git, ${gitRoot} is already a repository`);
+        result.git = { status: "skipped", repository: gitRoot };
+      } else if (options.git !== false) {
+        logger.step("Initializing Git repository...");
+        result.git = await setupGit(workPath, packageManager, logger, {
+          ...projectOptions,
+          // The repository is set up in staging, so a local path must not
+          // depend on the working directory
+          remote: options.remote && resolveRemoteUrl(options.remote, cwd),
+          gitignorePatterns: getTemplateGitignore(template, variables),
+        });
+        await journal.record("git", { status: result.git.status });
+        signals.check();
+      }
+
+      if (workPath === staging.path) {
+        await staging.commit();
+      }
+    } catch (error) {
+      // Never touch what was in the directory before: a new project simply
+      // stays in staging, a merge takes back the files it added and puts
+      // back the ones it replaced
+      if (merging && addedPaths) {
+        logger.warn(`Restoring ${projectPath} to how it was`);
+        await removeNewPaths(
+          projectPath,
+          addedPaths,
+          existingFiles,
+          backupPath
+        );
+      } else if (error instanceof CancelledError) {
+        logger.warn(
+          workPath === staging.path
+            ? `Cancelled, nothing was written to ${projectPath}`
+            : `Cancelled, ${projectPath} is only partly set up`
+        );
+      }
+      throw error;
+    } finally {
+      signals.dispose();
+      await staging.rollback();
+    }
+
+    return result;
+  } catch (error) {
+    throw toScaffoldError(error, ScaffoldError);
+  } finally {
+    // Remove the temporary copy of a remote template
+    if (template.cleanup) {
+      await template.cleanup();
+    }
   }
+}
 
-  const spinner = ora("Setting up your project...").start();
+/**
+ * Build the variables a template is rendered with
+ * @param {Object} template - Template manifest
+ * @param {Object} answers - Answers to the template's prompts
+ * @param {Object} options - CLI options
+ * @param {Object} context - Project details
+ * @param {string} context.projectName - Project name
+ * @param {string} context.packageManager - Package manager name
+ * @returns {Object} - Template variables
+ */
+function getTemplateVariables(template, answers, options, context) {
+  return {
+    ...template.variables,
+    ...answers,
+    projectName: context.projectName,
+    templateType: template.name,
+    ...options,
+    ...getTailwindVariables(options),
+    packageManager: context.packageManager,
+  };
+}
+
+/**
+ * Copy, render and convert the template into the project directory,
+ * removing the directory again if anything fails. Pass a new directory:
+ * staging, or a temporary one.
+ * @param {string} projectPath - Project directory
+ * @param {Object} template - Template manifest
+ * @param {Object} variables - Template variables
+ * @param {Object} logger - Logger
+ * @param {Object} journal - Journal the copy and process steps are recorded in
+ */
+async function generateProject(
+  projectPath,
+  template,
+  variables,
+  logger,
+  journal = createJournal()
+) {
+  const includeFile = createFileFilter(template, variables);
 
   try {
     // Create directory
-    spinner.text = "Creating project directory...";
-    await ensureDirectory(projectPath);
+    logger.step("Creating project directory...");
+    await ensureDirectory(projectPath, logger);
 
     // Copy template files
-    spinner.text = "Copying template files...";
-    const templatePath = path.resolve(
-      __dirname,
-      "../../templates",
-      templateType
-    );
+    logger.step("Copying template files...");
+    const templatePath = template.path;
 
     // Check if template exists
     if (!(await fs.pathExists(templatePath))) {
-      throw new Error(
-        `Template "${templateType}" not found at ${templatePath}`
+      throw new TemplateError(
+        `Template "${template.name}" not found at ${templatePath}`
       );
     }
 
-    await copyFiles(templatePath, projectPath, {
+    const copied = await copyFiles(templatePath, projectPath, {
       overwrite: true,
       filter: (src, dest) => {
         // Skip certain files during copy
         const filename = path.basename(src);
-        return !["package-lock.json", "yarn.lock", "node_modules"].includes(
-          filename
-        );
+        if (SKIPPED_TEMPLATE_FILES.includes(filename)) {
+          return false;
+        }
+
+        // Skip files for features that were not selected
+        const relativePath = toPosixPath(path.relative(templatePath, src));
+        return relativePath === "" || includeFile(relativePath);
       },
+      logger,
     });
+    if (!copied) {
+      throw new TemplateError("Failed to copy template files");
+    }
 
-    // Process template variables
-    spinner.text = "Processing template...";
-    await processTemplate(projectPath, {
-      projectName,
-      templateType,
-      ...options,
-    });
+    // Drop folders whose files were all filtered out
+    await removeEmptyDirectories(projectPath);
 
-    // Install dependencies if requested
-    if (options.install !== false) {
-      spinner.text = "Installing dependencies...";
-      try {
-        await installDependencies(projectPath);
-      } catch (error) {
-        spinner.warn(
-          chalk.yellow("⚠️ Failed to install dependencies automatically")
-        );
-        console.log(chalk.red(`Error: ${error.message}`));
-        console.log();
-        console.log(chalk.blue("💡 You can install dependencies manually:"));
-        console.log(chalk.gray(`  cd ${projectName}`));
-        console.log(chalk.gray("  npm install"));
-        console.log();
-      }
+    // Rename files declared by the template manifest
+    await applyRenames(projectPath, template.rename);
+
+    // Compose in the shared registry components the template needs; files
+    // the template ships itself take precedence
+    if (template.components.length > 0) {
+      logger.step("Adding components...");
+      await copyComponents(projectPath, template.components, {
+        filter: includeFile,
+        registryDir: template.registryDir,
+        logger: silentLogger,
+      });
     }
 
-    // Initialize git if requested
-    if (options.git !== false) {
-      spinner.text = "Initializing Git repository...";
-      await setupGit(projectPath);
+    await journal.record("copy");
+
+    // Merge the common entries, the package manager's logs and caches and
+    // the manifest's patterns into the template's own .gitignore
+    await createGitignore(
+      projectPath,
+      getTemplateGitignore(template, variables),
+      { packageManager: variables.packageManager, logger }
+    );
+
+    // Process template variables
+    logger.step("Processing template...");
+    await processTemplate(projectPath, variables, template, logger);
+
+    // husky hook scripts; the packages are added to package.json above
+    if (variables.hooks) {
+      await writeGitHooks(projectPath, variables);
     }
 
-    spinner.succeed(chalk.green("✅ Successfully created your Titas app!"));
+    // Typed, validated access to the template's env variables
+    const envSchema = getEnvSchema(template, variables);
+    if (envSchema.length > 0) {
+      const layout = await generateEnvModule(projectPath, envSchema);
+      if (!layout) {
+        logger.debug(`No root layout found to import ${ENV_MODULE_FILE}`);
+      }
+    }
 
-    // Show next steps
-    showNextSteps(projectName, options);
+    // Templates are written in TypeScript; strip types unless it was requested
+    if (!variables.typescript) {
+      logger.step("Converting to JavaScript...");
+      await convertToJavaScript(projectPath);
+    }
+    await journal.record("process");
   } catch (error) {
-    spinner.fail("❌ Failed to create app");
-
     // Cleanup on failure
     try {
       await fs.remove(projectPath);
     } catch (cleanupError) {
-      console.error(
-        chalk.red("Failed to cleanup after error:", cleanupError.message)
-      );
+      logger.error(`Failed to cleanup after error: ${cleanupError.message}`);
     }
 
     throw error;
   }
 }
 
+/**
+ * Wrap any error in a ScaffoldError subclass, keeping typed errors as-is
+ * @param {Error} error - Error to wrap
+ * @param {Function} ErrorClass - ScaffoldError subclass to wrap with
+ * @returns {ScaffoldError} - Typed error
+ */
+function toScaffoldError(error, ErrorClass) {
+  if (error instanceof ScaffoldError) {
+    return error;
+  }
+  return new ErrorClass(error.message, { cause: error });
+}
+
 /**
  * Determine which template to use
+ * @param {Object} options - CLI options from commander
+ * @param {Object} promptOptions - Pre-filled answers and interactivity
+ * @param {Object} context - { cwd, logger }
+ * @returns {Promise<Object>} - Manifest of the selected template
  */
-async function determineTemplate(options) {
-  const templates = [
-    {
-      key: "portfolio",
-      name: "📄 Portfolio",
-      description: "Personal/professional showcase",
-    },
-    {
-      key: "ecom",
-      name: "🛒 E-commerce",
-      description: "Online store with cart & payments",
-    },
-    {
-      key: "dashboard",
-      name: "📊 Dashboard",
-      description: "Analytics & data visualization",
-    },
-    {
-      key: "webapp",
-      name: "🌐 Web App",
-      description: "Full-stack application",
-    },
-  ];
+async function determineTemplate(options, promptOptions = {}, context = {}) {
+  const { cwd = process.cwd(), logger = consoleLogger } = context;
+
+  // A template source given with --template wins over the built-in flags
+  if (options.template) {
+    const template = await fetchTemplate(options.template, { cwd, logger });
+    logger.success(
+      `📋 Using ${template.displayName} template from ${options.template}`
+    );
+    return template;
+  }
+
+  const templates = listTemplates(TEMPLATES_DIR, logger);
+
+  if (templates.length === 0) {
+    throw new Error("No templates found. The installation may be corrupted.");
+  }
 
   // Check if template was specified via flags
-  const selectedTemplate = templates.find((template) => options[template.key]);
+  const selectedTemplate = templates.find(
+    (template) => options[getOptionKey(template.name)]
+  );
   if (selectedTemplate) {
-    console.log(chalk.green(`📋 Using ${selectedTemplate.name} template`));
-    return selectedTemplate.key;
+    logger.success(`📋 Using ${selectedTemplate.displayName} template`);
+    return selectedTemplate;
   }
 
-  // If no flag provided, prompt user
-  const { template } = await inquirer.prompt([
-    {
-      type: "list",
-      name: "template",
-      message: "📋 Which template would you like to use?",
-      choices: templates.map((t) => ({
-        name: `${t.name} - ${t.description}`,
-        value: t.key,
-      })),
-    },
-  ]);
+  // If no flag provided, prompt user (or take the answer/default)
+  const { template } = await ask(
+    [
+      {
+        type: "list",
+        name: "template",
+        message: "📋 Which template would you like to use?",
+        choices: templates.map((t) => ({
+          name: `${t.displayName} - ${t.description}`,
+          value: t.name,
+        })),
+      },
+    ],
+    promptOptions
+  );
+
+  const selected = templates.find((t) => t.name === template);
+  if (promptOptions.nonInteractive) {
+    logger.success(`📋 Using ${selected.displayName} template`);
+  }
+  return selected;
+}
+
+/**
+ * Ask the extra questions declared in the template manifest
+ * @param {Object} template - Template manifest
+ * @param {Object} promptOptions - Pre-filled answers and interactivity
+ * @returns {Promise<Object>} - Answers keyed by prompt name
+ */
+async function promptTemplateOptions(template, promptOptions = {}) {
+  if (template.prompts.length === 0) {
+    return {};
+  }
 
-  return template;
+  return ask(template.prompts, promptOptions);
 }
 
 /**
  * Process template files with variables
+ * @param {string} projectPath - Project directory
+ * @param {Object} variables - Template variables
+ * @param {Object} template - Template manifest
+ * @param {Object} logger - Logger
  */
-async function processTemplate(projectPath, variables) {
+async function processTemplate(projectPath, variables, template, logger) {
   // Update package.json
   const packageJsonPath = path.join(projectPath, "package.json");
   let packageJson = {};
@@ -267,185 +1066,296 @@ async function processTemplate(projectPath, variables) {
       packageJson = await fs.readJson(packageJsonPath);
     }
   } catch (error) {
-    console.warn(
-      chalk.yellow(`Warning: Could not read package.json: ${error.message}`)
-    );
+    logger.warn(`Warning: Could not read package.json: ${error.message}`);
   }
 
-  // Create or update package.json with project details
-  packageJson = {
-    name: variables.projectName,
-    version: "0.1.0",
-    private: true,
-    scripts: {
-      dev: "next dev",
-      build: "next build",
-      start: "next start",
-      lint: "next lint",
-      ...packageJson.scripts,
-    },
-    ...packageJson,
-  };
+  // Merge project details, manifest dependencies and feature packages
+  packageJson = mergePackageJson(packageJson, variables, template);
 
-  // Add TypeScript dependencies if requested
-  if (variables.typescript) {
-    packageJson.devDependencies = {
-      ...packageJson.devDependencies,
-      typescript: "^5.0.0",
-      "@types/node": "^20.0.0",
-      "@types/react": "^18.0.0",
-      "@types/react-dom": "^18.0.0",
-    };
-  }
+  await writeJsonFile(packageJsonPath, packageJson, { logger });
+  await configureComponentsJson(projectPath, variables);
 
-  // Add Tailwind CSS if requested
-  if (variables.tailwind) {
-    packageJson.devDependencies = {
-      ...packageJson.devDependencies,
-      tailwindcss: "^3.3.0",
-      postcss: "^8.4.0",
-      autoprefixer: "^10.4.0",
-    };
+  // Render the files that opted in to templating
+  const processed = await processTemplateFiles(projectPath, variables, {
+    include: template.templateFiles,
+    logger,
+  });
+  if (!processed) {
+    throw new TemplateError("Failed to process template files");
   }
-
-  await writeJsonFile(packageJsonPath, packageJson);
-
-  // Process template files with variable substitution
-  await processTemplateFiles(projectPath, variables);
 }
 
 /**
- * Install project dependencies
+ * Shorten a line of output to fit next to the spinner
+ * @param {string} text - Text to shorten
+ * @param {number} length - Maximum length
+ * @returns {string} - Shortened text
  */
-async function installDependencies(projectPath) {
-  const { promisify } = require("util");
-  const execAsync = promisify(exec);
-
-  try {
-    // Determine which package manager to use
-    const packageManager = detectPackageManager();
-
-    console.log(
-      chalk.blue(`📦 Installing dependencies with ${packageManager}...`)
-    );
-
-    const command = packageManager === "yarn" ? "yarn install" : "npm install";
-
-    console.log(chalk.gray(`Running: ${command}`));
-
-    const { stdout, stderr } = await execAsync(command, {
-      cwd: projectPath,
-      maxBuffer: 1024 * 1024 * 10, // 10MB buffer
-      env: { ...process.env, FORCE_COLOR: "0" }, // Disable colors for cleaner output
-    });
-
-    // Log output if there's useful information
-    if (stdout && stdout.trim()) {
-      console.log(chalk.gray("Installation completed"));
-    }
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
 
-    // Show warnings but don't fail
-    if (stderr && stderr.trim() && !stderr.includes("WARN")) {
-      console.warn(chalk.yellow("Installation warnings:"));
-      console.warn(stderr.trim());
-    }
+/**
+ * Run the post-create hooks declared by a template
+ * @param {string} projectPath - Project directory
+ * @param {Array<string>} commands - Shell commands to run in order
+ * @param {Object} logger - Logger
+ * @returns {Promise<Array<Object>>} - { command, status, error } per hook
+ */
+async function runPostCreateHooks(projectPath, commands, logger) {
+  const results = [];
 
-    console.log(chalk.green("✅ Dependencies installed successfully!"));
-  } catch (error) {
-    // More specific error handling
-    if (error.code === "ENOENT") {
-      throw new Error(
-        `${
-          packageManager === "yarn" ? "Yarn" : "npm"
-        } is not installed or not found in PATH. Please install Node.js from https://nodejs.org/`
-      );
-    } else if (error.code) {
-      throw new Error(
-        `Package installation failed with code ${error.code}: ${error.message}`
-      );
-    } else {
-      throw new Error(`Package installation failed: ${error.message}`);
+  for (const command of commands) {
+    logger.debug(`Running hook: ${command}`);
+    try {
+      // Hooks are declared as command lines, so they run through the shell
+      await runCommand(command, [], {
+        cwd: projectPath,
+        timeout: HOOK_TIMEOUT,
+        shell: true,
+      });
+      results.push({ command, status: "success" });
+    } catch (error) {
+      logger.warn(`⚠️ Hook "${command}" failed: ${error.message}`);
+      results.push({ command, status: "failed", error: error.message });
     }
   }
+
+  return results;
 }
 
 /**
- * Detect which package manager to use
+ * List the commands createApp() would run for the given options
+ * @param {Object} template - Template manifest
+ * @param {Object} options - CLI options from commander
+ * @param {string} packageManager - Package manager name
+ * @returns {Array<string>} - Commands in the order they run
  */
-function detectPackageManager() {
-  const { execSync } = require("child_process");
+function getPlannedCommands(template, options, packageManager) {
+  const commands = [];
 
-  // First check if yarn.lock exists in current directory
-  if (fs.existsSync("yarn.lock")) {
-    return "yarn";
+  if (options.install !== false) {
+    const { command, args } = getInstallArgs(
+      packageManager,
+      options,
+      silentLogger
+    );
+    commands.push(
+      [command, ...args].join(" ") +
+        (options.versionAssumed
+          ? ` (assuming Yarn ${options.version}; the installed version is checked when it runs)`
+          : "")
+    );
   }
 
-  // Then try to detect if yarn is available
-  try {
-    execSync("yarn --version", { stdio: "ignore", timeout: 5000 });
-    return "yarn";
-  } catch (error) {
-    // Yarn not available, check npm
-    try {
-      execSync("npm --version", { stdio: "ignore", timeout: 5000 });
-      return "npm";
-    } catch (npmError) {
-      // Neither available, default to npm
-      console.warn(
-        chalk.yellow(
-          "⚠️ Neither npm nor yarn could be detected. Defaulting to npm."
+  commands.push(...template.hooks.postCreate);
+
+  if (options.git !== false) {
+    const branch = options.branch || "main";
+    // The initial commit and push skip the hooks (--hooks)
+    const noVerify = options.hooks ? " --no-verify" : "";
+    commands.push(`git init --initial-branch=${branch}`);
+    if (options.hooks && options.install !== false) {
+      commands.push(getExecCommand(packageManager, "husky"));
+    }
+    commands.push(
+      "git add .",
+      `git commit${noVerify} -m "${
+        options.commitMessage || GIT_COMMIT_MESSAGE
+      }"`
+    );
+    if (options.develop) {
+      commands.push(`git checkout -b ${DEVELOP_BRANCH}`);
+    }
+    if (options.remote) {
+      commands.push(`git remote add ${REMOTE_NAME} ${options.remote}`);
+    }
+    if (options.remote && options.push) {
+      commands.push(
+        ...[branch, ...(options.develop ? [DEVELOP_BRANCH] : [])].map(
+          (name) => `git push${noVerify} -u ${REMOTE_NAME} ${name}`
         )
       );
-      return "npm";
     }
   }
+
+  return commands;
 }
 
 /**
  * Set up Git repository
+ * @param {string} projectPath - Project directory
+ * @param {string} packageManager - Package manager name
+ * @param {Object} logger - Logger
+ * @param {Object} options - CLI options (`branch`, `commitMessage`, `develop`, `remote`, `push`, `hooks`) and the template's `gitignorePatterns`
+ * @returns {Promise<Object>} - { status, branch, develop, remote, hooks } of the Git setup; remote steps and hook activation that fail only warn
  */
-async function setupGit(projectPath) {
+async function setupGit(projectPath, packageManager, logger, options = {}) {
   if (!(await isGitAvailable())) {
-    console.warn(
-      chalk.yellow("⚠️ Git is not available. Skipping Git initialization.")
-    );
-    return;
+    logger.warn("⚠️ Git is not available. Skipping Git initialization.");
+    return { status: "unavailable" };
   }
 
   // Check Git configuration
   const gitConfig = await checkGitConfig();
   if (!gitConfig.hasUserName || !gitConfig.hasUserEmail) {
-    console.warn(
-      chalk.yellow(
-        "⚠️ Git user configuration is incomplete. Please set up git config --global user.name and user.email"
-      )
+    logger.warn(
+      "⚠️ Git user configuration is incomplete. Please set up git config --global user.name and user.email"
     );
   }
 
-  await initializeGit(projectPath, {
-    initialBranch: "main",
+  const branch = options.branch || "main";
+  const commitMessage = options.commitMessage || GIT_COMMIT_MESSAGE;
+  let hooks = null;
+  const initialized = await initializeGit(projectPath, {
+    initialBranch: branch,
     createInitialCommit: true,
-    commitMessage: "Initial commit from create-titas-app",
+    commitMessage,
+    gitignorePatterns: options.gitignorePatterns,
+    packageManager,
+    // Activate the hooks once the repository exists; the initial commit
+    // skips them, since they would lint the whole generated project
+    beforeCommit: options.hooks
+      ? async () => {
+          hooks = await activateGitHooks(projectPath, packageManager, logger);
+        }
+      : undefined,
+    noVerify: Boolean(options.hooks),
+    logger,
   });
+
+  const result = {
+    status: initialized ? "success" : "failed",
+    branch,
+    develop: false,
+    remote: null,
+    hooks,
+  };
+  if (!initialized) {
+    return result;
+  }
+
+  if (options.develop) {
+    result.develop = await createBranch(projectPath, DEVELOP_BRANCH, logger);
+  }
+
+  if (options.push && !options.remote) {
+    logger.warn("⚠️ --push needs --remote <url>; nothing was pushed");
+  }
+  if (options.remote) {
+    result.remote = { name: REMOTE_NAME, url: options.remote, pushed: [] };
+    if (!(await addRemote(projectPath, REMOTE_NAME, options.remote, logger))) {
+      return result;
+    }
+
+    if (options.push) {
+      logger.step(`Pushing to ${options.remote}...`);
+      const branches = [branch, ...(result.develop ? [DEVELOP_BRANCH] : [])];
+      for (const name of branches) {
+        const pushed = await pushToRemote(projectPath, options.remote, {
+          remoteName: REMOTE_NAME,
+          branch: name,
+          commitMessage,
+          noVerify: Boolean(options.hooks),
+          logger,
+        });
+        if (pushed) result.remote.pushed.push(name);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Print how the app was added to its workspace
+ * @param {Object} summary - Result of addToWorkspace()
+ */
+function printWorkspaceSummary(summary) {
+  console.log(chalk.blue("\nWorkspace:"));
+  console.log(
+    `  ${summary.registered ? "Registered" : "Already covered:"} ${
+      summary.path
+    } ${chalk.gray(`(${summary.root})`)}`
+  );
+  if (summary.hoisted.length > 0) {
+    console.log(`  Using the root's ${summary.hoisted.join(", ")}`);
+  }
+  for (const [name, version] of Object.entries(summary.aligned)) {
+    console.log(`  Aligned ${name} to ${version} like the other packages`);
+  }
+  for (const [name, { version, common }] of Object.entries(summary.kept)) {
+    console.log(
+      chalk.yellow(
+        `  ⚠️ Kept ${name}@${version}; other packages use ${common}, a different major version`
+      )
+    );
+  }
+  if (summary.ui) {
+    console.log(
+      `  ${summary.ui.created ? "Created" : "Updated"} ${summary.ui.path} (${
+        summary.ui.name
+      })${summary.ui.registered ? " and registered it" : ""}`
+    );
+    if (summary.ui.removed.length > 0) {
+      console.log(
+        `  Moved ${summary.ui.removed.join(", ")} to ${summary.ui.path}`
+      );
+    }
+    summary.ui.skipped.forEach((file) =>
+      console.log(
+        chalk.yellow(
+          `  ⚠️ Could not update ${file}; add ${summary.ui.name} to it by hand`
+        )
+      )
+    );
+  }
 }
 
 /**
  * Show next steps to the user
+ * @param {string} projectName - Project directory relative to the current one (empty for `.`)
+ * @param {Object} options - CLI options from commander
+ * @param {string} packageManager - Package manager name
+ * @param {Object} workspace - Result of addToWorkspace(), when the app joined one
  */
-function showNextSteps(projectName, options) {
+function showNextSteps(projectName, options, packageManager, workspace = null) {
   console.log("\n" + chalk.cyan("🎉 Your project is ready!"));
   console.log("\nNext steps:");
-  console.log(`  ${chalk.cyan("cd")} ${projectName}`);
 
-  if (options.install === false) {
-    const packageManager = detectPackageManager();
+  if (options.install === false && workspace) {
+    // Workspace members are installed from the root
+    const root = path.relative(process.cwd(), workspace.root);
+    if (root) {
+      console.log(`  ${chalk.cyan("cd")} ${root}`);
+    }
+    console.log(`  ${chalk.cyan(getInstallCommand(packageManager))}`);
+    console.log(`  ${chalk.cyan("cd")} ${workspace.path}`);
+  } else {
+    if (projectName) {
+      console.log(`  ${chalk.cyan("cd")} ${projectName}`);
+    }
+    if (options.install === false) {
+      console.log(`  ${chalk.cyan(getInstallCommand(packageManager))}`);
+    }
+  }
+
+  console.log(`  ${chalk.cyan(getRunCommand(packageManager, "dev"))}`);
+
+  if (options.remote && !options.push && options.git !== false) {
     console.log(
-      `  ${chalk.cyan(packageManager === "yarn" ? "yarn" : "npm install")}`
+      `  ${chalk.cyan(
+        `git push -u ${REMOTE_NAME} ${options.branch || "main"}`
+      )} ${chalk.gray("(when you are ready to publish)")}`
     );
   }
-
-  console.log(`  ${chalk.cyan("npm run dev")}`);
   console.log("\nHappy coding! 🚀\n");
 }
 
-module.exports = { createApp, checkEnvironment };
+module.exports = {
+  createApp,
+  scaffold,
+  checkEnvironment,
+  generateProject,
+  getTemplateVariables,
+};
@@ -0,0 +1,486 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const chalk = require("chalk");
+
+const { checkGitConfig, setupGitConfig } = require("../utils/gitUtils");
+const { PACKAGE_MANAGERS } = require("../utils/packageManager");
+const { isNonInteractive } = require("../utils/prompts");
+const { runProjectChecks } = require("../utils/projectChecks");
+const { runCommand } = require("../utils/runner");
+
+/**
+ * Oldest Node.js version Next.js 14 runs on
+ */
+const MIN_NODE_VERSION = "18.17.0";
+
+/**
+ * Free disk space below which installs are likely to fail, and below which
+ * we warn
+ */
+const DISK_SPACE_FAIL = 500 * 1024 * 1024;
+const DISK_SPACE_WARN = 1024 * 1024 * 1024;
+
+/**
+ * Registry checked when npm does not name one
+ */
+const DEFAULT_REGISTRY = "https://registry.npmjs.org/";
+
+/**
+ * How long a tool or the registry may take to answer
+ */
+const CHECK_TIMEOUT = 5000;
+
+const STATUS_ICONS = { pass: "✅", warn: "⚠️", fail: "❌" };
+const STATUS_COLORS = {
+  pass: chalk.green,
+  warn: chalk.yellow,
+  fail: chalk.red,
+};
+
+/**
+ * Compare two dotted version numbers
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Get the version a command prints, or null when it is not installed
+ * @param {string} command - Command name
+ * @param {Array<string>} args - Arguments that print the version
+ * @returns {Promise<string|null>}
+ */
+async function getVersion(command, args = ["--version"]) {
+  const result = await runCommand(command, args, {
+    timeout: CHECK_TIMEOUT,
+    check: false,
+  });
+  return result.code === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Read an npm config value, or null when it is unset
+ * @param {string} key - Config key
+ * @returns {Promise<string|null>}
+ */
+async function getNpmConfig(key) {
+  const value = await getVersion("npm", ["config", "get", key]);
+  return value && value !== "null" && value !== "undefined" ? value : null;
+}
+
+/**
+ * Format a byte count for people
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Request a URL and resolve with its status code
+ * @param {string} url - URL to request
+ * @returns {Promise<number>}
+ */
+function ping(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith("https:") ? https : http;
+    const request = client.get(url, { timeout: CHECK_TIMEOUT }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on("timeout", () =>
+      request.destroy(new Error(`no answer after ${CHECK_TIMEOUT / 1000}s`))
+    );
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Proxy settings from the environment and npm config
+ * @returns {Promise<Object>} - Setting names mapped to values
+ */
+async function getProxySettings() {
+  const settings = {};
+  for (const name of ["HTTPS_PROXY", "HTTP_PROXY", "NO_PROXY"]) {
+    const value = process.env[name] || process.env[name.toLowerCase()];
+    if (value) settings[name] = value;
+  }
+  for (const key of ["proxy", "https-proxy"]) {
+    const value = await getNpmConfig(key);
+    if (value) settings[`npm ${key}`] = value;
+  }
+  return settings;
+}
+
+/**
+ * Environment checks, in the order they are reported. Each `run` resolves
+ * with { status, message, hint }; checks with `fix` can repair themselves
+ * with --fix.
+ */
+const CHECKS = [
+  {
+    id: "node",
+    title: "Node.js",
+    run: async () => {
+      const version = process.versions.node;
+      return compareVersions(version, MIN_NODE_VERSION) >= 0
+        ? { status: "pass", message: `v${version}` }
+        : {
+            status: "fail",
+            message: `v${version} is older than v${MIN_NODE_VERSION}, the minimum for Next.js 14`,
+            hint: `Install Node.js ${MIN_NODE_VERSION} or later from https://nodejs.org/ (or run \`nvm install --lts\`)`,
+          };
+    },
+  },
+  {
+    id: "package-managers",
+    title: "Package managers",
+    run: async () => {
+      const found = [];
+      for (const name of Object.keys(PACKAGE_MANAGERS)) {
+        const version = await getVersion(name);
+        if (version) found.push(`${name} v${version}`);
+      }
+      if (!found.some((item) => item.startsWith("npm "))) {
+        return {
+          status: "fail",
+          message: "npm not found",
+          hint: "Install Node.js from https://nodejs.org/, which includes npm",
+        };
+      }
+      return { status: "pass", message: found.join(", ") };
+    },
+  },
+  {
+    id: "git",
+    title: "Git",
+    run: async () => {
+      const version = await getVersion("git");
+      return version
+        ? { status: "pass", message: version.replace(/^git version /, "v") }
+        : {
+            status: "warn",
+            message: "not found",
+            hint: "Install Git from https://git-scm.com/, or create projects with --no-git",
+          };
+    },
+  },
+  {
+    id: "git-identity",
+    title: "Git identity",
+    run: async () => {
+      if (!(await getVersion("git"))) {
+        return { status: "warn", message: "skipped, Git is not installed" };
+      }
+      const config = await checkGitConfig();
+      if (config.hasUserName && config.hasUserEmail) {
+        return {
+          status: "pass",
+          message: `${config.userName} <${config.userEmail}>`,
+        };
+      }
+      const missing = [
+        !config.hasUserName && "user.name",
+        !config.hasUserEmail && "user.email",
+      ].filter(Boolean);
+      return {
+        status: "warn",
+        message: `${missing.join(
+          " and "
+        )} not set; the initial commit will fail`,
+        hint: `Run \`create-titas-app doctor --fix\` or \`git config --global ${missing[0]} ...\``,
+      };
+    },
+    fix: (promptOptions) => setupGitConfig(promptOptions),
+  },
+  {
+    id: "write-access",
+    title: "Write access",
+    run: async ({ cwd }) => {
+      const denied = [];
+      for (const dirPath of [cwd, os.tmpdir()]) {
+        try {
+          const probe = await fs.mkdtemp(path.join(dirPath, ".titas-doctor-"));
+          await fs.remove(probe);
+        } catch (error) {
+          denied.push(`${dirPath} (${error.code || error.message})`);
+        }
+      }
+      return denied.length === 0
+        ? { status: "pass", message: `can write to ${cwd} and ${os.tmpdir()}` }
+        : {
+            status: "fail",
+            message: `cannot write to ${denied.join(", ")}`,
+            hint: "Create projects in a directory you own, or fix its permissions",
+          };
+    },
+  },
+  {
+    id: "disk-space",
+    title: "Disk space",
+    run: async ({ cwd }) => {
+      const { statfs } = require("fs").promises;
+      if (!statfs) {
+        return { status: "warn", message: "cannot be checked on this Node.js" };
+      }
+      const stats = await statfs(cwd);
+      const free = stats.bavail * stats.bsize;
+      const message = `${formatBytes(free)} free`;
+      const hint =
+        "A project with dependencies needs about 500 MB; free up space or create it on another disk";
+
+      if (free < DISK_SPACE_FAIL) return { status: "fail", message, hint };
+      if (free < DISK_SPACE_WARN) return { status: "warn", message, hint };
+      return { status: "pass", message };
+    },
+  },
+  {
+    id: "registry",
+    title: "npm registry",
+    network: true,
+    run: async () => {
+      const registry =
+        process.env.npm_config_registry ||
+        (await getNpmConfig("registry")) ||
+        DEFAULT_REGISTRY;
+      const url = `${registry.replace(/\/?$/, "/")}-/ping`;
+      try {
+        const statusCode = await ping(url);
+        return statusCode < 500
+          ? { status: "pass", message: `${registry} is reachable` }
+          : {
+              status: "fail",
+              message: `${registry} answered with HTTP ${statusCode}`,
+              hint: "The registry may be down; try again later or use --registry <url>",
+            };
+      } catch (error) {
+        return {
+          status: "fail",
+          message: `${registry} is not reachable: ${error.message}`,
+          hint: "Check your network and proxy settings, or install with --offline from the cache",
+        };
+      }
+    },
+  },
+  {
+    id: "proxy",
+    title: "Proxy settings",
+    network: true,
+    run: async () => {
+      const settings = await getProxySettings();
+      const entries = Object.entries(settings);
+      if (entries.length === 0) {
+        return { status: "pass", message: "no proxy configured" };
+      }
+
+      const invalid = entries.filter(([name, value]) => {
+        if (name === "NO_PROXY") return false;
+        try {
+          new URL(value);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      });
+      if (invalid.length > 0) {
+        return {
+          status: "fail",
+          message: `invalid proxy URL in ${invalid
+            .map(([name]) => name)
+            .join(", ")}`,
+          hint: "Proxy settings must be full URLs such as http://proxy.example.com:8080",
+        };
+      }
+
+      return {
+        status: "pass",
+        message: entries.map(([name, value]) => `${name}=${value}`).join(", "),
+      };
+    },
+  },
+];
+
+/**
+ * Run the environment checks
+ * @param {Object} options - Check options
+ * @param {string} options.cwd - Directory projects are created in
+ * @param {boolean} options.network - Include the checks that need the network
+ * @returns {Promise<Array<Object>>} - { id, title, status, message, hint } per check
+ */
+async function runChecks(options = {}) {
+  const { cwd = process.cwd(), network = true } = options;
+  const results = [];
+
+  for (const check of CHECKS) {
+    if (check.network && !network) continue;
+    let result;
+    try {
+      result = await check.run({ cwd });
+    } catch (error) {
+      result = { status: "fail", message: error.message };
+    }
+    results.push({
+      id: check.id,
+      title: check.title,
+      hint: null,
+      ...result,
+      fixable: Boolean(check.fix) && result.status !== "pass",
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Count the results by status
+ * @param {Array<Object>} results - Results from runChecks()
+ * @returns {Object} - { pass, warn, fail }
+ */
+function summarize(results) {
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  results.forEach((result) => summary[result.status]++);
+  return summary;
+}
+
+/**
+ * Print check results for people to read
+ * @param {Array<Object>} results - Results from runChecks()
+ */
+function printChecks(results) {
+  for (const result of results) {
+    const color = STATUS_COLORS[result.status];
+    const location = result.file
+      ? ` ${result.file}${result.line ? `:${result.line}` : ""}`
+      : "";
+    console.log(
+      color(
+        `${STATUS_ICONS[result.status]} ${result.title}:${location} ${
+          result.message
+        }`
+      )
+    );
+    if (result.hint && result.status !== "pass") {
+      console.log(chalk.gray(`   → ${result.hint}`));
+    }
+  }
+}
+
+/**
+ * Apply the safe fixes for failed or warned checks, then check again
+ * @param {Array<Object>} results - Results from runChecks()
+ * @param {Object} promptOptions - Pre-filled answers and interactivity
+ * @param {Object} options - Options for runChecks()
+ * @returns {Promise<Array<Object>>} - Results after fixing
+ */
+async function applyFixes(results, promptOptions, options) {
+  const fixable = results.filter((result) => result.fixable);
+  if (fixable.length === 0) {
+    return results;
+  }
+
+  for (const result of fixable) {
+    console.log(chalk.blue(`\n🔧 Fixing ${result.title}...`));
+    await CHECKS.find((check) => check.id === result.id).fix(promptOptions);
+  }
+  console.log();
+  return runChecks(options);
+}
+
+/**
+ * CLI entry point of `create-titas-app doctor`
+ * @param {Object} options - CLI options
+ * @param {boolean} options.json - Print the results as JSON
+ * @param {boolean} options.fix - Apply safe fixes (e.g. set the Git identity)
+ * @param {boolean} options.project - Also audit the project in the working directory
+ * @param {string} options.cwd - Working directory (defaults to the current one)
+ * @returns {Promise<Object>} - { checks, project, summary }
+ */
+async function doctorCommand(options = {}) {
+  const checkOptions = { cwd: path.resolve(options.cwd || process.cwd()) };
+  const stats = await fs.stat(checkOptions.cwd).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`${checkOptions.cwd} is not a directory`);
+  }
+
+  if (!options.json) {
+    console.log(chalk.blue("🔍 Checking environment...\n"));
+  }
+
+  let results = await runChecks(checkOptions);
+  if (options.fix) {
+    results = await applyFixes(
+      results,
+      {
+        answers: {},
+        nonInteractive: options.json || isNonInteractive(options),
+      },
+      checkOptions
+    );
+  }
+
+  const project = options.project
+    ? await runProjectChecks({ projectPath: checkOptions.cwd })
+    : null;
+
+  const summary = summarize([...results, ...(project || [])]);
+  if (options.json) {
+    process.stdout.write(
+      `${JSON.stringify(
+        { checks: results, ...(project && { project }), summary },
+        null,
+        2
+      )}\n`
+    );
+  } else {
+    printChecks(results);
+    if (project) {
+      console.log(
+        chalk.blue(`\n🔍 Checking project in ${checkOptions.cwd}...\n`)
+      );
+      printChecks(project);
+    }
+    console.log(
+      `\n${chalk.green(`${summary.pass} passed`)}, ${chalk.yellow(
+        `${summary.warn} warning(s)`
+      )}, ${chalk.red(`${summary.fail} failed`)}`
+    );
+    if (!options.fix && results.some((result) => result.fixable)) {
+      console.log(
+        chalk.gray("Run with --fix to repair what can be fixed automatically.")
+      );
+    }
+  }
+
+  if (summary.fail > 0) {
+    process.exitCode = 1;
+  }
+  return { checks: results, project, summary };
+}
+
+module.exports = {
+  MIN_NODE_VERSION,
+  CHECKS,
+  runChecks,
+  printChecks,
+  doctorCommand,
+};
@@ -0,0 +1,432 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const chalk = require("chalk");
+
+const { generateProject, getTemplateVariables } = require("./create");
+const { withTailwindComponents } = require("../utils/tailwindUtils");
+const {
+  parseTemplateSource,
+  fetchTemplate,
+} = require("../utils/templateSource");
+const { listFiles } = require("../utils/fileUtils");
+const { consoleLogger, silentLogger } = require("../utils/logger");
+const {
+  isBinary,
+  mergeFile,
+  diffFile,
+  colorizeDiff,
+} = require("../utils/mergeUtils");
+const { getInstallCommand } = require("../utils/packageManager");
+const {
+  GENERATOR_VERSION,
+  PROJECT_CONFIG_FILE,
+  getTemplateVersion,
+  getRecordedSource,
+  getTemplatePin,
+  readProjectConfig,
+  writeProjectConfig,
+} = require("../utils/projectConfig");
+
+/**
+ * Suffix of the files holding template changes that could not be merged
+ */
+const REJECT_SUFFIX = ".rej";
+
+/**
+ * Fetch the template version a project was generated from. Built-in
+ * templates from an older create-titas-app are downloaded from npm; other
+ * sources are fetched at the commit, version or contents recorded in
+ * `pin`, and fail when those can't be fetched again.
+ * @param {Object} config - Project config from .titasrc.json
+ * @param {Object} logger - Logger
+ * @returns {Promise<Object>} - Template manifest with `cleanup`
+ */
+async function fetchBaseTemplate(config, logger) {
+  if (parseTemplateSource(config.source).type !== "builtin") {
+    // Without a pin the source would give the latest version, not the base
+    if (!config.pin) {
+      throw new Error(
+        `${PROJECT_CONFIG_FILE} does not pin the template to the commit, version or contents the project was generated from`
+      );
+    }
+    return fetchTemplate(config.source, { logger, pin: config.pin });
+  }
+
+  if (config.generator === GENERATOR_VERSION) {
+    return fetchTemplate(config.source, { logger });
+  }
+
+  const base = await fetchTemplate(
+    `npm:create-titas-app@${config.generator}#templates/${config.template}`,
+    { logger }
+  );
+  const registryDir = path.resolve(base.path, "../../registry");
+  return (await fs.pathExists(registryDir)) ? { ...base, registryDir } : base;
+}
+
+/**
+ * Generate a template into a temporary directory with the project's
+ * recorded answers and read back every file
+ * @param {Object} template - Template manifest
+ * @param {Object} config - Project config from .titasrc.json
+ * @returns {Promise<Map<string, Buffer>>} - File contents keyed by relative path
+ */
+async function renderTemplate(template, config) {
+  const { typescript, tailwind, tailwindVersion, hooks, ...answers } =
+    config.answers || {};
+  const variables = getTemplateVariables(
+    template,
+    answers,
+    { typescript, tailwind, tailwindVersion, hooks },
+    { projectName: config.projectName, packageManager: config.packageManager }
+  );
+
+  const tempDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), "create-titas-app-upgrade-")
+  );
+  try {
+    const projectPath = path.join(tempDir, "project");
+    await generateProject(
+      projectPath,
+      withTailwindComponents(template, variables.tailwind),
+      variables,
+      silentLogger
+    );
+
+    const files = new Map();
+    for (const file of await listFiles(projectPath)) {
+      files.set(file, await fs.readFile(path.join(projectPath, file)));
+    }
+    return files;
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+/**
+ * Read a project file, or null when it does not exist
+ * @param {string} filePath - File path
+ * @returns {Promise<Buffer|null>}
+ */
+async function readOptionalFile(filePath) {
+  return (await fs.pathExists(filePath)) ? fs.readFile(filePath) : null;
+}
+
+/**
+ * Compare file contents that may be missing
+ * @param {Buffer|null} a - First contents
+ * @param {Buffer|null} b - Second contents
+ * @returns {boolean}
+ */
+function sameContent(a, b) {
+  return a === null || b === null ? a === b : a.equals(b);
+}
+
+/**
+ * Decide what happens to each file: the old template version (base), the
+ * new template version (other) and the user's file (current) are compared
+ * and merged where both sides changed
+ * @param {string} projectPath - Project directory
+ * @param {Map<string, Buffer>} base - Files of the old template version
+ * @param {Map<string, Buffer>} other - Files of the new template version
+ * @param {Array<string>} labels - Conflict marker labels
+ * @returns {Promise<Array<Object>>} - { path, action, current, content, conflicts }
+ */
+async function planUpgrade(projectPath, base, other, labels) {
+  const paths = [...new Set([...base.keys(), ...other.keys()])].sort();
+  const changes = [];
+
+  for (const file of paths) {
+    const baseContent = base.get(file) || null;
+    const otherContent = other.get(file) || null;
+    if (sameContent(baseContent, otherContent)) {
+      continue;
+    }
+
+    const current = await readOptionalFile(path.join(projectPath, file));
+    const change = { path: file, current, content: null, conflicts: 0 };
+
+    if (otherContent === null) {
+      // Removed from the template: only delete it if the user never touched it
+      change.action = sameContent(current, baseContent) ? "delete" : "keep";
+      if (current !== null) changes.push(change);
+      continue;
+    }
+
+    if (sameContent(current, otherContent)) {
+      continue;
+    }
+
+    if (current === null) {
+      // Deleted by the user; a file new to the template is simply added
+      change.action = baseContent === null ? "add" : "skip";
+      change.content = otherContent;
+      changes.push(change);
+      continue;
+    }
+
+    if (sameContent(current, baseContent)) {
+      change.action = "update";
+      change.content = otherContent;
+      changes.push(change);
+      continue;
+    }
+
+    const merged =
+      isBinary(current) || isBinary(otherContent)
+        ? null
+        : await mergeFile(
+            {
+              current,
+              base: baseContent || Buffer.alloc(0),
+              other: otherContent,
+            },
+            labels
+          );
+
+    if (merged) {
+      change.action = merged.conflicts > 0 ? "conflict" : "merge";
+      change.content = merged.content;
+      change.conflicts = merged.conflicts;
+    } else {
+      change.action = "reject";
+      change.content = otherContent;
+    }
+    changes.push(change);
+  }
+
+  return changes;
+}
+
+/**
+ * Write the planned changes into the project
+ * @param {string} projectPath - Project directory
+ * @param {Array<Object>} changes - Changes from planUpgrade()
+ */
+async function applyUpgrade(projectPath, changes) {
+  for (const change of changes) {
+    const filePath = path.join(projectPath, change.path);
+
+    if (["add", "update", "merge", "conflict"].includes(change.action)) {
+      await fs.outputFile(filePath, change.content);
+    } else if (change.action === "reject") {
+      await fs.outputFile(filePath + REJECT_SUFFIX, change.content);
+    } else if (change.action === "delete") {
+      await fs.remove(filePath);
+    }
+  }
+}
+
+/**
+ * Re-apply a newer version of a project's template. The project's files are
+ * three-way merged with the old and new template versions; colliding
+ * changes get conflict markers, or a `.rej` file when a file cannot be
+ * merged.
+ * @param {string} projectPath - Project directory
+ * @param {Object} options - Upgrade options
+ * @param {string} options.to - Template source to upgrade to (defaults to the recorded one)
+ * @param {boolean} options.diff - Only work out the changes, without writing
+ * @param {Object} options.logger - Logger
+ * @returns {Promise<Object>} - { from, to, upToDate, changes }
+ */
+async function upgradeProject(projectPath, options = {}) {
+  const { diff = false, logger = consoleLogger } = options;
+  const config = await readProjectConfig(projectPath);
+
+  const templates = [];
+  try {
+    const other = await fetchTemplate(options.to || config.source, {
+      logger,
+    });
+    templates.push(other);
+
+    const from = { source: config.source, version: config.version };
+    const to = {
+      source: getRecordedSource(other),
+      version: getTemplateVersion(other),
+    };
+    const pin = getTemplatePin(other);
+    const result = { from, to, upToDate: false, changes: [] };
+
+    if (
+      to.source === from.source &&
+      ((to.version && to.version === from.version) ||
+        (pin && JSON.stringify(pin) === JSON.stringify(config.pin)))
+    ) {
+      result.upToDate = true;
+      return result;
+    }
+
+    const base = await fetchBaseTemplate(config, logger).catch((error) => {
+      throw new Error(
+        `Could not fetch ${config.template}${
+          config.version ? `@${config.version}` : ""
+        }, the template version this project was generated from: ${
+          error.message
+        }`
+      );
+    });
+    templates.push(base);
+
+    const label = (name, version) => (version ? `${name}@${version}` : name);
+    const changes = await planUpgrade(
+      projectPath,
+      await renderTemplate(base, config),
+      await renderTemplate(other, config),
+      [
+        "current",
+        label(config.template, from.version),
+        label(other.name, to.version),
+      ]
+    );
+    result.changes = changes;
+    result.upToDate = changes.length === 0;
+
+    if (!diff) {
+      await applyUpgrade(projectPath, changes);
+      await writeProjectConfig(projectPath, {
+        ...config,
+        template: other.name,
+        source: to.source,
+        version: to.version,
+        pin: pin || undefined,
+        generator: GENERATOR_VERSION,
+      });
+    }
+
+    return result;
+  } finally {
+    for (const template of templates) {
+      await template.cleanup();
+    }
+  }
+}
+
+/**
+ * Describe a change for the summary
+ * @param {Object} change - Change from planUpgrade()
+ * @returns {string} - Colored description
+ */
+function describeChange(change) {
+  const descriptions = {
+    add: chalk.green(`added    ${change.path}`),
+    update: chalk.green(`updated  ${change.path}`),
+    merge: chalk.green(`merged   ${change.path}`),
+    delete: chalk.yellow(`deleted  ${change.path}`),
+    conflict: chalk.red(
+      `conflict ${change.path} (${change.conflicts} conflict${
+        change.conflicts === 1 ? "" : "s"
+      })`
+    ),
+    reject: chalk.red(
+      `rejected ${change.path} (new version in ${change.path}${REJECT_SUFFIX})`
+    ),
+    keep: chalk.gray(`kept     ${change.path} (removed from the template)`),
+    skip: chalk.gray(`skipped  ${change.path} (deleted in the project)`),
+  };
+  return descriptions[change.action];
+}
+
+/**
+ * Print the diff of every change
+ * @param {Array<Object>} changes - Changes from planUpgrade()
+ */
+async function printDiff(changes) {
+  for (const change of changes) {
+    let after = change.current;
+    if (["add", "update", "merge", "conflict"].includes(change.action)) {
+      after = change.content;
+    } else if (change.action === "delete") {
+      after = null;
+    }
+
+    if (sameContent(change.current, after)) {
+      console.log(describeChange(change));
+      continue;
+    }
+
+    const output =
+      isBinary(change.current || Buffer.alloc(0)) ||
+      isBinary(after || Buffer.alloc(0))
+        ? `Binary file ${change.path} differs\n`
+        : await diffFile(change.path, change.current, after);
+    if (output === null) {
+      console.log(describeChange(change));
+      continue;
+    }
+
+    process.stdout.write(colorizeDiff(output));
+  }
+}
+
+/**
+ * CLI entry point of `create-titas-app upgrade`
+ * @param {Object} options - CLI options
+ * @param {string} options.cwd - Project directory
+ * @param {string} options.to - Template source to upgrade to
+ * @param {boolean} options.diff - Preview the changes as a diff
+ */
+async function upgradeCommand(options = {}) {
+  const projectPath = path.resolve(options.cwd || process.cwd());
+  const result = await upgradeProject(projectPath, options);
+  const version = ({ source, version }) =>
+    version ? `${source}@${version}` : source;
+
+  if (result.upToDate) {
+    console.log(
+      chalk.green(`✅ Already up to date with ${version(result.to)}`)
+    );
+    return result;
+  }
+
+  console.log(
+    chalk.cyan(
+      `\n⬆️ ${options.diff ? "Changes from" : "Upgraded from"} ${version(
+        result.from
+      )} to ${version(result.to)}\n`
+    )
+  );
+
+  if (options.diff) {
+    await printDiff(result.changes);
+    console.log(
+      chalk.gray("\nNothing was written. Run without --diff to apply.")
+    );
+    return result;
+  }
+
+  result.changes.forEach((change) =>
+    console.log(`  ${describeChange(change)}`)
+  );
+
+  const conflicts = result.changes.filter((change) =>
+    ["conflict", "reject"].includes(change.action)
+  );
+  if (conflicts.length > 0) {
+    console.log(
+      chalk.yellow(
+        `\n⚠️ ${conflicts.length} file(s) need attention: resolve the conflict markers and review the ${REJECT_SUFFIX} files`
+      )
+    );
+    process.exitCode = 1;
+  }
+
+  if (result.changes.some((change) => change.path === "package.json")) {
+    const config = await readProjectConfig(projectPath);
+    console.log(
+      `\npackage.json changed; run ${chalk.cyan(
+        getInstallCommand(config.packageManager || "npm")
+      )} to update dependencies.`
+    );
+  }
+
+  console.log(
+    chalk.gray(
+      `\nThe new template version is recorded in ${PROJECT_CONFIG_FILE}.`
+    )
+  );
+  return result;
+}
+
+module.exports = { upgradeProject, upgradeCommand };
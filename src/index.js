@@ -0,0 +1,21 @@
+/**
+ * Programmatic API for create-titas-app
+ *
+ *   const { scaffold } = require("create-titas-app");
+ *   const result = await scaffold({
+ *     name: "my-app",
+ *     template: "dashboard",
+ *     targetDir: "/abs/path/my-app",
+ *     options: { typescript: true, tailwind: true, install: false },
+ *   });
+ */
+
+const { scaffold } = require("./commands/create");
+const { listTemplates } = require("./utils/templateManifest");
+const errors = require("./utils/errors");
+
+module.exports = {
+  scaffold,
+  listTemplates,
+  ...errors,
+};
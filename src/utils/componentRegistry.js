@@ -0,0 +1,415 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const { stripTypes } = require("./typescriptUtils");
+const { consoleLogger } = require("./logger");
+const { toPosixPath } = require("./fileUtils");
+
+const REGISTRY_DIR = path.resolve(__dirname, "../../registry");
+
+const REGISTRY_FILE = "registry.json";
+
+/**
+ * Import paths used inside registry files, rewritten to the project's aliases
+ */
+const REGISTRY_ALIASES = {
+  ui: "@/components/ui",
+  hooks: "@/hooks",
+  lib: "@/lib",
+  utils: "@/lib/utils",
+};
+
+/**
+ * Read the bundled component registry
+ * @param {string} registryDir - Registry directory
+ * @returns {Object} - { dir, items } with items keyed by name
+ */
+function readRegistry(registryDir = REGISTRY_DIR) {
+  const registryPath = path.join(registryDir, REGISTRY_FILE);
+  if (!fs.existsSync(registryPath)) {
+    throw new Error(`Component registry not found at ${registryPath}`);
+  }
+
+  const { items = [] } = fs.readJsonSync(registryPath);
+  return {
+    dir: registryDir,
+    items: Object.fromEntries(items.map((item) => [item.name, item])),
+  };
+}
+
+/**
+ * Resolve components and everything they depend on, dependencies first
+ * @param {Array<string>} names - Requested component names
+ * @param {Object} registry - Registry from readRegistry()
+ * @returns {Array<Object>} - Registry items in install order
+ */
+function resolveComponents(names, registry) {
+  const resolved = [];
+  const visiting = new Set();
+
+  const visit = (name, requiredBy) => {
+    if (resolved.some((item) => item.name === name) || visiting.has(name)) {
+      return;
+    }
+
+    const item = registry.items[name];
+    if (!item) {
+      throw new Error(
+        `Unknown component "${name}"${
+          requiredBy ? ` (required by ${requiredBy})` : ""
+        }. Available components: ${Object.keys(registry.items)
+          .sort()
+          .join(", ")}`
+      );
+    }
+
+    visiting.add(name);
+    for (const dependency of item.registryDependencies || []) {
+      visit(dependency, name);
+    }
+    visiting.delete(name);
+    resolved.push(item);
+  };
+
+  names.forEach((name) => visit(name));
+  return resolved;
+}
+
+/**
+ * Parse a JSON file that may contain comments and trailing commas, such as
+ * tsconfig.json
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} - Parsed JSON, or null when missing
+ */
+async function readJsonWithComments(filePath) {
+  if (!(await fs.pathExists(filePath))) {
+    return null;
+  }
+
+  const content = await fs.readFile(filePath, "utf8");
+  const stripped = content
+    .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, "$1")
+    .replace(/,(\s*[}\]])/g, "$1");
+  return JSON.parse(stripped);
+}
+
+/**
+ * Read the project's components.json
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Object>} - components.json contents
+ */
+async function readComponentsConfig(projectPath) {
+  const configPath = path.join(projectPath, "components.json");
+  if (!(await fs.pathExists(configPath))) {
+    throw new Error(
+      `No components.json found in ${projectPath}. Run this inside a project created by create-titas-app or set up with shadcn.`
+    );
+  }
+
+  const config = await fs.readJson(configPath);
+  const aliases = config.aliases || {};
+  const components = aliases.components || "@/components";
+
+  return {
+    ...config,
+    tsx: config.tsx !== false,
+    aliases: {
+      ...aliases,
+      components,
+      ui: aliases.ui || `${components}/ui`,
+      hooks: aliases.hooks || REGISTRY_ALIASES.hooks,
+      lib: aliases.lib || REGISTRY_ALIASES.lib,
+      utils: aliases.utils || REGISTRY_ALIASES.utils,
+    },
+  };
+}
+
+/**
+ * Turn an import alias such as `@/components/ui` into a directory using the
+ * `paths` from tsconfig.json or jsconfig.json
+ * @param {string} projectPath - Project directory
+ * @param {string} alias - Import alias
+ * @returns {Promise<string>} - Absolute path
+ */
+async function resolveAliasPath(projectPath, alias) {
+  for (const file of ["tsconfig.json", "jsconfig.json"]) {
+    const config = await readJsonWithComments(path.join(projectPath, file));
+    const { baseUrl = ".", paths = {} } =
+      (config && config.compilerOptions) || {};
+
+    for (const [pattern, targets] of Object.entries(paths)) {
+      const [target] = [].concat(targets);
+      if (!target) continue;
+
+      if (pattern.endsWith("*")) {
+        const prefix = pattern.slice(0, -1);
+        if (alias.startsWith(prefix)) {
+          return path.resolve(
+            projectPath,
+            baseUrl,
+            target.replace("*", alias.slice(prefix.length))
+          );
+        }
+      } else if (pattern === alias) {
+        return path.resolve(projectPath, baseUrl, target);
+      }
+    }
+  }
+
+  // No matching path mapping: assume `@/` points at src/ like Next.js does
+  if (alias.startsWith("@/")) {
+    const srcPath = path.join(projectPath, "src");
+    const base = (await fs.pathExists(srcPath)) ? srcPath : projectPath;
+    return path.join(base, alias.slice(2));
+  }
+
+  throw new Error(
+    `Could not resolve the import alias "${alias}". Add it to "paths" in tsconfig.json or jsconfig.json.`
+  );
+}
+
+/**
+ * Work out where a registry file goes in the project
+ * @param {string} projectPath - Project directory
+ * @param {Object} item - Registry item
+ * @param {string} file - File path inside the registry
+ * @param {Object} config - Config from readComponentsConfig()
+ * @returns {Promise<string>} - Absolute destination path
+ */
+async function getTargetPath(projectPath, item, file, config) {
+  const ext = path.extname(file);
+  const jsExt = ext === ".tsx" ? ".jsx" : ".js";
+  const fileName = path.basename(file, ext) + (config.tsx ? ext : jsExt);
+
+  if (item.name === "utils") {
+    const utilsPath = await resolveAliasPath(projectPath, config.aliases.utils);
+    return utilsPath + (config.tsx ? ext : jsExt);
+  }
+
+  const aliasByType = {
+    "registry:ui": config.aliases.ui,
+    "registry:hook": config.aliases.hooks,
+    "registry:lib": config.aliases.lib,
+  };
+  const alias = aliasByType[item.type] || config.aliases.components;
+  return path.join(await resolveAliasPath(projectPath, alias), fileName);
+}
+
+/**
+ * Point the registry's own imports at the project's aliases
+ * @param {string} source - Registry file contents
+ * @param {Object} aliases - Aliases from components.json
+ * @returns {string} - Rewritten source
+ */
+function rewriteImports(source, aliases) {
+  return source.replace(
+    /(["'])@\/(components\/ui|hooks|lib)(\/[^"']*)?\1/g,
+    (match, quote, folder, rest = "") => {
+      if (folder === "lib" && rest === "/utils") {
+        return `${quote}${aliases.utils}${quote}`;
+      }
+      const key = folder === "components/ui" ? "ui" : folder;
+      return `${quote}${aliases[key]}${rest}${quote}`;
+    }
+  );
+}
+
+/**
+ * Collect the packages a set of components (and their dependencies) import
+ * @param {Array<string>} names - Component names
+ * @param {string} registryDir - Registry directory
+ * @returns {Object} - Package versions keyed by name
+ */
+function getComponentDependencies(names = [], registryDir = REGISTRY_DIR) {
+  if (names.length === 0) {
+    return {};
+  }
+
+  const items = resolveComponents(names, readRegistry(registryDir));
+  return Object.assign({}, ...items.map((item) => item.dependencies));
+}
+
+/**
+ * Work out which registry files a set of components needs and where each one
+ * goes in a project, without writing anything
+ * @param {string} projectPath - Project (or template) directory with a components.json
+ * @param {Array<string>} names - Component names
+ * @param {string} registryDir - Registry directory
+ * @returns {Promise<Object>} - { components, files, dependencies } where each file is { component, source, target, path }
+ */
+async function planComponents(projectPath, names, registryDir = REGISTRY_DIR) {
+  const registry = readRegistry(registryDir);
+  const items = resolveComponents(names, registry);
+  const config = await readComponentsConfig(projectPath);
+
+  const files = [];
+  for (const item of items) {
+    for (const file of item.files) {
+      const target = await getTargetPath(projectPath, item, file, config);
+      files.push({
+        component: item.name,
+        source: path.join(registry.dir, file),
+        target,
+        path: toPosixPath(path.relative(projectPath, target)),
+      });
+    }
+  }
+
+  return {
+    components: items.map((item) => item.name),
+    files,
+    config,
+    dependencies: Object.assign({}, ...items.map((item) => item.dependencies)),
+  };
+}
+
+/**
+ * Copy registry components into a project. Files that already exist are
+ * left alone unless `overwrite` is set, so a template can ship its own
+ * version of a component.
+ * @param {string} projectPath - Project directory
+ * @param {Array<string>} names - Component names
+ * @param {Object} options - Copy options
+ * @param {boolean} options.overwrite - Replace files that already exist
+ * @param {Function} options.filter - (relativePath) => boolean for files to copy
+ * @param {string} options.registryDir - Registry directory
+ * @param {Object} options.logger - Logger
+ * @returns {Promise<Object>} - { components, added, skipped, dependencies }
+ */
+async function copyComponents(projectPath, names, options = {}) {
+  const {
+    overwrite = false,
+    filter = () => true,
+    registryDir = REGISTRY_DIR,
+    logger = consoleLogger,
+  } = options;
+
+  const plan = await planComponents(projectPath, names, registryDir);
+  const added = [];
+  const skipped = [];
+
+  for (const file of plan.files.filter((file) => filter(file.path))) {
+    if (!overwrite && (await fs.pathExists(file.target))) {
+      logger.debug(`Skipping ${file.path} (already exists)`);
+      skipped.push(file.path);
+      continue;
+    }
+
+    let content = rewriteImports(
+      await fs.readFile(file.source, "utf8"),
+      plan.config.aliases
+    );
+    if (!plan.config.tsx) {
+      content = stripTypes(content, file.source);
+    }
+
+    await fs.outputFile(file.target, content, "utf8");
+    logger.success(`✓ Added ${file.path}`);
+    added.push(file.path);
+  }
+
+  return {
+    components: plan.components,
+    added,
+    skipped,
+    dependencies: plan.dependencies,
+  };
+}
+
+/**
+ * Copy components from the registry into a project and add the packages
+ * they need to its package.json
+ * @param {string} projectPath - Project directory
+ * @param {Array<string>} names - Component names
+ * @param {Object} options - Options for copyComponents()
+ * @returns {Promise<Object>} - { components, added, skipped, dependencies } with only the newly added packages
+ */
+async function addComponents(projectPath, names, options = {}) {
+  const result = await copyComponents(projectPath, names, options);
+  return {
+    ...result,
+    dependencies: await addPackageDependencies(
+      projectPath,
+      result.dependencies
+    ),
+  };
+}
+
+/**
+ * Add dependencies to package.json, keeping versions that are already there
+ * @param {string} projectPath - Project directory
+ * @param {Object} dependencies - Package versions to add
+ * @returns {Promise<Object>} - Packages that were added
+ */
+async function addPackageDependencies(projectPath, dependencies) {
+  const packageJsonPath = path.join(projectPath, "package.json");
+  if (!(await fs.pathExists(packageJsonPath))) {
+    throw new Error(`No package.json found in ${projectPath}`);
+  }
+
+  const packageJson = await fs.readJson(packageJsonPath);
+  const installed = {
+    ...packageJson.devDependencies,
+    ...packageJson.dependencies,
+  };
+
+  const added = {};
+  for (const [name, version] of Object.entries(dependencies)) {
+    if (!installed[name]) {
+      added[name] = version;
+    }
+  }
+
+  if (Object.keys(added).length > 0) {
+    packageJson.dependencies = Object.fromEntries(
+      Object.entries({ ...packageJson.dependencies, ...added }).sort(
+        ([a], [b]) => a.localeCompare(b)
+      )
+    );
+    await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+  }
+
+  return added;
+}
+
+/**
+ * Remove packages from package.json
+ * @param {string} projectPath - Project directory
+ * @param {Array<string>} names - Package names
+ * @returns {Promise<Array<string>>} - Packages that were removed
+ */
+async function removePackageDependencies(projectPath, names) {
+  const packageJsonPath = path.join(projectPath, "package.json");
+  const packageJson = await fs.readJson(packageJsonPath);
+
+  const removed = [];
+  for (const field of ["dependencies", "devDependencies"]) {
+    for (const name of names) {
+      if (packageJson[field] && packageJson[field][name]) {
+        delete packageJson[field][name];
+        removed.push(name);
+      }
+    }
+  }
+
+  if (removed.length > 0) {
+    await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+  }
+  return removed;
+}
+
+module.exports = {
+  REGISTRY_DIR,
+  readRegistry,
+  resolveComponents,
+  readJsonWithComments,
+  readComponentsConfig,
+  resolveAliasPath,
+  rewriteImports,
+  getComponentDependencies,
+  planComponents,
+  copyComponents,
+  addComponents,
+  addPackageDependencies,
+  removePackageDependencies,
+};
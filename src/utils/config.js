@@ -0,0 +1,262 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const chalk = require("chalk");
+
+const { listTemplates, getOptionKey } = require("./templateManifest");
+const { PACKAGE_MANAGERS, getUseOptionKey } = require("./packageManager");
+const { mergePackageJsonFields } = require("./packageJsonUtils");
+
+/**
+ * User-level config file in the home directory (JSON)
+ */
+const USER_CONFIG_NAME = ".titasrc";
+
+/**
+ * Project-level config file, looked up in the current directory
+ */
+const LOCAL_CONFIG_NAME = "titas.config.js";
+
+/**
+ * Defaults that apply when nothing else sets an option
+ */
+const DEFAULT_OPTIONS = {
+  typescript: false,
+  tailwind: false,
+  tailwindVersion: "3",
+  git: true,
+  install: true,
+};
+
+/**
+ * Keys a config file or preset may contain
+ */
+const CONFIG_FIELDS = [
+  "options",
+  "answers",
+  "dependencies",
+  "devDependencies",
+  "packageJson",
+];
+
+/**
+ * Options that pick the same thing, so setting one of them in a layer
+ * replaces all of them from the layers below (`--portfolio` on the command
+ * line wins over `template: "dashboard"` in a config file)
+ * @returns {Array<Array<string>>} - Groups of option keys
+ */
+function getOptionGroups() {
+  return [
+    [
+      "template",
+      ...listTemplates().map((template) => getOptionKey(template.name)),
+    ],
+    [
+      "packageManager",
+      ...Object.keys(PACKAGE_MANAGERS).map((name) => getUseOptionKey(name)),
+    ],
+  ];
+}
+
+/**
+ * Check the shape of a config file or preset
+ * @param {Object} config - Config contents
+ * @param {string} label - Where the config came from, for error messages
+ * @param {boolean} allowPresets - Whether `presets` is allowed
+ */
+function validateConfig(config, label, allowPresets = true) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${label} must contain an object`);
+  }
+
+  const allowed = allowPresets ? [...CONFIG_FIELDS, "presets"] : CONFIG_FIELDS;
+  for (const [key, value] of Object.entries(config)) {
+    if (!allowed.includes(key)) {
+      throw new Error(
+        `Unknown field "${key}" in ${label}. Use one of: ${allowed.join(", ")}`
+      );
+    }
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      throw new Error(`"${key}" in ${label} must be an object`);
+    }
+  }
+
+  for (const [name, preset] of Object.entries(config.presets || {})) {
+    validateConfig(preset, `preset "${name}" in ${label}`, false);
+  }
+}
+
+/**
+ * Load a config file: JSON for ~/.titasrc, a CommonJS module for
+ * titas.config.js
+ * @param {string} filePath - Config file path
+ * @returns {Object|null} - Config contents, or null when the file is missing
+ */
+function loadConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let config;
+  try {
+    if (filePath.endsWith(".js")) {
+      delete require.cache[require.resolve(filePath)];
+      config = require(filePath);
+    } else {
+      config = fs.readJsonSync(filePath);
+    }
+  } catch (error) {
+    throw new Error(`Could not load ${filePath}: ${error.message}`);
+  }
+
+  validateConfig(config, filePath);
+  return config;
+}
+
+/**
+ * Work out the effective options from every layer, lowest precedence first:
+ * built-in defaults, ~/.titasrc, titas.config.js, `--preset <name>` and
+ * finally the flags given on the command line
+ * @param {Object} cliOptions - Options given explicitly on the command line
+ * @param {Object} context - Where to look for config files
+ * @param {string} context.cwd - Directory with titas.config.js
+ * @param {string} context.homeDir - Directory with .titasrc
+ * @returns {Object} - { options, answers, dependencies, devDependencies, packageJson, sources, files, preset }
+ */
+function resolveConfig(cliOptions = {}, context = {}) {
+  const { cwd = process.cwd(), homeDir = os.homedir() } = context;
+
+  const files = [
+    {
+      name: `~/${USER_CONFIG_NAME}`,
+      path: path.join(homeDir, USER_CONFIG_NAME),
+    },
+    { name: LOCAL_CONFIG_NAME, path: path.join(cwd, LOCAL_CONFIG_NAME) },
+  ].map((file) => ({ ...file, config: loadConfigFile(file.path) }));
+
+  const layers = [{ name: "default", options: DEFAULT_OPTIONS }];
+  const presets = {};
+  for (const file of files.filter((item) => item.config)) {
+    layers.push({ name: file.name, ...file.config });
+    Object.assign(presets, file.config.presets);
+  }
+
+  if (cliOptions.preset) {
+    const preset = presets[cliOptions.preset];
+    if (!preset) {
+      const available = Object.keys(presets);
+      throw new Error(
+        `Unknown preset "${cliOptions.preset}". ${
+          available.length > 0
+            ? `Available presets: ${available.join(", ")}`
+            : `Define presets in ~/${USER_CONFIG_NAME} or ${LOCAL_CONFIG_NAME}`
+        }`
+      );
+    }
+    layers.push({ name: `preset ${cliOptions.preset}`, ...preset });
+  }
+
+  layers.push({ name: "command line", options: cliOptions });
+
+  const groups = getOptionGroups();
+  const resolved = {
+    options: {},
+    answers: {},
+    dependencies: {},
+    devDependencies: {},
+    packageJson: {},
+    sources: {},
+    files: files.map(({ name, path: filePath, config }) => ({
+      name,
+      path: filePath,
+      found: Boolean(config),
+    })),
+    preset: cliOptions.preset || null,
+  };
+
+  for (const layer of layers) {
+    const options = layer.options || {};
+
+    for (const group of groups) {
+      if (group.some((key) => options[key] !== undefined)) {
+        group.forEach((key) => {
+          delete resolved.options[key];
+          delete resolved.sources[key];
+        });
+      }
+    }
+
+    for (const [key, value] of Object.entries(options)) {
+      if (value === undefined) continue;
+      resolved.options[key] = value;
+      resolved.sources[key] = layer.name;
+    }
+
+    Object.assign(resolved.answers, layer.answers);
+    Object.assign(resolved.dependencies, layer.dependencies);
+    Object.assign(resolved.devDependencies, layer.devDependencies);
+    resolved.packageJson = mergePackageJsonFields(
+      resolved.packageJson,
+      layer.packageJson
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Print the effective configuration for `info`
+ * @param {Object} resolved - Result of resolveConfig()
+ */
+function printConfig(resolved) {
+  console.log(chalk.blue("\nConfiguration files:"));
+  for (const file of resolved.files) {
+    console.log(
+      `  ${file.name}: ${file.path}${
+        file.found ? "" : chalk.gray(" (not found)")
+      }`
+    );
+  }
+  if (resolved.preset) {
+    console.log(`  Preset: ${resolved.preset}`);
+  }
+
+  console.log(chalk.blue("\nEffective options:"));
+  const width = Math.max(
+    ...Object.keys(resolved.options).map((key) => key.length)
+  );
+  for (const [key, value] of Object.entries(resolved.options)) {
+    if (key === "preset") continue;
+    console.log(
+      `  ${key.padEnd(width)}  ${JSON.stringify(value)} ${chalk.gray(
+        `(${resolved.sources[key]})`
+      )}`
+    );
+  }
+
+  for (const field of [
+    "answers",
+    "dependencies",
+    "devDependencies",
+    "packageJson",
+  ]) {
+    if (Object.keys(resolved[field]).length === 0) continue;
+    console.log(chalk.blue(`\n${field}:`));
+    console.log(
+      JSON.stringify(resolved[field], null, 2)
+        .split("\n")
+        .map((line) => `  ${line}`)
+        .join("\n")
+    );
+  }
+}
+
+module.exports = {
+  USER_CONFIG_NAME,
+  LOCAL_CONFIG_NAME,
+  DEFAULT_OPTIONS,
+  validateConfig,
+  loadConfigFile,
+  resolveConfig,
+  printConfig,
+};
@@ -0,0 +1,262 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const { listFiles } = require("./fileUtils");
+const { ask } = require("./prompts");
+const { diffFile, colorizeDiff } = require("./mergeUtils");
+const { mergePackageJsonFields } = require("./packageJsonUtils");
+const { consoleLogger } = require("./logger");
+const { ScaffoldError } = require("./errors");
+
+/**
+ * Files that may already be in the target directory without it counting
+ * as non-empty
+ */
+const HARMLESS_FILES = [".git", "README.md", ".DS_Store", "LICENSE"];
+
+/**
+ * Directory entries that stop a project from being created without asking
+ * @param {Array<string>} files - Entries of the target directory
+ * @returns {Array<string>} - Entries not on the allow-list
+ */
+function getBlockingFiles(files) {
+  return files.filter((file) => !HARMLESS_FILES.includes(file));
+}
+
+/**
+ * Merge the generated package.json into an existing one: existing values
+ * win, and the template's missing fields, scripts and dependencies are added
+ * @param {Object} existing - package.json already in the directory
+ * @param {Object} generated - package.json generated from the template
+ * @returns {Object} - Merged package.json
+ */
+function mergeExistingPackageJson(existing, generated) {
+  return mergePackageJsonFields(generated, existing);
+}
+
+/**
+ * Parse a JSON file that is about to be merged
+ * @param {Buffer} content - File contents
+ * @param {string} filePath - File the contents came from, for the error
+ * @returns {Object} - Parsed JSON
+ */
+function parseJsonFile(content, filePath) {
+  try {
+    return JSON.parse(content.toString());
+  } catch (error) {
+    throw new ScaffoldError(
+      `Cannot merge ${filePath}: it is not valid JSON (${error.message})`,
+      { code: "INVALID_JSON", cause: error }
+    );
+  }
+}
+
+/**
+ * Check whether a conflicting file can be merged rather than replaced
+ * @param {string} file - Relative file path
+ * @returns {boolean}
+ */
+function canMergeFile(file) {
+  return path.basename(file) === "package.json";
+}
+
+/**
+ * Ask what to do with a generated file that already exists
+ * @param {string} file - Relative file path
+ * @param {string} sourcePath - Generated file
+ * @param {string} targetPath - Existing file
+ * @param {Object} promptOptions - Pre-filled answers and interactivity
+ * @param {Object} logger - Logger the diff is shown through
+ * @returns {Promise<string>} - overwrite, skip or merge
+ */
+async function askResolution(
+  file,
+  sourcePath,
+  targetPath,
+  promptOptions,
+  logger
+) {
+  const canMerge = canMergeFile(file);
+  const choices = [
+    ...(canMerge
+      ? [{ name: "Merge (keep my values, add the template's)", value: "merge" }]
+      : []),
+    { name: "Skip (keep my file)", value: "skip" },
+    { name: "Overwrite", value: "overwrite" },
+    ...(promptOptions.nonInteractive
+      ? []
+      : [{ name: "Show diff", value: "diff" }]),
+  ];
+
+  let { answers = {} } = promptOptions;
+  for (;;) {
+    const { conflict } = await ask(
+      [
+        {
+          type: "list",
+          name: "conflict",
+          message: `⚠️ ${file} already exists. What should happen?`,
+          choices,
+          default: canMerge ? "merge" : "skip",
+        },
+      ],
+      { ...promptOptions, answers }
+    );
+
+    if (conflict !== "diff") {
+      return conflict;
+    }
+
+    // Ask again after the diff, even if the answer was pre-filled
+    answers = { ...answers };
+    delete answers.conflict;
+
+    const diff = await diffFile(
+      file,
+      await fs.readFile(targetPath),
+      await fs.readFile(sourcePath)
+    );
+    logger.info(
+      diff === null ? "git is needed to show diffs" : colorizeDiff(diff)
+    );
+  }
+}
+
+/**
+ * Copy a generated project into a directory that already has files,
+ * resolving each file that exists on both sides
+ * @param {string} sourcePath - Generated project
+ * @param {string} targetPath - Existing directory
+ * @param {Object} options - Copy options
+ * @param {boolean} options.force - Resolve every conflict without asking:
+ * merge package.json, overwrite the rest
+ * @param {Object} options.promptOptions - Pre-filled answers and interactivity
+ * @param {Object} options.signals - watchSignals() guard; Ctrl-C during a prompt cancels the copy
+ * @param {string} options.backupPath - Directory the existing files are copied to before they are overwritten or merged, so a failed run can put them back
+ * @param {Object} options.logger - Logger
+ * @returns {Promise<Object>} - { files, conflicts } with the files written and how each conflict was resolved
+ */
+async function copyIntoDirectory(sourcePath, targetPath, options = {}) {
+  const {
+    force = false,
+    promptOptions = {},
+    signals = null,
+    backupPath = null,
+    logger = consoleLogger,
+  } = options;
+  const files = [];
+  const conflicts = [];
+
+  for (const file of await listFiles(sourcePath)) {
+    const from = path.join(sourcePath, file);
+    const to = path.join(targetPath, file);
+
+    if (!(await fs.pathExists(to))) {
+      await fs.copy(from, to);
+      files.push(file);
+      continue;
+    }
+
+    const [generated, existing] = await Promise.all([
+      fs.readFile(from),
+      fs.readFile(to),
+    ]);
+    if (generated.equals(existing)) {
+      continue;
+    }
+
+    let resolution = canMergeFile(file) ? "merge" : "overwrite";
+    if (!force) {
+      logger.pause();
+      const asked = askResolution(file, from, to, promptOptions, logger);
+      resolution = await (signals ? signals.race(asked) : asked);
+    }
+    conflicts.push({ path: file, resolution });
+    if (resolution !== "skip" && backupPath) {
+      await fs.copy(to, path.join(backupPath, file));
+    }
+
+    if (resolution === "overwrite") {
+      await fs.copy(from, to);
+      files.push(file);
+    } else if (resolution === "merge") {
+      const merged = mergeExistingPackageJson(
+        parseJsonFile(existing, to),
+        parseJsonFile(generated, from)
+      );
+      await fs.writeJson(to, merged, { spaces: 2 });
+      files.push(file);
+    } else {
+      logger.debug(`Kept existing ${file}`);
+    }
+  }
+
+  return { files, conflicts };
+}
+
+/**
+ * Find the files and directories of a generated project that do not exist
+ * in the target directory yet, so they can be taken back later
+ * @param {string} sourcePath - Generated project
+ * @param {string} targetPath - Existing directory
+ * @returns {Promise<Object>} - { files, directories } as relative paths
+ */
+async function listNewPaths(sourcePath, targetPath) {
+  const files = [];
+  const directories = new Set();
+
+  for (const file of await listFiles(sourcePath)) {
+    if (await fs.pathExists(path.join(targetPath, file))) {
+      continue;
+    }
+    files.push(file);
+    for (
+      let dir = path.posix.dirname(file);
+      dir !== ".";
+      dir = path.posix.dirname(dir)
+    ) {
+      if (await fs.pathExists(path.join(targetPath, dir))) break;
+      directories.add(dir);
+    }
+  }
+
+  return { files, directories: [...directories] };
+}
+
+/**
+ * Take back what a run added to an existing directory: the new files from
+ * listNewPaths() and any top-level entry (node_modules, .git, lockfiles)
+ * that was not there before. Overwritten and merged files are put back
+ * from the backup copyIntoDirectory() made.
+ * @param {string} targetPath - Existing directory
+ * @param {Object} paths - { files, directories } from listNewPaths()
+ * @param {Array<string>} entries - Top-level entries before the run
+ * @param {string} backupPath - `backupPath` given to copyIntoDirectory()
+ */
+async function removeNewPaths(targetPath, paths, entries, backupPath = null) {
+  for (const file of paths.files) {
+    await fs.remove(path.join(targetPath, file));
+  }
+  for (const dir of paths.directories) {
+    await fs.remove(path.join(targetPath, dir));
+  }
+  for (const entry of await fs.readdir(targetPath)) {
+    if (!entries.includes(entry)) {
+      await fs.remove(path.join(targetPath, entry));
+    }
+  }
+  if (backupPath && (await fs.pathExists(backupPath))) {
+    for (const file of await listFiles(backupPath)) {
+      await fs.copy(path.join(backupPath, file), path.join(targetPath, file));
+    }
+  }
+}
+
+module.exports = {
+  HARMLESS_FILES,
+  getBlockingFiles,
+  mergeExistingPackageJson,
+  copyIntoDirectory,
+  listNewPaths,
+  removeNewPaths,
+};
@@ -0,0 +1,333 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const { ask } = require("./prompts");
+const { PromptError } = require("./errors");
+
+/**
+ * File the collected values are written to; Next.js loads it and the
+ * templates' .gitignore keeps it out of the repository
+ */
+const ENV_LOCAL_FILE = ".env.local";
+
+/**
+ * Typed module generated from the env schema
+ */
+const ENV_MODULE_FILE = "src/env.ts";
+
+/**
+ * Root layouts that import the env module, so the app fails at boot
+ */
+const LAYOUT_FILES = ["src/app/layout.tsx", "app/layout.tsx"];
+
+/**
+ * Value formats an env schema entry may declare, with their checks
+ */
+const ENV_FORMATS = {
+  url: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+};
+
+/**
+ * Parse a dotenv file into its keys, removing quotes around values
+ * @param {string} content - File contents
+ * @returns {Array<Object>} - { key, value, line } per assignment
+ */
+function parseEnvFile(content) {
+  const entries = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    const match = text.match(/^\s*(?:export\s+)?([A-Za-z_][\w.]*)\s*=(.*)$/);
+    if (!match) return;
+
+    let value = match[2].trim();
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    value = quoted ? quoted[2] : value.replace(/\s+#.*$/, "");
+    entries.push({ key: match[1], value, line: index + 1 });
+  });
+  return entries;
+}
+
+/**
+ * Read the values of a dotenv file given with --env-file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} - Values keyed by variable name
+ */
+async function readEnvFile(filePath) {
+  if (!(await fs.pathExists(filePath))) {
+    throw new PromptError(`Env file not found at ${filePath}`);
+  }
+  const entries = parseEnvFile(await fs.readFile(filePath, "utf8"));
+  return Object.fromEntries(entries.map(({ key, value }) => [key, value]));
+}
+
+/**
+ * Check a value against its schema entry
+ * @param {Object} entry - Env schema entry
+ * @param {string} value - Value to check
+ * @returns {string|null} - Problem description, or null when the value is fine
+ */
+function validateEnvValue(entry, value) {
+  if (value === "" || !entry.format) {
+    return null;
+  }
+  return ENV_FORMATS[entry.format](value)
+    ? null
+    : `${entry.key} must be a valid ${entry.format}`;
+}
+
+/**
+ * Collect a value for each schema entry from --env-file, the answers file
+ * or prompts. Empty values are allowed so a project can be created before
+ * the services exist; the generated env module reports them at boot.
+ * @param {Array<Object>} schema - Env schema entries
+ * @param {Object} promptOptions - Pre-filled answers and interactivity
+ * @param {Object} fileValues - Values read from --env-file
+ * @returns {Promise<Object>} - Values keyed by variable name
+ */
+async function collectEnvValues(schema, promptOptions, fileValues = {}) {
+  const answers = { ...promptOptions.answers, ...fileValues };
+  const prefilled = schema.filter((entry) =>
+    Object.prototype.hasOwnProperty.call(answers, entry.key)
+  );
+  const problems = prefilled
+    .map((entry) => validateEnvValue(entry, String(answers[entry.key])))
+    .filter(Boolean);
+  if (problems.length > 0) {
+    throw new PromptError(
+      `Invalid environment values:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+
+  const { configureEnv } =
+    prefilled.length < schema.length
+      ? await ask(
+          [
+            {
+              type: "confirm",
+              name: "configureEnv",
+              message: `🔑 Fill in ${ENV_LOCAL_FILE} now? (${schema.length} variable(s))`,
+              default: true,
+            },
+          ],
+          promptOptions
+        )
+      : { configureEnv: false };
+
+  const values = await ask(
+    schema.map((entry) => ({
+      type: entry.secret ? "password" : "input",
+      name: entry.key,
+      message: `${entry.key}${
+        entry.description ? ` (${entry.description})` : ""
+      }${entry.required ? "" : " [optional]"}:`,
+      mask: entry.secret ? "*" : undefined,
+      default: entry.default,
+      required: false,
+      validate: (value) => validateEnvValue(entry, value) || true,
+    })),
+    {
+      answers,
+      nonInteractive: promptOptions.nonInteractive || !configureEnv,
+    }
+  );
+
+  return Object.fromEntries(
+    schema.map((entry) => [entry.key, String(values[entry.key] || "")])
+  );
+}
+
+/**
+ * Quote a value for a dotenv file when it needs it. `$` is escaped because
+ * Next.js expands variables inside values.
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function formatEnvValue(value) {
+  const escaped = value.replace(/\$/g, "\\$");
+  if (!/[\s#"'\\$]/.test(value)) {
+    return escaped;
+  }
+  return value.includes('"') && !value.includes("'")
+    ? `'${escaped}'`
+    : `"${escaped.replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Write .env.local with the collected values, readable only by the owner
+ * @param {string} projectPath - Project directory
+ * @param {Array<Object>} schema - Env schema entries
+ * @param {Object} values - Values keyed by variable name
+ * @returns {Promise<Array<string>>} - Required variables that were left empty
+ */
+async function writeEnvLocal(projectPath, schema, values) {
+  const lines = [
+    "# Created by create-titas-app. Keep this file out of version control.",
+  ];
+  for (const entry of schema) {
+    lines.push("");
+    if (entry.description) {
+      lines.push(`# ${entry.description}`);
+    }
+    lines.push(`${entry.key}=${formatEnvValue(values[entry.key] || "")}`);
+  }
+
+  const filePath = path.join(projectPath, ENV_LOCAL_FILE);
+  await fs.writeFile(filePath, `${lines.join("\n")}\n`, { mode: 0o600 });
+  // `mode` only applies to new files
+  await fs.chmod(filePath, 0o600);
+
+  return schema
+    .filter((entry) => entry.required && !values[entry.key])
+    .map((entry) => entry.key);
+}
+
+/**
+ * Render the typed env module. It reads every variable by its full name,
+ * which Next.js needs to inline NEXT_PUBLIC_ variables, and throws on import
+ * when a required variable is missing or a value has the wrong format.
+ * Server-only variables are skipped in the browser, where they are unset.
+ * @param {Array<Object>} schema - Env schema entries
+ * @returns {string} - TypeScript source
+ */
+function renderEnvModule(schema) {
+  const rules = schema.map((entry) => {
+    const fields = [
+      `required: ${entry.required}`,
+      ...(entry.format ? [`format: "${entry.format}"`] : []),
+      `client: ${entry.key.startsWith("NEXT_PUBLIC_")}`,
+    ];
+    return `  ${entry.key}: { ${fields.join(", ")} },`;
+  });
+  const values = schema.map(
+    (entry) => `  ${entry.key}: process.env.${entry.key},`
+  );
+  const types = schema.map((entry) => {
+    const comment = entry.description ? `  /** ${entry.description} */\n` : "";
+    return `${comment}  ${entry.key}${entry.required ? "" : "?"}: string;`;
+  });
+
+  return `// Generated by create-titas-app from the template's env schema. The root
+// layout imports this file, so a missing or malformed variable fails at boot.
+
+type EnvRule = {
+  required: boolean;
+  format?: "url" | "email";
+  client: boolean;
+};
+
+const rules: Record<string, EnvRule> = {
+${rules.join("\n")}
+};
+
+export type Env = {
+${types.join("\n")}
+};
+
+const values = {
+${values.join("\n")}
+};
+
+function isValid(format: EnvRule["format"], value: string): boolean {
+  if (format === "url") {
+    try {
+      new URL(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  if (format === "email") {
+    return /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/.test(value);
+  }
+  return true;
+}
+
+function validate(): void {
+  const isServer = typeof window === "undefined";
+  const errors: string[] = [];
+
+  for (const [key, rule] of Object.entries(rules)) {
+    // Server-only variables are never sent to the browser
+    if (!rule.client && !isServer) continue;
+
+    const value = values[key as keyof typeof values];
+    if (!value) {
+      if (rule.required) errors.push(\`\${key} is missing\`);
+    } else if (!isValid(rule.format, value)) {
+      errors.push(\`\${key} must be a valid \${rule.format}\`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      \`Invalid environment variables:\\n  - \${errors.join("\\n  - ")}\\nSet them in ${ENV_LOCAL_FILE} (see .env.example).\`
+    );
+  }
+}
+
+validate();
+
+export const env = values as Env;
+`;
+}
+
+/**
+ * Write the typed env module and import it from the root layout
+ * @param {string} projectPath - Project directory
+ * @param {Array<Object>} schema - Env schema entries
+ * @returns {Promise<string|null>} - Layout that imports the module, or null when none was found
+ */
+async function generateEnvModule(projectPath, schema) {
+  await fs.outputFile(
+    path.join(projectPath, ENV_MODULE_FILE),
+    renderEnvModule(schema)
+  );
+
+  for (const layout of LAYOUT_FILES) {
+    const layoutPath = path.join(projectPath, layout);
+    if (!(await fs.pathExists(layoutPath))) continue;
+
+    const content = await fs.readFile(layoutPath, "utf8");
+    const lines = content.split("\n");
+    const lastImport = lines.reduce(
+      (last, line, index) => (/^import\s/.test(line) ? index : last),
+      -1
+    );
+    // Follow the layout's quotes and semicolons
+    const sample = lastImport === -1 ? "" : lines[lastImport];
+    const quote = sample.includes("'") ? "'" : '"';
+    const semicolon = sample === "" || sample.trim().endsWith(";") ? ";" : "";
+    const specifier = layout.startsWith("src/")
+      ? "@/env"
+      : path.posix.relative(path.posix.dirname(layout), "src/env");
+
+    lines.splice(
+      lastImport + 1,
+      0,
+      `import ${quote}${specifier}${quote}${semicolon}`
+    );
+    await fs.writeFile(layoutPath, lines.join("\n"));
+    return layout;
+  }
+
+  return null;
+}
+
+module.exports = {
+  ENV_LOCAL_FILE,
+  ENV_MODULE_FILE,
+  ENV_FORMATS,
+  parseEnvFile,
+  readEnvFile,
+  validateEnvValue,
+  collectEnvValues,
+  writeEnvLocal,
+  generateEnvModule,
+};
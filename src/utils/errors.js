@@ -0,0 +1,145 @@
+/**
+ * Base class for every error thrown while scaffolding a project
+ */
+class ScaffoldError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {string} options.code - Machine-readable error code
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || "SCAFFOLD_FAILED";
+  }
+}
+
+/**
+ * The project name is not a valid npm package name
+ */
+class InvalidProjectNameError extends ScaffoldError {
+  /**
+   * @param {string} projectName - Rejected name
+   * @param {Object} validation - Result of validate-npm-package-name
+   */
+  constructor(projectName, validation = {}) {
+    super(`Invalid project name: ${projectName}`, {
+      code: "INVALID_PROJECT_NAME",
+    });
+    this.projectName = projectName;
+    this.errors = validation.errors || [];
+    this.warnings = validation.warnings || [];
+  }
+}
+
+/**
+ * The target directory already exists and has files in it
+ */
+class DirectoryNotEmptyError extends ScaffoldError {
+  /**
+   * @param {string} directory - Target directory
+   * @param {Array<string>} files - Entries that made it count as non-empty
+   */
+  constructor(directory, files = []) {
+    super(`Directory ${directory} already exists and is not empty`, {
+      code: "DIRECTORY_NOT_EMPTY",
+    });
+    this.directory = directory;
+    this.files = files;
+  }
+}
+
+/**
+ * A template could not be found, fetched, read or rendered
+ */
+class TemplateError extends ScaffoldError {
+  constructor(message, options = {}) {
+    super(message, { code: "TEMPLATE_ERROR", ...options });
+  }
+}
+
+/**
+ * A prompt has no usable answer in non-interactive mode
+ */
+class PromptError extends ScaffoldError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} question - Name of the prompt
+   */
+  constructor(message, question) {
+    super(message, { code: "PROMPT_ERROR" });
+    this.question = question;
+  }
+}
+
+/**
+ * Installing dependencies failed
+ */
+class InstallError extends ScaffoldError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {string} options.output - Tail of the package manager's output
+   * @param {number} options.exitCode - Exit code of the package manager
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "INSTALL_FAILED", cause: options.cause });
+    this.output = options.output || "";
+    this.exitCode = options.exitCode === undefined ? null : options.exitCode;
+  }
+}
+
+/**
+ * A command such as git or npm failed to start, timed out or exited with
+ * an error
+ */
+class CommandError extends ScaffoldError {
+  /**
+   * @param {string} command - Command line, for the message
+   * @param {Object} result - Result from runCommand()
+   */
+  constructor(command, result) {
+    let reason = `exited with code ${result.code}`;
+    if (result.error) {
+      reason =
+        result.error.code === "ENOENT"
+          ? "failed: command not found"
+          : `could not start: ${result.error.message}`;
+    } else if (result.timedOut) {
+      reason = `timed out after ${(result.duration / 1000).toFixed(1)}s`;
+    }
+    const details = (result.stderr || result.stdout || "").toString().trim();
+    super(`${command} ${reason}${details ? `:\n${details}` : ""}`, {
+      code: "COMMAND_FAILED",
+      cause: result.error || undefined,
+    });
+    this.command = command;
+    this.result = result;
+    this.exitCode = result.code;
+  }
+}
+
+/**
+ * The user interrupted scaffolding (Ctrl-C or SIGTERM)
+ */
+class CancelledError extends ScaffoldError {
+  /**
+   * @param {string} signal - Signal that cancelled the run
+   */
+  constructor(signal = "SIGINT") {
+    super(`Cancelled by ${signal}`, { code: "CANCELLED" });
+    this.signal = signal;
+  }
+}
+
+module.exports = {
+  ScaffoldError,
+  InvalidProjectNameError,
+  DirectoryNotEmptyError,
+  TemplateError,
+  PromptError,
+  InstallError,
+  CommandError,
+  CancelledError,
+};
@@ -1,40 +1,43 @@
 const fs = require("fs-extra");
 const path = require("path");
-const chalk = require("chalk");
+const { render } = require("./templateEngine");
+const { consoleLogger } = require("./logger");
 
 /**
  * Check if a directory exists and is empty
  * @param {string} dirPath - Path to directory
- * @returns {Object} - { exists: boolean, isEmpty: boolean }
+ * @param {Object} logger - Logger for errors
+ * @returns {Object} - { exists: boolean, isEmpty: boolean, files: Array<string> }
  */
-async function checkDirectory(dirPath) {
+async function checkDirectory(dirPath, logger = consoleLogger) {
   try {
     const exists = await fs.pathExists(dirPath);
     if (!exists) {
-      return { exists: false, isEmpty: true };
+      return { exists: false, isEmpty: true, files: [] };
     }
 
     const files = await fs.readdir(dirPath);
     const isEmpty = files.length === 0;
 
-    return { exists: true, isEmpty };
+    return { exists: true, isEmpty, files };
   } catch (error) {
-    console.error(chalk.red(`Error checking directory: ${error.message}`));
-    return { exists: false, isEmpty: true };
+    logger.error(`Error checking directory: ${error.message}`);
+    return { exists: false, isEmpty: true, files: [] };
   }
 }
 
 /**
  * Create directory if it doesn't exist
  * @param {string} dirPath - Path to directory
+ * @param {Object} logger - Logger for errors
  * @returns {Promise<boolean>} - Success status
  */
-async function ensureDirectory(dirPath) {
+async function ensureDirectory(dirPath, logger = consoleLogger) {
   try {
     await fs.ensureDir(dirPath);
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error creating directory: ${error.message}`));
+    logger.error(`Error creating directory: ${error.message}`);
     return false;
   }
 }
@@ -43,18 +46,24 @@ async function ensureDirectory(dirPath) {
  * Copy files from source to destination with filtering
  * @param {string} source - Source directory
  * @param {string} destination - Destination directory
- * @param {Object} options - Copy options
+ * @param {Object} options - Copy options (`overwrite`, `filter`, `transform`, `logger`)
  * @returns {Promise<boolean>} - Success status
  */
 async function copyFiles(source, destination, options = {}) {
-  const { overwrite = false, filter = null, transform = null } = options;
+  const {
+    overwrite = false,
+    filter = null,
+    transform = null,
+    logger = consoleLogger,
+  } = options;
 
   try {
     const copyOptions = {
       overwrite,
       filter: (src, dest) => {
         // Skip node_modules and .git directories
-        if (src.includes("node_modules") || src.includes(".git")) {
+        const segments = path.relative(source, src).split(path.sep);
+        if (segments.includes("node_modules") || segments.includes(".git")) {
           return false;
         }
 
@@ -76,7 +85,7 @@ async function copyFiles(source, destination, options = {}) {
 
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error copying files: ${error.message}`));
+    logger.error(`Error copying files: ${error.message}`);
     return false;
   }
 }
@@ -84,9 +93,10 @@ async function copyFiles(source, destination, options = {}) {
 /**
  * Read and parse JSON file safely
  * @param {string} filePath - Path to JSON file
+ * @param {Object} logger - Logger for errors
  * @returns {Promise<Object|null>} - Parsed JSON or null
  */
-async function readJsonFile(filePath) {
+async function readJsonFile(filePath, logger = consoleLogger) {
   try {
     const exists = await fs.pathExists(filePath);
     if (!exists) {
@@ -96,9 +106,7 @@ async function readJsonFile(filePath) {
     const content = await fs.readJson(filePath);
     return content;
   } catch (error) {
-    console.error(
-      chalk.red(`Error reading JSON file ${filePath}: ${error.message}`)
-    );
+    logger.error(`Error reading JSON file ${filePath}: ${error.message}`);
     return null;
   }
 }
@@ -107,11 +115,11 @@ async function readJsonFile(filePath) {
  * Write JSON file safely with formatting
  * @param {string} filePath - Path to JSON file
  * @param {Object} data - Data to write
- * @param {Object} options - Write options
+ * @param {Object} options - Write options (`spaces`, `backup`, `logger`)
  * @returns {Promise<boolean>} - Success status
  */
 async function writeJsonFile(filePath, data, options = {}) {
-  const { spaces = 2, backup = false } = options;
+  const { spaces = 2, backup = false, logger = consoleLogger } = options;
 
   try {
     // Create backup if requested
@@ -123,47 +131,37 @@ async function writeJsonFile(filePath, data, options = {}) {
     await fs.writeJson(filePath, data, { spaces });
     return true;
   } catch (error) {
-    console.error(
-      chalk.red(`Error writing JSON file ${filePath}: ${error.message}`)
-    );
+    logger.error(`Error writing JSON file ${filePath}: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Process template files by replacing variables
+ * Process template files by rendering them with the template engine.
+ * Only files that opt in are rendered: files ending in the template suffix
+ * and files matching one of the `include` globs.
  * @param {string} dirPath - Directory containing template files
- * @param {Object} variables - Variables to replace
- * @param {Object} options - Processing options
+ * @param {Object} variables - Template variables
+ * @param {Object} options - Processing options (`include`, `templateSuffix`, `logger`)
  * @returns {Promise<boolean>} - Success status
  */
 async function processTemplateFiles(dirPath, variables = {}, options = {}) {
   const {
-    fileExtensions = [
-      ".js",
-      ".jsx",
-      ".ts",
-      ".tsx",
-      ".json",
-      ".md",
-      ".html",
-      ".css",
-    ],
+    include = [],
     templateSuffix = ".template",
-    variablePattern = /\{\{(\w+)\}\}/g,
+    logger = consoleLogger,
   } = options;
 
   try {
     await processDirectory(dirPath, variables, {
-      fileExtensions,
+      rootPath: dirPath,
+      include,
       templateSuffix,
-      variablePattern,
+      logger,
     });
     return true;
   } catch (error) {
-    console.error(
-      chalk.red(`Error processing template files: ${error.message}`)
-    );
+    logger.error(`Error processing template files: ${error.message}`);
     return false;
   }
 }
@@ -171,7 +169,7 @@ async function processTemplateFiles(dirPath, variables = {}, options = {}) {
 /**
  * Recursively process directory for template files
  * @param {string} dirPath - Directory path
- * @param {Object} variables - Variables to replace
+ * @param {Object} variables - Template variables
  * @param {Object} options - Processing options
  */
 async function processDirectory(dirPath, variables, options) {
@@ -194,61 +192,128 @@ async function processDirectory(dirPath, variables, options) {
 }
 
 /**
- * Process individual file for template variables
+ * Render an individual file if it opted in to templating
  * @param {string} filePath - File path
- * @param {Object} variables - Variables to replace
+ * @param {Object} variables - Template variables
  * @param {Object} options - Processing options
  */
 async function processFile(filePath, variables, options) {
-  const { fileExtensions, templateSuffix, variablePattern } = options;
-  const ext = path.extname(filePath);
+  const { rootPath, include, templateSuffix, logger } = options;
   const isTemplateFile = filePath.endsWith(templateSuffix);
+  const relativePath = toPosixPath(path.relative(rootPath, filePath));
+  const isIncluded = include.some((pattern) =>
+    matchesGlob(relativePath, pattern)
+  );
 
-  // Process template files or files with allowed extensions
-  if (isTemplateFile || fileExtensions.includes(ext)) {
-    try {
-      let content = await fs.readFile(filePath, "utf8");
-      let hasChanges = false;
-
-      // Replace variables
-      content = content.replace(variablePattern, (match, variableName) => {
-        if (variables.hasOwnProperty(variableName)) {
-          hasChanges = true;
-          return variables[variableName];
-        }
-        return match; // Keep original if variable not found
-      });
+  if (!isTemplateFile && !isIncluded) {
+    return;
+  }
 
-      // Write back if changes were made
-      if (hasChanges) {
-        await fs.writeFile(filePath, content, "utf8");
-      }
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    logger.warn(
+      `Warning: Could not process file ${filePath}: ${error.message}`
+    );
+    return;
+  }
 
-      // Remove .template suffix if it's a template file
-      if (isTemplateFile) {
-        const newFilePath = filePath.replace(templateSuffix, "");
-        await fs.move(filePath, newFilePath);
+  let rendered;
+  try {
+    rendered = render(content, variables);
+  } catch (error) {
+    throw new Error(`${relativePath}: ${error.message}`);
+  }
+
+  // Write back if changes were made
+  if (rendered !== content) {
+    await fs.writeFile(filePath, rendered, "utf8");
+  }
+
+  // Remove .template suffix if it's a template file
+  if (isTemplateFile) {
+    const newFilePath = filePath.slice(0, -templateSuffix.length);
+    await fs.move(filePath, newFilePath, { overwrite: true });
+  }
+}
+
+/**
+ * Convert a path to forward slashes
+ * @param {string} filePath - Path
+ * @returns {string} - Path with `/` separators
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * Supports `**`, `*`, `?` and `{a,b}` alternatives.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Regular expression
+ */
+function globToRegExp(pattern) {
+  let regex = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*" && pattern[i + 1] === "*") {
+      // `**/` matches zero or more directories, a trailing `**` matches anything
+      if (pattern[i + 2] === "/") {
+        regex += "(?:.*/)?";
+        i += 2;
+      } else {
+        regex += ".*";
+        i += 1;
       }
-    } catch (error) {
-      // Skip binary files or files that can't be read as text
-      if (error.code !== "EISDIR") {
-        console.warn(
-          chalk.yellow(
-            `Warning: Could not process file ${filePath}: ${error.message}`
-          )
-        );
+    } else if (char === "*") {
+      regex += "[^/]*";
+    } else if (char === "?") {
+      regex += "[^/]";
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        regex += "\\{";
+        continue;
       }
+      const options = pattern
+        .slice(i + 1, end)
+        .split(",")
+        .map((option) => option.replace(/[.+^$()|[\]\\]/g, "\\$&"));
+      regex += `(?:${options.join("|")})`;
+      i = end;
+    } else {
+      regex += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
     }
   }
+
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Check whether a relative path matches a glob pattern
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function matchesGlob(relativePath, pattern) {
+  return globToRegExp(pattern).test(toPosixPath(relativePath));
 }
 
 /**
  * Clean up directory by removing unwanted files/folders
  * @param {string} dirPath - Directory path
  * @param {Array} patterns - Patterns to remove
+ * @param {Object} logger - Logger for errors
  * @returns {Promise<boolean>} - Success status
  */
-async function cleanupDirectory(dirPath, patterns = []) {
+async function cleanupDirectory(
+  dirPath,
+  patterns = [],
+  logger = consoleLogger
+) {
   const defaultPatterns = [
     "node_modules",
     ".git",
@@ -272,7 +337,7 @@ async function cleanupDirectory(dirPath, patterns = []) {
     }
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error cleaning directory: ${error.message}`));
+    logger.error(`Error cleaning directory: ${error.message}`);
     return false;
   }
 }
@@ -310,6 +375,52 @@ async function findFilesByPattern(dirPath, pattern) {
   return results;
 }
 
+/**
+ * List every file in a directory as posix paths relative to it,
+ * skipping node_modules and .git
+ * @param {string} dirPath - Directory to list
+ * @param {string} rootPath - Directory paths are made relative to
+ * @returns {Promise<Array<string>>} - Sorted relative file paths
+ */
+async function listFiles(dirPath, rootPath = dirPath) {
+  const files = [];
+
+  for (const item of await fs.readdir(dirPath)) {
+    const itemPath = path.join(dirPath, item);
+    if ((await fs.stat(itemPath)).isDirectory()) {
+      if (item !== "node_modules" && item !== ".git") {
+        files.push(...(await listFiles(itemPath, rootPath)));
+      }
+    } else {
+      files.push(toPosixPath(path.relative(rootPath, itemPath)));
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Remove directories left empty (for example after filtered copies)
+ * @param {string} dirPath - Directory to clean
+ * @returns {Promise<boolean>} - True if `dirPath` itself is now empty
+ */
+async function removeEmptyDirectories(dirPath) {
+  const items = await fs.readdir(dirPath);
+  let remaining = items.length;
+
+  for (const item of items) {
+    const itemPath = path.join(dirPath, item);
+    if ((await fs.stat(itemPath)).isDirectory()) {
+      if (await removeEmptyDirectories(itemPath)) {
+        await fs.remove(itemPath);
+        remaining--;
+      }
+    }
+  }
+
+  return remaining === 0;
+}
+
 /**
  * Get file/directory size
  * @param {string} itemPath - Path to file or directory
@@ -358,9 +469,14 @@ function formatSize(bytes) {
  * Create a file with content if it doesn't exist
  * @param {string} filePath - Path to file
  * @param {string} content - Content to write
+ * @param {Object} logger - Logger for errors
  * @returns {Promise<boolean>} - Success status
  */
-async function createFileIfNotExists(filePath, content = "") {
+async function createFileIfNotExists(
+  filePath,
+  content = "",
+  logger = consoleLogger
+) {
   try {
     const exists = await fs.pathExists(filePath);
     if (!exists) {
@@ -369,9 +485,7 @@ async function createFileIfNotExists(filePath, content = "") {
     }
     return false; // File already exists
   } catch (error) {
-    console.error(
-      chalk.red(`Error creating file ${filePath}: ${error.message}`)
-    );
+    logger.error(`Error creating file ${filePath}: ${error.message}`);
     return false;
   }
 }
@@ -383,8 +497,12 @@ module.exports = {
   readJsonFile,
   writeJsonFile,
   processTemplateFiles,
+  matchesGlob,
+  toPosixPath,
   cleanupDirectory,
   findFilesByPattern,
+  listFiles,
+  removeEmptyDirectories,
   getSize,
   formatSize,
   createFileIfNotExists,
@@ -0,0 +1,170 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const { consoleLogger } = require("./logger");
+const { runCommand } = require("./runner");
+const { getRunCommand, getExecCommand } = require("./packageManager");
+
+/**
+ * Dev dependencies added with --hooks
+ */
+const GIT_HOOKS_DEV_DEPENDENCIES = {
+  husky: "^9.1.7",
+  "lint-staged": "^15.5.2",
+  "@commitlint/cli": "^19.8.1",
+  "@commitlint/config-conventional": "^19.8.1",
+  prettier: "^3.6.2",
+};
+
+/**
+ * Folder husky reads the hook scripts from
+ */
+const HOOKS_DIR = ".husky";
+
+/**
+ * How long activating the hooks may take
+ */
+const ACTIVATE_TIMEOUT = 60 * 1000;
+
+/**
+ * Checks lint-staged runs on the staged files before each commit
+ */
+const LINT_STAGED_CONFIG = {
+  "*.{js,jsx,ts,tsx}": ["eslint --fix", "prettier --write"],
+  "*.{json,css,md}": "prettier --write",
+};
+
+/**
+ * Script the pre-push hook runs: a type check for TypeScript projects, the
+ * linter for JavaScript ones
+ * @param {Object} variables - Template variables
+ * @returns {string} - package.json script name
+ */
+function getPrePushScript(variables) {
+  return variables.typescript ? "typecheck" : "lint";
+}
+
+/**
+ * Get the hook scripts husky runs, keyed by Git hook name
+ * @param {Object} variables - Template variables (`typescript`, `packageManager`)
+ * @returns {Object} - Script contents keyed by hook name
+ */
+function getGitHookScripts(variables) {
+  const { packageManager } = variables;
+  return {
+    "pre-commit": getExecCommand(packageManager, "lint-staged"),
+    "commit-msg": getExecCommand(packageManager, 'commitlint --edit "$1"'),
+    "pre-push": getRunCommand(packageManager, getPrePushScript(variables)),
+  };
+}
+
+/**
+ * Files written with --hooks, relative to the project
+ * @returns {Array<string>}
+ */
+function getGitHookFiles() {
+  return ["pre-commit", "commit-msg", "pre-push"].map(
+    (hook) => `${HOOKS_DIR}/${hook}`
+  );
+}
+
+/**
+ * Add husky, lint-staged and commitlint to a package.json object, with the
+ * scripts and config they need. Existing scripts and config win.
+ * @param {Object} packageJson - package.json contents (modified in place)
+ * @param {Object} variables - Template variables
+ * @returns {Object} - The same package.json object
+ */
+function applyGitHooksPackages(packageJson, variables) {
+  if (!variables.hooks) {
+    return packageJson;
+  }
+
+  packageJson.devDependencies = {
+    ...GIT_HOOKS_DEV_DEPENDENCIES,
+    ...packageJson.devDependencies,
+  };
+
+  // `prepare` runs after every install, so cloned repositories get the
+  // hooks as well
+  const scripts = { ...packageJson.scripts };
+  scripts.prepare = scripts.prepare ? `${scripts.prepare} && husky` : "husky";
+  if (variables.typescript && !scripts.typecheck) {
+    scripts.typecheck = "tsc --noEmit";
+  }
+  packageJson.scripts = scripts;
+
+  packageJson["lint-staged"] = packageJson["lint-staged"] || LINT_STAGED_CONFIG;
+  packageJson.commitlint = packageJson.commitlint || {
+    extends: ["@commitlint/config-conventional"],
+  };
+
+  return packageJson;
+}
+
+/**
+ * Write the husky hook scripts
+ * @param {string} projectPath - Project directory
+ * @param {Object} variables - Template variables
+ * @returns {Promise<Array<string>>} - Files written, relative to the project
+ */
+async function writeGitHooks(projectPath, variables) {
+  const scripts = getGitHookScripts(variables);
+  for (const [hook, script] of Object.entries(scripts)) {
+    await fs.outputFile(path.join(projectPath, HOOKS_DIR, hook), `${script}\n`);
+  }
+  return getGitHookFiles();
+}
+
+/**
+ * Point Git at the husky hooks by running husky in the new repository.
+ * Without installed dependencies this is left to the `prepare` script on
+ * the first install.
+ * @param {string} projectPath - Project directory, already a Git repository
+ * @param {string} packageManager - Package manager name
+ * @param {Object} logger - Logger
+ * @returns {Promise<string>} - `active`, `pending` (activated on install) or `failed`
+ */
+async function activateGitHooks(
+  projectPath,
+  packageManager,
+  logger = consoleLogger
+) {
+  if (!(await fs.pathExists(path.join(projectPath, "node_modules", "husky")))) {
+    logger.debug("husky is not installed yet; hooks activate on install");
+    return "pending";
+  }
+
+  const [command, ...args] = getExecCommand(packageManager, "husky").split(" ");
+  const result = await runCommand(command, args, {
+    cwd: projectPath,
+    timeout: ACTIVATE_TIMEOUT,
+    // HUSKY=0 in the environment would skip the setup silently
+    env: { HUSKY: "1" },
+    check: false,
+  });
+  // husky reports problems such as a missing .git on stdout and exits with 0
+  const problem = result.error
+    ? result.error.message
+    : (result.stdout + result.stderr).trim();
+  if (result.code !== 0 || problem) {
+    logger.warn(
+      `⚠️ Failed to activate Git hooks: ${problem || `exit ${result.code}`}`
+    );
+    return "failed";
+  }
+
+  logger.success("✓ Git hooks activated");
+  return "active";
+}
+
+module.exports = {
+  GIT_HOOKS_DEV_DEPENDENCIES,
+  HOOKS_DIR,
+  LINT_STAGED_CONFIG,
+  getGitHookScripts,
+  getGitHookFiles,
+  applyGitHooksPackages,
+  writeGitHooks,
+  activateGitHooks,
+};
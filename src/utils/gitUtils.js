@@ -1,10 +1,20 @@
-const { spawn, exec } = require("child_process");
 const fs = require("fs-extra");
 const path = require("path");
 const chalk = require("chalk");
-const { promisify } = require("util");
+const { consoleLogger } = require("./logger");
+const { ask } = require("./prompts");
+const { runCommand } = require("./runner");
+const { getGitignorePatterns } = require("./packageManager");
 
-const execAsync = promisify(exec);
+/**
+ * How long local Git commands may take
+ */
+const GIT_TIMEOUT = 60 * 1000;
+
+/**
+ * How long Git commands that talk to a remote may take
+ */
+const GIT_NETWORK_TIMEOUT = 5 * 60 * 1000;
 
 /**
  * Check if Git is available on the system
@@ -12,7 +22,7 @@ const execAsync = promisify(exec);
  */
 async function isGitAvailable() {
   try {
-    await execAsync("git --version");
+    await runCommand("git", ["--version"], { timeout: GIT_TIMEOUT });
     return true;
   } catch (error) {
     return false;
@@ -33,10 +43,40 @@ async function isGitRepository(dirPath) {
   }
 }
 
+/**
+ * Find the Git repository a directory belongs to, looking in the directory
+ * itself and then in each parent
+ * @param {string} dirPath - Directory path to start from
+ * @returns {Promise<string|null>} - Repository root, or null when there is none
+ */
+async function findGitRoot(dirPath) {
+  let current = path.resolve(dirPath);
+
+  for (;;) {
+    if (await isGitRepository(current)) {
+      return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
 /**
  * Initialize Git repository in the specified directory
  * @param {string} dirPath - Directory path
  * @param {Object} options - Initialization options
+ * @param {string} options.initialBranch - Name of the first branch
+ * @param {boolean} options.createInitialCommit - Commit every file
+ * @param {boolean} options.addGitignore - Create or merge .gitignore
+ * @param {string} options.commitMessage - Message of the initial commit
+ * @param {Array<string>} options.gitignorePatterns - Extra .gitignore patterns
+ * @param {string} options.packageManager - Package manager whose .gitignore entries are added
+ * @param {Function} options.beforeCommit - Called once the repository exists, before the initial commit
+ * @param {boolean} options.noVerify - Make the initial commit without running Git hooks
+ * @param {Object} options.logger - Logger
  * @returns {Promise<boolean>} - Success status
  */
 async function initializeGit(dirPath, options = {}) {
@@ -45,72 +85,91 @@ async function initializeGit(dirPath, options = {}) {
     createInitialCommit = true,
     addGitignore = true,
     commitMessage = "Initial commit from create-titas-app",
+    gitignorePatterns = [],
+    packageManager,
+    beforeCommit,
+    noVerify = false,
+    logger = consoleLogger,
   } = options;
 
   try {
     // Check if Git is available
     if (!(await isGitAvailable())) {
-      console.warn(
-        chalk.yellow("Git is not available. Skipping Git initialization.")
-      );
+      logger.warn("Git is not available. Skipping Git initialization.");
       return false;
     }
 
     // Check if already a Git repository
     if (await isGitRepository(dirPath)) {
-      console.warn(
-        chalk.yellow(
-          "Directory is already a Git repository. Skipping initialization."
-        )
+      logger.warn(
+        "Directory is already a Git repository. Skipping initialization."
       );
       return true;
     }
 
-    console.log(chalk.blue("Initializing Git repository..."));
+    logger.info("Initializing Git repository...");
 
     // Initialize Git repository
     await execInDirectory(
       dirPath,
-      `git init --initial-branch=${initialBranch}`
+      ["init", `--initial-branch=${initialBranch}`],
+      logger
     );
 
     // Create .gitignore if requested
     if (addGitignore) {
-      await createGitignore(dirPath);
+      await createGitignore(dirPath, gitignorePatterns, { packageManager });
+    }
+
+    if (beforeCommit) {
+      await beforeCommit();
     }
 
     if (createInitialCommit) {
       // Add all files
-      await execInDirectory(dirPath, "git add .");
+      await execInDirectory(dirPath, ["add", "."], logger);
 
       // Create initial commit
-      await execInDirectory(dirPath, `git commit -m "${commitMessage}"`);
-
-      console.log(
-        chalk.green("✓ Git repository initialized with initial commit")
+      await execInDirectory(
+        dirPath,
+        ["commit", ...(noVerify ? ["--no-verify"] : []), "-m", commitMessage],
+        logger
       );
+
+      logger.success("✓ Git repository initialized with initial commit");
     } else {
-      console.log(chalk.green("✓ Git repository initialized"));
+      logger.success("✓ Git repository initialized");
     }
 
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error initializing Git: ${error.message}`));
+    logger.error(`Error initializing Git: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Execute Git command in specific directory
+ * Execute Git command in specific directory. Arguments are passed to Git
+ * as they are, so messages, paths and URLs need no quoting.
  * @param {string} dirPath - Directory path
- * @param {string} command - Git command to execute
+ * @param {Array<string>} args - Git arguments, e.g. ["commit", "-m", message]
+ * @param {Object} logger - Logger for warnings printed by Git
+ * @param {number} timeout - Milliseconds before Git is stopped
  * @returns {Promise<string>} - Command output
  */
-async function execInDirectory(dirPath, command) {
+async function execInDirectory(
+  dirPath,
+  args,
+  logger = consoleLogger,
+  timeout = GIT_TIMEOUT
+) {
   try {
-    const { stdout, stderr } = await execAsync(command, { cwd: dirPath });
+    const { stdout, stderr } = await runCommand("git", args, {
+      cwd: dirPath,
+      timeout,
+    });
     if (stderr) {
-      console.warn(chalk.yellow(`Git warning: ${stderr}`));
+      logger.warn(`Git warning: ${stderr}`);
     }
     return stdout.trim();
   } catch (error) {
@@ -119,115 +178,228 @@ async function execInDirectory(dirPath, command) {
 }
 
 /**
- * Create .gitignore file with common patterns
+ * Sections of the generated .gitignore. Package manager entries are added
+ * separately, for the manager the project uses.
+ */
+const GITIGNORE_SECTIONS = [
+  {
+    heading: "Dependencies",
+    patterns: ["node_modules/", "/.pnp", ".pnp.js"],
+  },
+  { heading: "Testing", patterns: ["/coverage"] },
+  { heading: "Next.js", patterns: ["/.next/", "/out/"] },
+  { heading: "Production builds", patterns: ["/build", "/dist"] },
+  {
+    heading: "Environment variables",
+    patterns: [
+      ".env",
+      ".env.local",
+      ".env.development.local",
+      ".env.test.local",
+      ".env.production.local",
+    ],
+  },
+  { heading: "Logs", patterns: ["lerna-debug.log*"] },
+  {
+    heading: "Runtime data",
+    patterns: ["pids", "*.pid", "*.seed", "*.pid.lock"],
+  },
+  {
+    heading: "IDE and editor files",
+    patterns: [".vscode/", ".idea/", "*.swp", "*.swo", "*~"],
+  },
+  {
+    heading: "OS generated files",
+    patterns: [
+      ".DS_Store",
+      ".DS_Store?",
+      "._*",
+      ".Spotlight-V100",
+      ".Trashes",
+      "ehthumbs.db",
+      "Thumbs.db",
+    ],
+  },
+  { heading: "Temporary folders", patterns: ["tmp/", "temp/"] },
+  { heading: "Optional eslint cache", patterns: [".eslintcache"] },
+  { heading: "Optional stylelint cache", patterns: [".stylelintcache"] },
+  {
+    heading: "Microbundle cache",
+    patterns: [
+      ".rpt2_cache/",
+      ".rts2_cache_cjs/",
+      ".rts2_cache_es/",
+      ".rts2_cache_umd/",
+    ],
+  },
+  { heading: "Optional REPL history", patterns: [".node_repl_history"] },
+  { heading: "Output of 'npm pack'", patterns: ["*.tgz"] },
+  {
+    heading: "Stores VSCode versions used for testing VSCode extensions",
+    patterns: [".vscode-test"],
+  },
+];
+
+/**
+ * Reduce a .gitignore pattern to the form used to compare it with others:
+ * `/node_modules` and `node_modules/` name the same folder
+ * @param {string} pattern - Pattern as written
+ * @returns {string}
+ */
+function normalizeGitignorePattern(pattern) {
+  const negated = pattern.startsWith("!");
+  const body = (negated ? pattern.slice(1) : pattern)
+    .replace(/^\//, "")
+    .replace(/\/$/, "");
+  return negated ? `!${body}` : body;
+}
+
+/**
+ * Check whether a .gitignore already handles a pattern: it is listed, it is
+ * negated (the template wants the file kept), or a wildcard pattern such as
+ * `.env*.local` matches it
+ * @param {string} pattern - Normalized pattern to add
+ * @param {Set<string>} existing - Normalized patterns already listed
+ * @returns {boolean}
+ */
+function isIgnoredBy(pattern, existing) {
+  const body = pattern.replace(/^!/, "");
+  if (existing.has(body) || existing.has(`!${body}`)) {
+    return true;
+  }
+  if (pattern.startsWith("!") || /[*?[]/.test(body)) {
+    return false;
+  }
+
+  return [...existing].some((candidate) => {
+    if (candidate.startsWith("!") || !/[*?]/.test(candidate)) {
+      return false;
+    }
+    const source = candidate
+      .split(/(\*\*|\*|\?)/)
+      .map((part) => {
+        if (part === "**") return ".*";
+        if (part === "*") return "[^/]*";
+        if (part === "?") return "[^/]";
+        return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("");
+    return new RegExp(`^${source}$`).test(body);
+  });
+}
+
+/**
+ * Merge sections of patterns into .gitignore contents line by line. The
+ * existing lines keep their order, comments and sections, with repeated
+ * patterns dropped; each section is appended under its heading with only
+ * the patterns that are not handled yet.
+ * @param {string} content - Existing .gitignore contents ("" for none)
+ * @param {Array<Object>} sections - { heading, patterns } to merge in
+ * @returns {string} - Merged contents
+ */
+function mergeGitignore(content, sections) {
+  const existing = new Set();
+  const lines = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    const pattern = line.trim();
+    if (pattern && !pattern.startsWith("#")) {
+      const normalized = normalizeGitignorePattern(pattern);
+      if (existing.has(normalized)) {
+        continue;
+      }
+      existing.add(normalized);
+    }
+    lines.push(line);
+  }
+
+  for (const { heading, patterns } of sections) {
+    const missing = patterns.filter((pattern) => {
+      const normalized = normalizeGitignorePattern(pattern);
+      if (isIgnoredBy(normalized, existing)) {
+        return false;
+      }
+      existing.add(normalized);
+      return true;
+    });
+    if (missing.length > 0) {
+      lines.push("", `# ${heading}`, ...missing);
+    }
+  }
+
+  while (lines.length > 0 && lines[0].trim() === "") lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1].trim() === "") {
+    lines.pop();
+  }
+  return `${lines.join("\n").replace(/\n{3,}/g, "\n\n")}\n`;
+}
+
+/**
+ * Create .gitignore with common patterns, merged into the one the template
+ * ships so its own entries and sections are kept
  * @param {string} dirPath - Directory path
- * @param {Array} additionalPatterns - Additional patterns to add
+ * @param {Array} additionalPatterns - Additional patterns to add, e.g. from the template manifest
+ * @param {Object} options - Options
+ * @param {string} options.packageManager - Add this package manager's logs and caches
+ * @param {Object} options.logger - Logger for errors
  * @returns {Promise<boolean>} - Success status
  */
-async function createGitignore(dirPath, additionalPatterns = []) {
-  const gitignoreContent = `# Dependencies
-node_modules/
-/.pnp
-.pnp.js
-
-# Testing
-/coverage
-
-# Next.js
-/.next/
-/out/
-
-# Production builds
-/build
-/dist
-
-# Environment variables
-.env
-.env.local
-.env.development.local
-.env.test.local
-.env.production.local
-
-# Logs
-npm-debug.log*
-yarn-debug.log*
-yarn-error.log*
-lerna-debug.log*
-.pnpm-debug.log*
-
-# Runtime data
-pids
-*.pid
-*.seed
-*.pid.lock
-
-# IDE and editor files
-.vscode/
-.idea/
-*.swp
-*.swo
-*~
-
-# OS generated files
-.DS_Store
-.DS_Store?
-._*
-.Spotlight-V100
-.Trashes
-ehthumbs.db
-Thumbs.db
-
-# Temporary folders
-tmp/
-temp/
-
-# Optional npm cache directory
-.npm
-
-# Optional eslint cache
-.eslintcache
-
-# Optional stylelint cache
-.stylelintcache
-
-# Microbundle cache
-.rpt2_cache/
-.rts2_cache_cjs/
-.rts2_cache_es/
-.rts2_cache_umd/
-
-# Optional REPL history
-.node_repl_history
-
-# Output of 'npm pack'
-*.tgz
-
-# Yarn Integrity file
-.yarn-integrity
-
-# Stores VSCode versions used for testing VSCode extensions
-.vscode-test
-
-# Yarn v2
-.yarn/cache
-.yarn/unplugged
-.yarn/build-state.yml
-.yarn/install-state.gz
-.pnp.*
-
-${
-  additionalPatterns.length > 0
-    ? "\n# Additional patterns\n" + additionalPatterns.join("\n")
-    : ""
-}
-`;
+async function createGitignore(dirPath, additionalPatterns = [], options = {}) {
+  const { packageManager, logger = consoleLogger } = options;
+  const sections = [...GITIGNORE_SECTIONS];
+  if (packageManager) {
+    sections.push({
+      heading: `Package manager (${packageManager})`,
+      patterns: getGitignorePatterns(packageManager),
+    });
+  }
+  sections.push({
+    heading: "Additional patterns",
+    patterns: additionalPatterns,
+  });
 
   try {
     const gitignorePath = path.join(dirPath, ".gitignore");
-    await fs.writeFile(gitignorePath, gitignoreContent);
+    const content = (await fs.pathExists(gitignorePath))
+      ? await fs.readFile(gitignorePath, "utf8")
+      : "";
+    await fs.writeFile(gitignorePath, mergeGitignore(content, sections));
+    return true;
+  } catch (error) {
+    logger.error(`Error creating .gitignore: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Append patterns to an existing .gitignore, skipping ones already listed
+ * @param {string} dirPath - Directory path
+ * @param {Array<string>} patterns - Patterns to add
+ * @param {string} heading - Comment written above the new patterns
+ * @param {Object} logger - Logger for errors
+ * @returns {Promise<boolean>} - Success status
+ */
+async function appendToGitignore(
+  dirPath,
+  patterns,
+  heading,
+  logger = consoleLogger
+) {
+  const gitignorePath = path.join(dirPath, ".gitignore");
+
+  try {
+    if (!(await fs.pathExists(gitignorePath))) {
+      return false;
+    }
+
+    const content = await fs.readFile(gitignorePath, "utf8");
+    await fs.writeFile(
+      gitignorePath,
+      mergeGitignore(content, [{ heading, patterns }])
+    );
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error creating .gitignore: ${error.message}`));
+    logger.error(`Error updating .gitignore: ${error.message}`);
     return false;
   }
 }
@@ -238,12 +410,12 @@ ${
  */
 async function checkGitConfig() {
   try {
-    const userName = await execAsync("git config --global user.name")
-      .then((r) => r.stdout.trim())
-      .catch(() => null);
-    const userEmail = await execAsync("git config --global user.email")
-      .then((r) => r.stdout.trim())
-      .catch(() => null);
+    const getValue = (key) =>
+      runCommand("git", ["config", "--global", key], { timeout: GIT_TIMEOUT })
+        .then((result) => result.stdout.trim())
+        .catch(() => null);
+    const userName = await getValue("user.name");
+    const userEmail = await getValue("user.email");
 
     return {
       hasUserName: !!userName,
@@ -262,10 +434,13 @@ async function checkGitConfig() {
 }
 
 /**
- * Set up Git configuration interactively
+ * Set up Git configuration interactively: missing values are asked for and
+ * stored with `git config --global`, or explained when prompts are not
+ * possible
+ * @param {Object} promptOptions - Pre-filled answers (`gitUserName`, `gitUserEmail`) and interactivity
  * @returns {Promise<boolean>} - Success status
  */
-async function setupGitConfig() {
+async function setupGitConfig(promptOptions = { nonInteractive: true }) {
   try {
     const config = await checkGitConfig();
 
@@ -280,19 +455,62 @@ async function setupGitConfig() {
 
     console.log(chalk.yellow("Git configuration is incomplete."));
 
-    if (!config.hasUserName) {
-      console.log(chalk.blue("Please set your Git username:"));
-      console.log(chalk.gray('git config --global user.name "Your Name"'));
+    const questions = [
+      !config.hasUserName && {
+        type: "input",
+        name: "gitUserName",
+        message: "Your name for Git commits:",
+        validate: (value) => Boolean(value.trim()) || "Enter a name",
+      },
+      !config.hasUserEmail && {
+        type: "input",
+        name: "gitUserEmail",
+        message: "Your email for Git commits:",
+        validate: (value) =>
+          /^[^\s@]+@[^\s@]+$/.test(value.trim()) || "Enter an email address",
+      },
+    ].filter(Boolean);
+
+    const canAsk =
+      !promptOptions.nonInteractive ||
+      questions.every((question) =>
+        Object.prototype.hasOwnProperty.call(
+          promptOptions.answers || {},
+          question.name
+        )
+      );
+
+    if (!canAsk) {
+      if (!config.hasUserName) {
+        console.log(chalk.blue("Please set your Git username:"));
+        console.log(chalk.gray('git config --global user.name "Your Name"'));
+      }
+
+      if (!config.hasUserEmail) {
+        console.log(chalk.blue("Please set your Git email:"));
+        console.log(
+          chalk.gray('git config --global user.email "your.email@example.com"')
+        );
+      }
+
+      return false;
     }
 
-    if (!config.hasUserEmail) {
-      console.log(chalk.blue("Please set your Git email:"));
-      console.log(
-        chalk.gray('git config --global user.email "your.email@example.com"')
-      );
+    const answers = await ask(questions, promptOptions);
+    const values = {
+      "user.name": answers.gitUserName,
+      "user.email": answers.gitUserEmail,
+    };
+    for (const [key, value] of Object.entries(values)) {
+      if (value) {
+        await runCommand("git", ["config", "--global", key, value.trim()], {
+          timeout: GIT_TIMEOUT,
+        });
+      }
     }
 
-    return false;
+    console.log(chalk.green("✓ Git identity saved to your global Git config"));
+    return true;
   } catch (error) {
     console.error(
       chalk.red(`Error checking Git configuration: ${error.message}`)
@@ -306,58 +524,112 @@ async function setupGitConfig() {
  * @param {string} repoUrl - Repository URL
  * @param {string} targetDir - Target directory
  * @param {Object} options - Clone options
+ * @param {string} options.commit - Commit to check out; clones the full
+ * history, so `branch` and `depth` are ignored
  * @returns {Promise<boolean>} - Success status
  */
 async function cloneRepository(repoUrl, targetDir, options = {}) {
-  const { branch = null, depth = null, removeGitHistory = false } = options;
+  const {
+    commit = null,
+    removeGitHistory = false,
+    logger = consoleLogger,
+  } = options;
+  const { branch = null, depth = null } = commit ? {} : options;
 
   try {
     if (!(await isGitAvailable())) {
       throw new Error("Git is not available");
     }
 
-    let cloneCommand = `git clone ${repoUrl} ${targetDir}`;
+    const args = ["clone"];
 
     if (branch) {
-      cloneCommand += ` --branch ${branch}`;
+      args.push("--branch", branch);
     }
 
     if (depth) {
-      cloneCommand += ` --depth ${depth}`;
+      args.push("--depth", String(depth));
     }
 
-    console.log(chalk.blue(`Cloning repository from ${repoUrl}...`));
-    await execAsync(cloneCommand);
+    // `--` keeps a URL or path starting with `-` from being read as an option
+    args.push("--", repoUrl, targetDir);
+
+    logger.info(`Cloning repository from ${repoUrl}...`);
+    await runCommand("git", args, { timeout: GIT_NETWORK_TIMEOUT });
+    if (commit) {
+      await runCommand("git", ["checkout", "--quiet", "--detach", commit], {
+        cwd: targetDir,
+        timeout: GIT_TIMEOUT,
+      });
+    }
 
     if (removeGitHistory) {
       const gitDir = path.join(targetDir, ".git");
       await fs.remove(gitDir);
-      console.log(chalk.green("✓ Repository cloned and Git history removed"));
+      logger.success("✓ Repository cloned and Git history removed");
     } else {
-      console.log(chalk.green("✓ Repository cloned successfully"));
+      logger.success("✓ Repository cloned successfully");
     }
 
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error cloning repository: ${error.message}`));
+    logger.error(`Error cloning repository: ${error.message}`);
     return false;
   }
 }
 
+/**
+ * Get the commit a repository's HEAD points at
+ * @param {string} dirPath - Repository directory
+ * @returns {Promise<string>} - Full commit hash
+ */
+async function getHeadCommit(dirPath) {
+  return execInDirectory(dirPath, ["rev-parse", "HEAD"]);
+}
+
+/**
+ * Make a remote given as a local path absolute, so it still points at the
+ * same repository from another working directory. URLs (`https://`,
+ * `ssh://`, `file://`) and scp-like addresses (`git@host:org/repo`) are
+ * returned as they are.
+ * @param {string} remoteUrl - Remote URL or path
+ * @param {string} cwd - Directory a relative path is resolved against
+ * @returns {string} - Remote URL
+ */
+function resolveRemoteUrl(remoteUrl, cwd = process.cwd()) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(remoteUrl)) {
+    return remoteUrl;
+  }
+  if (/^[^/\\]+@[^/\\:]+:/.test(remoteUrl)) {
+    return remoteUrl;
+  }
+  return path.resolve(cwd, remoteUrl);
+}
+
 /**
  * Add remote repository
  * @param {string} dirPath - Repository directory
  * @param {string} remoteName - Remote name (e.g., 'origin')
  * @param {string} remoteUrl - Remote URL
+ * @param {Object} logger - Logger for the outcome
  * @returns {Promise<boolean>} - Success status
  */
-async function addRemote(dirPath, remoteName, remoteUrl) {
+async function addRemote(
+  dirPath,
+  remoteName,
+  remoteUrl,
+  logger = consoleLogger
+) {
   try {
-    await execInDirectory(dirPath, `git remote add ${remoteName} ${remoteUrl}`);
-    console.log(chalk.green(`✓ Added remote '${remoteName}': ${remoteUrl}`));
+    await execInDirectory(
+      dirPath,
+      ["remote", "add", remoteName, remoteUrl],
+      logger
+    );
+    logger.success(`✓ Added remote '${remoteName}': ${remoteUrl}`);
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error adding remote: ${error.message}`));
+    logger.warn(`⚠️ Could not add remote '${remoteName}': ${error.message}`);
     return false;
   }
 }
@@ -365,22 +637,23 @@ async function addRemote(dirPath, remoteName, remoteUrl) {
 /**
  * Get current Git status
  * @param {string} dirPath - Repository directory
+ * @param {Object} logger - Logger for errors
  * @returns {Promise<Object|null>} - Git status information
  */
-async function getGitStatus(dirPath) {
+async function getGitStatus(dirPath, logger = consoleLogger) {
   try {
     if (!(await isGitRepository(dirPath))) {
       return null;
     }
 
-    const statusOutput = await execInDirectory(
-      dirPath,
-      "git status --porcelain"
-    );
-    const branchOutput = await execInDirectory(
-      dirPath,
-      "git branch --show-current"
-    );
+    const statusOutput = await execInDirectory(dirPath, [
+      "status",
+      "--porcelain",
+    ]);
+    const branchOutput = await execInDirectory(dirPath, [
+      "branch",
+      "--show-current",
+    ]);
 
     const files = statusOutput
       .split("\n")
@@ -397,7 +670,7 @@ async function getGitStatus(dirPath) {
       files,
     };
   } catch (error) {
-    console.error(chalk.red(`Error getting Git status: ${error.message}`));
+    logger.error(`Error getting Git status: ${error.message}`);
     return null;
   }
 }
@@ -407,6 +680,11 @@ async function getGitStatus(dirPath) {
  * @param {string} dirPath - Repository directory
  * @param {string} remoteUrl - Remote repository URL
  * @param {Object} options - Push options
+ * @param {string} options.remoteName - Remote to push to, added when missing
+ * @param {string} options.branch - Branch to push and track
+ * @param {string} options.commitMessage - Message of the commit created when there is none yet
+ * @param {boolean} options.noVerify - Commit and push without running Git hooks
+ * @param {Object} options.logger - Logger for the outcome
  * @returns {Promise<boolean>} - Success status
  */
 async function pushToRemote(dirPath, remoteUrl, options = {}) {
@@ -414,40 +692,57 @@ async function pushToRemote(dirPath, remoteUrl, options = {}) {
     remoteName = "origin",
     branch = "main",
     commitMessage = "Initial commit from create-titas-app",
-    createRepo = false,
+    noVerify = false,
+    logger = consoleLogger,
   } = options;
+  const verifyArgs = noVerify ? ["--no-verify"] : [];
 
   try {
     // Add remote if it doesn't exist
-    const remoteExists = await execInDirectory(
-      dirPath,
-      `git remote get-url ${remoteName}`
-    )
+    const remoteExists = await execInDirectory(dirPath, [
+      "remote",
+      "get-url",
+      remoteName,
+    ])
       .then(() => true)
       .catch(() => false);
 
-    if (!remoteExists) {
-      await addRemote(dirPath, remoteName, remoteUrl);
+    if (
+      !remoteExists &&
+      !(await addRemote(dirPath, remoteName, remoteUrl, logger))
+    ) {
+      return false;
     }
 
     // Check if there are any commits
-    const hasCommits = await execInDirectory(dirPath, "git rev-parse HEAD")
+    const hasCommits = await execInDirectory(dirPath, ["rev-parse", "HEAD"])
       .then(() => true)
       .catch(() => false);
 
     if (!hasCommits) {
       // Create initial commit
-      await execInDirectory(dirPath, "git add .");
-      await execInDirectory(dirPath, `git commit -m "${commitMessage}"`);
+      await execInDirectory(dirPath, ["add", "."], logger);
+      await execInDirectory(
+        dirPath,
+        ["commit", ...verifyArgs, "-m", commitMessage],
+        logger
+      );
     }
 
-    // Push to remote
-    await execInDirectory(dirPath, `git push -u ${remoteName} ${branch}`);
-    console.log(chalk.green(`✓ Pushed to ${remoteName}/${branch}`));
+    // Push to remote; --quiet keeps Git's progress on stderr out of the warnings
+    await execInDirectory(
+      dirPath,
+      ["push", "--quiet", ...verifyArgs, "-u", remoteName, branch],
+      logger,
+      GIT_NETWORK_TIMEOUT
+    );
+    logger.success(`✓ Pushed to ${remoteName}/${branch}`);
 
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error pushing to remote: ${error.message}`));
+    logger.warn(
+      `⚠️ Could not push to ${remoteName}/${branch}: ${error.message}`
+    );
     return false;
   }
 }
@@ -456,17 +751,20 @@ async function pushToRemote(dirPath, remoteUrl, options = {}) {
  * Create a new branch and switch to it
  * @param {string} dirPath - Repository directory
  * @param {string} branchName - New branch name
+ * @param {Object} logger - Logger for the outcome
  * @returns {Promise<boolean>} - Success status
  */
-async function createBranch(dirPath, branchName) {
+async function createBranch(dirPath, branchName, logger = consoleLogger) {
   try {
-    await execInDirectory(dirPath, `git checkout -b ${branchName}`);
-    console.log(
-      chalk.green(`✓ Created and switched to branch '${branchName}'`)
+    await execInDirectory(
+      dirPath,
+      ["checkout", "--quiet", "-b", branchName],
+      logger
     );
+    logger.success(`✓ Created and switched to branch '${branchName}'`);
     return true;
   } catch (error) {
-    console.error(chalk.red(`Error creating branch: ${error.message}`));
+    logger.warn(`⚠️ Could not create branch '${branchName}': ${error.message}`);
     return false;
   }
 }
@@ -478,19 +776,12 @@ async function createBranch(dirPath, branchName) {
  */
 async function getLastCommit(dirPath) {
   try {
-    const hash = await execInDirectory(dirPath, "git rev-parse HEAD");
-    const message = await execInDirectory(
-      dirPath,
-      'git log -1 --pretty=format:"%s"'
-    );
-    const author = await execInDirectory(
-      dirPath,
-      'git log -1 --pretty=format:"%an <%ae>"'
-    );
-    const date = await execInDirectory(
-      dirPath,
-      'git log -1 --pretty=format:"%ci"'
-    );
+    const hash = await execInDirectory(dirPath, ["rev-parse", "HEAD"]);
+    const log = (format) =>
+      execInDirectory(dirPath, ["log", "-1", `--pretty=format:${format}`]);
+    const message = await log("%s");
+    const author = await log("%an <%ae>");
+    const date = await log("%ci");
 
     return {
       hash: hash.substring(0, 7), // Short hash
@@ -507,11 +798,16 @@ async function getLastCommit(dirPath) {
 module.exports = {
   isGitAvailable,
   isGitRepository,
+  findGitRoot,
   initializeGit,
   createGitignore,
+  mergeGitignore,
+  appendToGitignore,
   checkGitConfig,
   setupGitConfig,
   cloneRepository,
+  getHeadCommit,
+  resolveRemoteUrl,
   addRemote,
   getGitStatus,
   pushToRemote,
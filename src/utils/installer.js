@@ -0,0 +1,359 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const { ScaffoldError, InstallError } = require("./errors");
+const { consoleLogger } = require("./logger");
+const { runCommand } = require("./runner");
+const { PACKAGE_MANAGERS, hasLockfile } = require("./packageManager");
+
+/**
+ * How each package manager spells the install options. `null` means the
+ * option is not supported and is ignored with a warning.
+ */
+const INSTALL_FLAGS = {
+  npm: {
+    offline: ["--offline"],
+    preferOffline: ["--prefer-offline"],
+    registry: (url) => [`--registry=${url}`],
+  },
+  yarn: {
+    offline: ["--offline"],
+    preferOffline: ["--prefer-offline"],
+    frozenLockfile: ["--frozen-lockfile"],
+    registry: (url) => ["--registry", url],
+  },
+  pnpm: {
+    offline: ["--offline"],
+    preferOffline: ["--prefer-offline"],
+    frozenLockfile: ["--frozen-lockfile"],
+    registry: (url) => [`--registry=${url}`],
+  },
+  bun: {
+    offline: null,
+    preferOffline: null,
+    frozenLockfile: ["--frozen-lockfile"],
+    registry: (url) => [`--registry=${url}`],
+  },
+};
+
+/**
+ * Yarn 2 and later (Berry) renamed --frozen-lockfile, dropped the offline
+ * flags and only reads the registry from its config or the environment
+ */
+const YARN_BERRY_FLAGS = {
+  offline: null,
+  preferOffline: null,
+  frozenLockfile: ["--immutable"],
+  registry: null,
+  registryEnv: "YARN_NPM_REGISTRY_SERVER",
+};
+
+/**
+ * How long asking a package manager for its version may take; corepack
+ * may download the version a project pins first
+ */
+const VERSION_TIMEOUT = 30 * 1000;
+
+/**
+ * Output that points at a flaky network rather than a broken project
+ */
+const NETWORK_ERROR_PATTERN =
+  /\b(ECONNRESET|ECONNREFUSED|ETIMEDOUT|ESOCKETTIMEDOUT|ENOTFOUND|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH|socket hang up|network timeout|ERR_SOCKET_TIMEOUT)\b|\b50[234]\b.*(Bad Gateway|Service Unavailable|Gateway Time-?out)/i;
+
+/**
+ * Most output kept for error messages and network error detection
+ */
+const OUTPUT_LIMIT = 64 * 1024;
+
+/**
+ * Build the command and arguments that install dependencies
+ * @param {string} packageManager - Package manager name
+ * @param {Object} options - Install options
+ * @param {boolean} options.offline - Only use the local cache
+ * @param {boolean} options.preferOffline - Use the cache when possible
+ * @param {string} options.registry - Registry URL
+ * @param {boolean} options.frozenLockfile - Fail instead of updating the lockfile
+ * @param {string} options.version - Package manager version, to tell Yarn
+ * 1 and Yarn Berry apart
+ * @param {Object} logger - Logger for ignored options
+ * @returns {Object} - { command, args, env }
+ */
+function getInstallArgs(packageManager, options = {}, logger = consoleLogger) {
+  const flags =
+    packageManager === "yarn" && parseInt(options.version, 10) >= 2
+      ? YARN_BERRY_FLAGS
+      : INSTALL_FLAGS[packageManager];
+  if (!flags) {
+    throw new ScaffoldError(`Unsupported package manager "${packageManager}"`, {
+      code: "INVALID_OPTIONS",
+    });
+  }
+
+  if (options.offline && options.preferOffline) {
+    throw new ScaffoldError("Use either --offline or --prefer-offline", {
+      code: "INVALID_OPTIONS",
+    });
+  }
+
+  // npm has a separate command for installing from the lockfile as-is
+  const args =
+    packageManager === "npm" && options.frozenLockfile ? ["ci"] : ["install"];
+  const env = {};
+
+  for (const option of ["offline", "preferOffline", "frozenLockfile"]) {
+    if (
+      !options[option] ||
+      (packageManager === "npm" && option === "frozenLockfile")
+    ) {
+      continue;
+    }
+    if (flags[option]) {
+      args.push(...flags[option]);
+    } else {
+      logger.warn(
+        `⚠️ ${
+          flags === YARN_BERRY_FLAGS
+            ? `yarn ${options.version}`
+            : packageManager
+        } does not support --${option.replace(
+          /[A-Z]/g,
+          (letter) => `-${letter.toLowerCase()}`
+        )}; ignoring it`
+      );
+    }
+  }
+
+  if (options.registry) {
+    let registry;
+    try {
+      registry = new URL(options.registry);
+    } catch (error) {
+      registry = null;
+    }
+    if (!registry || !["http:", "https:"].includes(registry.protocol)) {
+      throw new ScaffoldError(`Invalid registry URL "${options.registry}"`, {
+        code: "INVALID_OPTIONS",
+      });
+    }
+    if (flags.registry) {
+      args.push(...flags.registry(options.registry));
+    } else {
+      env[flags.registryEnv] = options.registry;
+    }
+  }
+
+  return { command: packageManager, args, env };
+}
+
+/**
+ * Ask a package manager for its version in a directory, which matters for
+ * yarn: a `packageManager` field can pin Yarn Berry through corepack
+ * @param {string} packageManager - Package manager name
+ * @param {string} cwd - Directory to run in
+ * @returns {Promise<string|null>} - Version, or null when it can't be run
+ */
+async function getPackageManagerVersion(packageManager, cwd) {
+  const result = await runCommand(packageManager, ["--version"], {
+    cwd,
+    timeout: VERSION_TIMEOUT,
+    check: false,
+  });
+  return result.code === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Work out the yarn version from the files around a directory, without
+ * running yarn: the nearest `packageManager` field names it, and a
+ * .yarnrc.yml only exists for Yarn Berry
+ * @param {string} dirPath - Directory the install would run in (may not exist yet)
+ * @returns {Promise<string|null>} - Version, or null when nothing tells
+ */
+async function readYarnVersion(dirPath) {
+  for (let current = path.resolve(dirPath); ; current = path.dirname(current)) {
+    const packageJson = await fs
+      .readJson(path.join(current, "package.json"))
+      .catch(() => null);
+    const pinned = packageJson && packageJson.packageManager;
+    if (typeof pinned === "string" && pinned.startsWith("yarn@")) {
+      return pinned.slice("yarn@".length).split("+")[0];
+    }
+    if (await fs.pathExists(path.join(current, ".yarnrc.yml"))) {
+      return "2";
+    }
+    if (path.dirname(current) === current) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Work out the install options for a directory: the package manager's
+ * version, and --frozen-lockfile dropped when there is no lockfile to
+ * install from (generated projects never ship one)
+ * @param {string} projectPath - Directory the install runs in
+ * @param {Object} options - Install options
+ * @param {string} options.packageManager - Package manager name
+ * @param {boolean} options.probe - Run `yarn --version`; when false the
+ * version is read from the files around the project, or Yarn 1 is assumed
+ * and `versionAssumed` set
+ * @param {Object} logger - Logger
+ * @returns {Promise<Object>} - Install options
+ */
+async function resolveInstallOptions(
+  projectPath,
+  options = {},
+  logger = consoleLogger
+) {
+  const { packageManager = "npm", probe = true } = options;
+  const resolved = { ...options, packageManager };
+
+  if (
+    options.frozenLockfile &&
+    PACKAGE_MANAGERS[packageManager] &&
+    !hasLockfile(projectPath, packageManager)
+  ) {
+    logger.warn(
+      `⚠️ No ${PACKAGE_MANAGERS[packageManager].lockfiles[0]} to install from; ignoring --frozen-lockfile`
+    );
+    resolved.frozenLockfile = false;
+  }
+
+  if (packageManager === "yarn" && !options.version) {
+    if (probe) {
+      resolved.version = await getPackageManagerVersion("yarn", projectPath);
+    } else {
+      resolved.version = await readYarnVersion(projectPath);
+      if (!resolved.version) {
+        resolved.version = "1";
+        resolved.versionAssumed = true;
+      }
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Check whether failed install output looks like a network problem
+ * @param {string} output - Package manager output
+ * @returns {boolean}
+ */
+function isNetworkError(output) {
+  return NETWORK_ERROR_PATTERN.test(output || "");
+}
+
+/**
+ * Run one install attempt, streaming each output line to `onProgress`.
+ * With `cancelOnSignal`, Ctrl-C (or SIGTERM) stops the package manager and
+ * rejects with a CancelledError instead of killing the CLI outright.
+ * @param {string} projectPath - Project directory
+ * @param {Object} install - { command, args } from getInstallArgs()
+ * @param {Function} onProgress - Called with each non-empty output line
+ * @param {boolean} cancelOnSignal - Listen for SIGINT and SIGTERM
+ * @returns {Promise<void>}
+ */
+async function runInstall(projectPath, install, onProgress, cancelOnSignal) {
+  // stdout and stderr interleaved, as the package manager printed them
+  let output = "";
+
+  const result = await runCommand(install.command, install.args, {
+    cwd: projectPath,
+    env: { FORCE_COLOR: "0", ...install.env },
+    check: false,
+    outputLimit: OUTPUT_LIMIT,
+    cancelOnSignal,
+    onOutput: (line) => {
+      output = `${output}${line}\n`.slice(-OUTPUT_LIMIT);
+      onProgress(line);
+    },
+  });
+
+  if (result.error) {
+    throw new InstallError(
+      result.error.code === "ENOENT"
+        ? `${install.command} is not installed or not found in PATH. Please install it or choose another package manager with --use-npm`
+        : `Could not start ${install.command}: ${result.error.message}`,
+      { cause: result.error }
+    );
+  }
+
+  if (result.code !== 0) {
+    const lastLines = output.trim().split(/\r?\n/).slice(-10).join("\n");
+    throw new InstallError(
+      `${install.command} ${install.args.join(" ")} exited with code ${
+        result.code
+      }${lastLines ? `:\n${lastLines}` : ""}`,
+      { output, exitCode: result.code }
+    );
+  }
+}
+
+/**
+ * Install project dependencies, retrying when the network fails
+ * @param {string} projectPath - Project directory
+ * @param {Object} options - Install options
+ * @param {string} options.packageManager - Package manager name
+ * @param {boolean} options.offline - Only use the local cache
+ * @param {boolean} options.preferOffline - Use the cache when possible
+ * @param {string} options.registry - Registry URL
+ * @param {boolean} options.frozenLockfile - Fail instead of updating the lockfile
+ * @param {number} options.retries - Extra attempts after a network failure
+ * @param {number} options.retryDelay - Milliseconds before the first retry, doubled each time
+ * @param {Function} options.onProgress - Called with each output line
+ * @param {boolean} options.cancelOnSignal - Stop the install on Ctrl-C or SIGTERM
+ * @param {Object} options.logger - Logger
+ * @returns {Promise<Object>} - { command, attempts }
+ */
+async function installDependencies(projectPath, options = {}) {
+  const {
+    packageManager = "npm",
+    retries = 2,
+    retryDelay = 1000,
+    onProgress = () => {},
+    cancelOnSignal = false,
+    logger = consoleLogger,
+  } = options;
+
+  const install = getInstallArgs(
+    packageManager,
+    await resolveInstallOptions(projectPath, options, logger),
+    logger
+  );
+  const command = [install.command, ...install.args].join(" ");
+
+  logger.info(`📦 Installing dependencies with ${packageManager}...`);
+  logger.debug(`Running: ${command}`);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await runInstall(projectPath, install, onProgress, cancelOnSignal);
+      logger.success("✅ Dependencies installed successfully!");
+      return { command, attempts: attempt };
+    } catch (error) {
+      const canRetry =
+        error instanceof InstallError &&
+        !options.offline &&
+        attempt <= retries &&
+        isNetworkError(error.output);
+      if (!canRetry) {
+        throw error;
+      }
+
+      const delay = retryDelay * 2 ** (attempt - 1);
+      logger.warn(
+        `⚠️ Network error while installing, retrying in ${
+          delay / 1000
+        }s (${attempt}/${retries})...`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  getInstallArgs,
+  getPackageManagerVersion,
+  resolveInstallOptions,
+  isNetworkError,
+  installDependencies,
+};
@@ -0,0 +1,68 @@
+const chalk = require("chalk");
+
+/**
+ * Levels every logger passed around while scaffolding supports
+ */
+const LOG_LEVELS = ["debug", "info", "success", "warn", "error"];
+
+/**
+ * Logger that prints to the console with the CLI's colors
+ */
+const consoleLogger = {
+  debug: (message) => console.log(chalk.gray(message)),
+  info: (message) => console.log(chalk.blue(message)),
+  success: (message) => console.log(chalk.green(message)),
+  warn: (message) => console.warn(chalk.yellow(message)),
+  error: (message) => console.error(chalk.red(message)),
+  step: () => {},
+  pause: () => {},
+};
+
+/**
+ * Logger that discards everything
+ */
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  step: () => {},
+  pause: () => {},
+};
+
+/**
+ * Fill in the methods a partial logger (or `console`) is missing.
+ * `success` falls back to `info`, and any other missing level to `log`.
+ * `step` reports progress such as "Copying template files..." and `pause`
+ * hides that progress before a prompt; both are ignored unless provided.
+ * @param {Object} logger - Logger with some of debug/info/success/warn/error/step/pause/log
+ * @returns {Object} - Logger with every level
+ */
+function createLogger(logger) {
+  if (!logger) {
+    return silentLogger;
+  }
+
+  const call = (name) =>
+    typeof logger[name] === "function" ? logger[name].bind(logger) : null;
+  const fallback = call("log") || (() => {});
+
+  const normalized = {
+    step: call("step") || (() => {}),
+    pause: call("pause") || (() => {}),
+  };
+  for (const level of LOG_LEVELS) {
+    normalized[level] =
+      call(level) || (level === "success" && call("info")) || fallback;
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  consoleLogger,
+  silentLogger,
+  createLogger,
+};
@@ -0,0 +1,140 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const chalk = require("chalk");
+
+const { runCommand } = require("./runner");
+
+/**
+ * Check whether file contents look binary (a NUL byte near the start)
+ * @param {Buffer} content - File contents
+ * @returns {boolean}
+ */
+function isBinary(content) {
+  return content.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Run a callback with a temporary directory that is removed afterwards
+ * @param {Function} callback - (dirPath) => Promise
+ * @returns {Promise<*>} - Whatever the callback returns
+ */
+async function withTempDir(callback) {
+  const dirPath = await fs.mkdtemp(path.join(os.tmpdir(), "create-titas-app-"));
+  try {
+    return await callback(dirPath);
+  } finally {
+    await fs.remove(dirPath);
+  }
+}
+
+/**
+ * Three-way merge one file with `git merge-file`. Both sides' changes are
+ * kept; where they collide the result has conflict markers.
+ * @param {Object} versions - File contents
+ * @param {Buffer} versions.current - The user's version
+ * @param {Buffer} versions.base - The version the project was generated from
+ * @param {Buffer} versions.other - The new template version
+ * @param {Array<string>} labels - Conflict marker labels for current, base and other
+ * @returns {Promise<Object|null>} - { content, conflicts }, or null when git is not available
+ */
+async function mergeFile(versions, labels = ["current", "base", "template"]) {
+  return withTempDir(async (dirPath) => {
+    const names = ["current", "base", "other"];
+    const files = names.map((name) => path.join(dirPath, name));
+    await Promise.all(
+      names.map((name, index) => fs.writeFile(files[index], versions[name]))
+    );
+
+    const args = ["merge-file", "-p"];
+    labels.forEach((label) => args.push("-L", label));
+
+    const result = await runCommand("git", [...args, ...files], {
+      encoding: "buffer",
+      check: false,
+    });
+    if (result.error && result.error.code === "ENOENT") {
+      return null;
+    }
+    // git merge-file exits with the number of conflicts
+    if (result.code !== null && result.code >= 0 && result.code < 128) {
+      return { content: result.stdout, conflicts: result.code };
+    }
+    throw new Error(
+      `git merge-file failed: ${
+        result.error ? result.error.message : result.stderr.toString().trim()
+      }`
+    );
+  });
+}
+
+/**
+ * Build a unified diff between two versions of a file with
+ * `git diff --no-index`
+ * @param {string} filePath - Path shown in the diff headers
+ * @param {Buffer|null} before - Old contents, or null when the file is added
+ * @param {Buffer|null} after - New contents, or null when the file is removed
+ * @returns {Promise<string|null>} - Diff, or null when git is not available
+ */
+async function diffFile(filePath, before, after) {
+  return withTempDir(async (dirPath) => {
+    const sides = [];
+    for (const [prefix, content] of [
+      ["a", before],
+      ["b", after],
+    ]) {
+      if (content === null) {
+        sides.push(os.devNull);
+        continue;
+      }
+      const sidePath = path.join(prefix, filePath);
+      await fs.outputFile(path.join(dirPath, sidePath), content);
+      sides.push(sidePath);
+    }
+
+    const result = await runCommand(
+      "git",
+      ["diff", "--no-index", "--no-color", "--no-prefix", "--", ...sides],
+      { cwd: dirPath, check: false }
+    );
+    if (result.error && result.error.code === "ENOENT") {
+      return null;
+    }
+    // git diff exits with 1 when the files differ
+    if (result.code === 0 || result.code === 1) {
+      return result.stdout;
+    }
+    throw new Error(
+      `git diff failed: ${
+        result.error ? result.error.message : result.stderr.trim()
+      }`
+    );
+  });
+}
+
+/**
+ * Color the added, removed and hunk lines of a unified diff
+ * @param {string} diff - Unified diff
+ * @returns {string} - Colored diff
+ */
+function colorizeDiff(diff) {
+  return diff
+    .split("\n")
+    .map((line) => {
+      if (line.startsWith("+") && !line.startsWith("+++")) {
+        return chalk.green(line);
+      }
+      if (line.startsWith("-") && !line.startsWith("---")) {
+        return chalk.red(line);
+      }
+      return line.startsWith("@@") ? chalk.cyan(line) : line;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  isBinary,
+  mergeFile,
+  diffFile,
+  colorizeDiff,
+};
@@ -0,0 +1,131 @@
+const { applyTailwindPackages } = require("./tailwindUtils");
+const { applyGitHooksPackages } = require("./gitHooks");
+const { removeTypescriptDependencies } = require("./typescriptUtils");
+const { getComponentDependencies } = require("./componentRegistry");
+
+/**
+ * Dev dependencies added when TypeScript is requested
+ */
+const TYPESCRIPT_DEV_DEPENDENCIES = {
+  typescript: "^5.0.0",
+  "@types/node": "^20.0.0",
+  "@types/react": "^18.0.0",
+  "@types/react-dom": "^18.0.0",
+};
+
+/**
+ * Set package.json fields, merging object fields such as `scripts` one
+ * level deep rather than replacing them
+ * @param {Object} packageJson - package.json contents
+ * @param {Object} fields - Fields to set
+ * @returns {Object} - New package.json contents
+ */
+function mergePackageJsonFields(packageJson, fields = {}) {
+  const isObject = (value) =>
+    value && typeof value === "object" && !Array.isArray(value);
+
+  const merged = { ...packageJson };
+  for (const [key, value] of Object.entries(fields)) {
+    merged[key] =
+      isObject(value) && isObject(merged[key])
+        ? { ...merged[key], ...value }
+        : value;
+  }
+  return merged;
+}
+
+/**
+ * Merge a template's package.json with the project details, the packages its
+ * registry components need, the manifest's dependencies and the packages for
+ * the selected features
+ * @param {Object} packageJson - package.json shipped with the template
+ * @param {Object} variables - Template variables
+ * @param {Object} template - Template manifest
+ * @returns {Object} - Merged package.json contents
+ */
+function mergePackageJson(packageJson, variables, template) {
+  // Create or update package.json with project details
+  const merged = {
+    name: variables.projectName,
+    version: "0.1.0",
+    private: true,
+    scripts: {
+      dev: "next dev",
+      build: "next build",
+      start: "next start",
+      lint: "next lint",
+      ...packageJson.scripts,
+    },
+    ...packageJson,
+    name: variables.projectName,
+  };
+
+  // Add the packages its registry components need, keeping versions the
+  // template already pins
+  merged.dependencies = { ...merged.dependencies };
+  const componentDependencies = getComponentDependencies(
+    template.components,
+    template.registryDir
+  );
+  for (const [name, version] of Object.entries(componentDependencies)) {
+    if (!merged.dependencies[name]) {
+      merged.dependencies[name] = version;
+    }
+  }
+
+  // Components left out without Tailwind CSS take their packages with them
+  const droppedDependencies = getComponentDependencies(
+    template.droppedComponents,
+    template.registryDir
+  );
+  for (const name of Object.keys(droppedDependencies)) {
+    delete merged.dependencies[name];
+  }
+
+  // Add dependencies declared by the template manifest
+  merged.dependencies = {
+    ...merged.dependencies,
+    ...template.dependencies,
+  };
+  merged.devDependencies = {
+    ...merged.devDependencies,
+    ...template.devDependencies,
+  };
+
+  // Add TypeScript dependencies if requested
+  if (variables.typescript) {
+    merged.devDependencies = {
+      ...merged.devDependencies,
+      ...TYPESCRIPT_DEV_DEPENDENCIES,
+    };
+  }
+
+  // Add Tailwind CSS for the selected version, or drop it entirely
+  applyTailwindPackages(merged, variables);
+
+  // Add husky, lint-staged and commitlint with --hooks
+  applyGitHooksPackages(merged, variables);
+
+  // Apply package.json fields from the manifest, presets and config files
+  return mergePackageJsonFields(merged, template.packageJson);
+}
+
+/**
+ * Work out the package.json a project ends up with, including the
+ * TypeScript packages removed when it is converted to JavaScript
+ * @param {Object} packageJson - package.json shipped with the template
+ * @param {Object} variables - Template variables
+ * @param {Object} template - Template manifest
+ * @returns {Object} - Final package.json contents
+ */
+function resolvePackageJson(packageJson, variables, template) {
+  const merged = mergePackageJson(packageJson, variables, template);
+  return variables.typescript ? merged : removeTypescriptDependencies(merged);
+}
+
+module.exports = {
+  TYPESCRIPT_DEV_DEPENDENCIES,
+  mergePackageJsonFields,
+  mergePackageJson,
+  resolvePackageJson,
+};
@@ -0,0 +1,197 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const { ScaffoldError } = require("./errors");
+
+/**
+ * Supported package managers, in the order they are listed in help output
+ */
+const PACKAGE_MANAGERS = {
+  npm: {
+    lockfiles: ["package-lock.json"],
+    install: "npm install",
+    run: (script) => `npm run ${script}`,
+    exec: (command) => `npx --no -- ${command}`,
+    gitignore: ["npm-debug.log*", ".npm"],
+  },
+  yarn: {
+    lockfiles: ["yarn.lock"],
+    install: "yarn install",
+    run: (script) => `yarn ${script}`,
+    exec: (command) => `yarn ${command}`,
+    gitignore: [
+      "yarn-debug.log*",
+      "yarn-error.log*",
+      ".yarn-integrity",
+      ".pnp.*",
+      // Yarn Berry: keep the checked-in parts of .yarn, ignore its caches
+      ".yarn/*",
+      "!.yarn/patches",
+      "!.yarn/plugins",
+      "!.yarn/releases",
+      "!.yarn/sdks",
+      "!.yarn/versions",
+    ],
+  },
+  pnpm: {
+    lockfiles: ["pnpm-lock.yaml"],
+    install: "pnpm install",
+    run: (script) => `pnpm ${script}`,
+    exec: (command) => `pnpm exec ${command}`,
+    gitignore: [".pnpm-debug.log*", ".pnpm-store/"],
+  },
+  bun: {
+    lockfiles: ["bun.lock", "bun.lockb"],
+    install: "bun install",
+    run: (script) => `bun run ${script}`,
+    exec: (command) => `bunx ${command}`,
+    // Temporary files `bun build --compile` can leave behind
+    gitignore: ["*.bun-build"],
+  },
+};
+
+/**
+ * Lockfiles of every supported package manager
+ */
+const LOCKFILES = Object.values(PACKAGE_MANAGERS).flatMap(
+  (manager) => manager.lockfiles
+);
+
+/**
+ * Option key of the `--use-<name>` flag for a package manager
+ * @param {string} name - Package manager name
+ * @returns {string} - Commander option key (e.g. `usePnpm`)
+ */
+function getUseOptionKey(name) {
+  return `use${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+/**
+ * Work out which package manager invoked the CLI from the user agent that
+ * npx, `yarn create`, `pnpm dlx`/`pnpm create` and bunx all set
+ * @param {string} userAgent - Value of npm_config_user_agent
+ * @returns {string|null} - Package manager name, or null when unknown
+ */
+function parseUserAgent(userAgent) {
+  const [name] = String(userAgent || "").split("/");
+  return PACKAGE_MANAGERS[name] ? name : null;
+}
+
+/**
+ * Pick the package manager: an explicit `--use-*` flag or `packageManager`
+ * option first, then the one that ran the CLI, then npm
+ * @param {Object} options - CLI options
+ * @param {Object} env - Environment variables
+ * @returns {string} - Package manager name
+ */
+function detectPackageManager(options = {}, env = process.env) {
+  const requested = Object.keys(PACKAGE_MANAGERS).filter(
+    (name) => options[getUseOptionKey(name)]
+  );
+
+  if (options.packageManager) {
+    if (!PACKAGE_MANAGERS[options.packageManager]) {
+      throw new ScaffoldError(
+        `Unsupported package manager "${
+          options.packageManager
+        }". Use one of: ${Object.keys(PACKAGE_MANAGERS).join(", ")}`,
+        { code: "INVALID_OPTIONS" }
+      );
+    }
+    requested.push(options.packageManager);
+  }
+
+  const unique = [...new Set(requested)];
+  if (unique.length > 1) {
+    throw new ScaffoldError(
+      `Choose a single package manager, got: ${unique.join(", ")}`,
+      { code: "INVALID_OPTIONS" }
+    );
+  }
+  if (unique.length === 1) {
+    return unique[0];
+  }
+
+  return parseUserAgent(env.npm_config_user_agent) || "npm";
+}
+
+/**
+ * Work out which package manager an existing project uses from its lockfile,
+ * falling back to detectPackageManager()
+ * @param {string} projectPath - Project directory
+ * @param {Object} options - CLI options
+ * @returns {string} - Package manager name
+ */
+function detectProjectPackageManager(projectPath, options = {}) {
+  const found = Object.keys(PACKAGE_MANAGERS).find((name) =>
+    hasLockfile(projectPath, name)
+  );
+  return found || detectPackageManager(options);
+}
+
+/**
+ * Check whether a directory has a lockfile of the given package manager
+ * @param {string} dirPath - Directory to look in
+ * @param {string} name - Package manager name
+ * @returns {boolean}
+ */
+function hasLockfile(dirPath, name) {
+  return PACKAGE_MANAGERS[name].lockfiles.some((lockfile) =>
+    fs.existsSync(path.join(dirPath, lockfile))
+  );
+}
+
+/**
+ * Get the command that installs a project's dependencies
+ * @param {string} name - Package manager name
+ * @returns {string} - Install command
+ */
+function getInstallCommand(name) {
+  return PACKAGE_MANAGERS[name].install;
+}
+
+/**
+ * Get the command that runs a package.json script
+ * @param {string} name - Package manager name
+ * @param {string} script - Script name
+ * @returns {string} - Run command
+ */
+function getRunCommand(name, script) {
+  return PACKAGE_MANAGERS[name].run(script);
+}
+
+/**
+ * Get the command that runs a binary installed in the project, without
+ * downloading it when it is missing
+ * @param {string} name - Package manager name
+ * @param {string} command - Binary and its arguments
+ * @returns {string} - Exec command
+ */
+function getExecCommand(name, command) {
+  return PACKAGE_MANAGERS[name].exec(command);
+}
+
+/**
+ * Get the .gitignore entries for a package manager: its own debug logs and
+ * caches. Lockfiles are never ignored, so switching managers later keeps
+ * the new lockfile in version control.
+ * @param {string} name - Package manager name
+ * @returns {Array<string>} - .gitignore patterns
+ */
+function getGitignorePatterns(name) {
+  return PACKAGE_MANAGERS[name].gitignore;
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  LOCKFILES,
+  getUseOptionKey,
+  parseUserAgent,
+  detectPackageManager,
+  detectProjectPackageManager,
+  hasLockfile,
+  getInstallCommand,
+  getRunCommand,
+  getExecCommand,
+  getGitignorePatterns,
+};
@@ -0,0 +1,586 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { builtinModules } = require("module");
+
+const { listFiles } = require("./fileUtils");
+const { readJsonWithComments } = require("./componentRegistry");
+const { ENV_LOCAL_FILE, parseEnvFile } = require("./envFile");
+
+/**
+ * Source files that are scanned for imports and environment variables
+ */
+const SOURCE_EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx"];
+
+/**
+ * Build output and caches that are never scanned
+ */
+const IGNORED_DIRECTORIES = [".next", "out", "dist", "build", "coverage"];
+
+/**
+ * Environment variables set by Node.js, Next.js or the host rather than
+ * the project's .env files
+ */
+const RUNTIME_ENV_KEYS = ["NODE_ENV", "NEXT_RUNTIME", "PORT", "CI", "TZ"];
+
+/**
+ * Locations Next.js picks the middleware up from
+ */
+const MIDDLEWARE_FILES = [
+  "middleware.ts",
+  "middleware.js",
+  "src/middleware.ts",
+  "src/middleware.js",
+];
+
+/**
+ * Get the 1-based line number of a character offset
+ * @param {string} content - File contents
+ * @param {number} index - Character offset
+ * @returns {number}
+ */
+function getLine(content, index) {
+  return content.slice(0, index).split("\n").length;
+}
+
+/**
+ * Blank out comments while keeping offsets and line numbers intact, so
+ * commented-out code is not reported
+ * @param {string} content - Source code
+ * @returns {string}
+ */
+function stripComments(content) {
+  return content.replace(
+    /("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    (match, string) => string || match.replace(/[^\n]/g, " ")
+  );
+}
+
+/**
+ * Read the project's source files
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Array<Object>>} - { file, content } with comments blanked out
+ */
+async function readSourceFiles(projectPath) {
+  const files = (await listFiles(projectPath)).filter(
+    (file) =>
+      SOURCE_EXTENSIONS.includes(path.extname(file)) &&
+      !IGNORED_DIRECTORIES.includes(file.split("/")[0]) &&
+      !/\.config\.[cm]?[jt]s$/.test(file) &&
+      !file.endsWith(".d.ts")
+  );
+
+  const sources = [];
+  for (const file of files) {
+    const content = await fs.readFile(path.join(projectPath, file), "utf8");
+    sources.push({ file, content: stripComments(content) });
+  }
+  return sources;
+}
+
+/**
+ * Read the `paths` mappings of tsconfig.json or jsconfig.json
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Object|null>} - { file, baseUrl, paths }, or null without either file
+ */
+async function readPathMappings(projectPath) {
+  for (const file of ["tsconfig.json", "jsconfig.json"]) {
+    const filePath = path.join(projectPath, file);
+    const config = await readJsonWithComments(filePath);
+    if (config) {
+      const { baseUrl = ".", paths = {} } = config.compilerOptions || {};
+      return { file, baseUrl, paths };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map an import alias to a path with the tsconfig `paths` mappings
+ * @param {Object} mappings - Result of readPathMappings()
+ * @param {string} alias - Import alias, e.g. `@/components`
+ * @returns {string|null} - Path relative to the project, or null when no mapping matches
+ */
+function matchPathMapping(mappings, alias) {
+  for (const [pattern, targets] of Object.entries(mappings.paths)) {
+    const [target] = [].concat(targets);
+    if (!target) continue;
+
+    if (pattern.endsWith("*")) {
+      const prefix = pattern.slice(0, -1);
+      if (alias.startsWith(prefix)) {
+        return path.posix.join(
+          mappings.baseUrl,
+          target.replace("*", alias.slice(prefix.length))
+        );
+      }
+    } else if (pattern === alias) {
+      return path.posix.join(mappings.baseUrl, target);
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the line of a JSON key in a file, or 1 when it is not found
+ * @param {string} content - File contents
+ * @param {string} key - Key name
+ * @returns {number}
+ */
+function findKeyLine(content, key) {
+  const index = content.indexOf(`"${key}"`);
+  return index === -1 ? 1 : getLine(content, index);
+}
+
+/**
+ * Static imports, require() and dynamic import() calls, and re-exports
+ */
+const IMPORT_PATTERN =
+  /\bimport\s+(?:type\s+)?(?:[\w*{}\s,$]+\s+from\s+)?["']([^"']+)["']|\b(?:require|import)\(\s*["']([^"']+)["']\s*\)|\bexport\s+[\w*{}\s,$]+\s+from\s+["']([^"']+)["']/g;
+
+/**
+ * Get the package an import specifier belongs to
+ * @param {string} specifier - Import specifier
+ * @returns {string|null} - Package name, or null for relative, absolute and built-in imports
+ */
+function getPackageName(specifier) {
+  if (/^(\.|\/|[a-z]+:)/i.test(specifier)) {
+    return null;
+  }
+  const parts = specifier.split("/");
+  const name = specifier.startsWith("@")
+    ? parts.slice(0, 2).join("/")
+    : parts[0];
+  return builtinModules.includes(name) ? null : name;
+}
+
+/**
+ * List the packages a source file imports
+ * @param {string} content - File contents
+ * @returns {Array<string>} - Package names; `@/` aliases are left out
+ */
+function getImportedPackages(content) {
+  const names = new Set();
+  for (const match of content.matchAll(IMPORT_PATTERN)) {
+    const specifier = match[1] || match[2] || match[3];
+    const name = !specifier.startsWith("@/") && getPackageName(specifier);
+    if (name) names.add(name);
+  }
+  return [...names];
+}
+
+/**
+ * Project checks, in the order they are reported. Each `run` resolves with
+ * a list of findings { status, message, hint, file, line }; a check with no
+ * findings passes with its `passMessage`.
+ */
+const PROJECT_CHECKS = [
+  {
+    id: "env-local",
+    title: "Environment variables",
+    run: async ({ projectPath }) => {
+      const examplePath = path.join(projectPath, ".env.example");
+      if (!(await fs.pathExists(examplePath))) {
+        return { findings: [], passMessage: "no .env.example to compare" };
+      }
+
+      const expected = parseEnvFile(await fs.readFile(examplePath, "utf8"));
+      const localPath = path.join(projectPath, ENV_LOCAL_FILE);
+      if (!(await fs.pathExists(localPath))) {
+        return {
+          findings: [
+            {
+              status: "warn",
+              message: `.env.local not found; none of the ${expected.length} key(s) in .env.example are set`,
+              hint: "Copy .env.example to .env.local and fill in your values",
+              file: ".env.example",
+              line: expected.length > 0 ? expected[0].line : 1,
+            },
+          ],
+        };
+      }
+
+      const local = parseEnvFile(await fs.readFile(localPath, "utf8"));
+      const findings = expected
+        .filter(({ key }) => !local.some((entry) => entry.key === key))
+        .map(({ key, line }) => ({
+          status: "warn",
+          message: `${key} is missing from .env.local`,
+          hint: `Add ${key}=... to .env.local`,
+          file: ".env.example",
+          line,
+        }));
+      return {
+        findings,
+        passMessage: `.env.local sets all ${expected.length} key(s) from .env.example`,
+      };
+    },
+  },
+  {
+    id: "env-example",
+    title: "Documented variables",
+    run: async ({ projectPath, sources }) => {
+      const examplePath = path.join(projectPath, ".env.example");
+      const documented = (await fs.pathExists(examplePath))
+        ? parseEnvFile(await fs.readFile(examplePath, "utf8")).map(
+            (entry) => entry.key
+          )
+        : [];
+
+      const findings = [];
+      const reported = new Set();
+      for (const { file, content } of sources) {
+        const pattern =
+          /process\.env\.([A-Za-z_]\w*)|process\.env\[["']([A-Za-z_]\w*)["']\]/g;
+        let match;
+        while ((match = pattern.exec(content))) {
+          const key = match[1] || match[2];
+          if (
+            documented.includes(key) ||
+            RUNTIME_ENV_KEYS.includes(key) ||
+            key.startsWith("VERCEL") ||
+            reported.has(key)
+          ) {
+            continue;
+          }
+          reported.add(key);
+          findings.push({
+            status: "warn",
+            message: `${key} is used but not listed in .env.example`,
+            hint: `Add ${key}= to .env.example so others know to set it`,
+            file,
+            line: getLine(content, match.index),
+          });
+        }
+      }
+      return {
+        findings,
+        passMessage: "every variable used in the source is in .env.example",
+      };
+    },
+  },
+  {
+    id: "middleware",
+    title: "Middleware",
+    run: async ({ projectPath }) => {
+      const found = [];
+      for (const file of MIDDLEWARE_FILES) {
+        if (await fs.pathExists(path.join(projectPath, file))) found.push(file);
+      }
+      if (found.length === 0) {
+        return { findings: [], passMessage: "no middleware" };
+      }
+
+      const file = found[0];
+      const raw = await fs.readFile(path.join(projectPath, file), "utf8");
+      const content = stripComments(raw);
+      const findings = [];
+      const report = (status, message, hint, index = 0) =>
+        findings.push({
+          status,
+          message,
+          hint,
+          file,
+          line: getLine(content, index),
+        });
+
+      const usesSrc = await fs.pathExists(path.join(projectPath, "src/app"));
+      if (usesSrc !== file.startsWith("src/")) {
+        report(
+          "warn",
+          usesSrc
+            ? "is outside src/ while the app is in src/app; Next.js only loads middleware next to the app directory"
+            : "is in src/ while the app is not; Next.js only loads middleware next to the app directory",
+          `Move it to ${usesSrc ? "src/" : "the project root"}`
+        );
+      }
+      if (found.length > 1) {
+        report(
+          "warn",
+          `${found
+            .slice(1)
+            .join(", ")} also exists; only one middleware file is used`,
+          "Keep a single middleware file"
+        );
+      }
+
+      if (
+        !/export\s+(async\s+)?function\s+middleware\b|export\s+default\b|export\s+(const|let)\s+middleware\b/.test(
+          content
+        )
+      ) {
+        report(
+          "fail",
+          "does not export a `middleware` function",
+          "Export `async function middleware(request)` or a default function"
+        );
+      }
+
+      const importPattern = /import\s[^;]*?from\s+["'](@\/[^"']+)["']/g;
+      const mappings = await readPathMappings(projectPath);
+      let match;
+      while ((match = importPattern.exec(content))) {
+        const target =
+          (mappings && matchPathMapping(mappings, match[1])) ||
+          path.posix.join("src", match[1].slice(2));
+        const exists = await Promise.all(
+          ["", ...SOURCE_EXTENSIONS, "/index.ts", "/index.js"].map((ext) =>
+            fs.pathExists(path.join(projectPath, target + ext))
+          )
+        );
+        if (!exists.some(Boolean)) {
+          report(
+            "fail",
+            `imports ${match[1]}, which does not exist`,
+            "Fix the import or restore the file",
+            match.index
+          );
+        }
+      }
+
+      const configIndex = content.search(/\bmatcher\s*:/);
+      if (configIndex === -1) {
+        report(
+          "warn",
+          "has no config.matcher, so it runs on every request including static files",
+          "Export `config = { matcher: [...] }` that skips _next/static and _next/image"
+        );
+        return { findings };
+      }
+
+      const valueStart = content.indexOf(":", configIndex) + 1;
+      const rest = content.slice(valueStart);
+      const isArray = /^\s*\[/.test(rest);
+      if (!isArray && !/^\s*["']/.test(rest)) {
+        report(
+          "fail",
+          "config.matcher is not a literal; Next.js reads it at build time",
+          "Use a string or an array of strings",
+          configIndex
+        );
+        return { findings };
+      }
+
+      // Object matchers ({ source, has, missing }) are not validated
+      const literalPattern =
+        /(\s*)(?:"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)')\s*,?/y;
+      literalPattern.lastIndex = isArray ? rest.indexOf("[") + 1 : 0;
+      const matchers = [];
+      while ((match = literalPattern.exec(rest))) {
+        const source = match[2] !== undefined ? match[2] : match[3];
+        matchers.push({
+          value: source.replace(/\\(.)/g, "$1"),
+          index: valueStart + match.index + match[1].length,
+        });
+        if (!isArray) break;
+      }
+
+      for (const matcher of matchers) {
+        if (!matcher.value.startsWith("/")) {
+          report(
+            "fail",
+            `matcher "${matcher.value}" must start with /`,
+            "Next.js rejects matchers that are not absolute paths",
+            matcher.index
+          );
+          continue;
+        }
+        try {
+          new RegExp(matcher.value.replace(/\/:(\w+)[*+?]?/g, "/$1"));
+        } catch (error) {
+          report(
+            "fail",
+            `matcher "${matcher.value}" is not a valid pattern: ${error.message}`,
+            "Check the parentheses and escapes of the pattern",
+            matcher.index
+          );
+        }
+      }
+
+      const catchAll = matchers.filter((matcher) =>
+        matcher.value.startsWith("/((?!")
+      );
+      for (const matcher of catchAll) {
+        const missing = ["_next/static", "_next/image"].filter(
+          (prefix) => !matcher.value.includes(prefix)
+        );
+        if (missing.length > 0) {
+          report(
+            "warn",
+            `matcher does not exclude ${missing.join(
+              " and "
+            )}, so the middleware runs for static assets`,
+            `Add ${missing.join("|")} to the negative lookahead`,
+            matcher.index
+          );
+        }
+      }
+
+      return {
+        findings,
+        passMessage: `${file} is in place with ${matchers.length} matcher(s)`,
+      };
+    },
+  },
+  {
+    id: "components-aliases",
+    title: "components.json aliases",
+    run: async ({ projectPath }) => {
+      const configPath = path.join(projectPath, "components.json");
+      if (!(await fs.pathExists(configPath))) {
+        return { findings: [], passMessage: "no components.json" };
+      }
+
+      const raw = await fs.readFile(configPath, "utf8");
+      const aliases = JSON.parse(raw).aliases || {};
+      const mappings = await readPathMappings(projectPath);
+      if (!mappings) {
+        return {
+          findings: [
+            {
+              status: "fail",
+              message: "no tsconfig.json or jsconfig.json defines the aliases",
+              hint: 'Add "paths": { "@/*": ["./src/*"] } to tsconfig.json',
+              file: "components.json",
+              line: findKeyLine(raw, "aliases"),
+            },
+          ],
+        };
+      }
+
+      const findings = [];
+      for (const [name, alias] of Object.entries(aliases)) {
+        if (!matchPathMapping(mappings, alias)) {
+          findings.push({
+            status: "fail",
+            message: `alias ${name} (${alias}) matches no paths entry in ${mappings.file}`,
+            hint: `Fix the alias or add a matching "paths" entry to ${mappings.file}`,
+            file: "components.json",
+            line: findKeyLine(raw, name),
+          });
+        }
+      }
+      return {
+        findings,
+        passMessage: `${Object.keys(aliases).length} alias(es) match ${
+          mappings.file
+        }`,
+      };
+    },
+  },
+  {
+    id: "dependencies",
+    title: "Dependencies",
+    run: async ({ projectPath, sources }) => {
+      const packageJson = await fs
+        .readJson(path.join(projectPath, "package.json"))
+        .catch(() => null);
+      if (!packageJson) {
+        return {
+          findings: [
+            {
+              status: "fail",
+              message: "package.json not found or not valid JSON",
+              hint: "Run doctor --project inside a generated project",
+              file: "package.json",
+              line: 1,
+            },
+          ],
+        };
+      }
+
+      const declared = new Set(
+        [
+          packageJson.name,
+          ...[
+            "dependencies",
+            "devDependencies",
+            "peerDependencies",
+            "optionalDependencies",
+          ].flatMap((field) => Object.keys(packageJson[field] || {})),
+        ].filter(Boolean)
+      );
+      const mappings = await readPathMappings(projectPath);
+      const aliasPrefixes = Object.keys((mappings && mappings.paths) || {}).map(
+        (pattern) => pattern.replace(/\*$/, "")
+      );
+
+      const findings = [];
+      const reported = new Set();
+      for (const { file, content } of sources) {
+        let match;
+        while ((match = IMPORT_PATTERN.exec(content))) {
+          const specifier = match[1] || match[2] || match[3];
+          if (aliasPrefixes.some((prefix) => specifier.startsWith(prefix))) {
+            continue;
+          }
+          const name = getPackageName(specifier);
+          if (!name || declared.has(name) || reported.has(name)) continue;
+
+          reported.add(name);
+          findings.push({
+            status: "fail",
+            message: `"${name}" is imported but not in package.json`,
+            hint: `Install it, e.g. \`npm install ${name}\``,
+            file,
+            line: getLine(content, match.index),
+          });
+        }
+      }
+      return {
+        findings,
+        passMessage: `every imported package is in package.json`,
+      };
+    },
+  },
+];
+
+/**
+ * Audit a generated project for common misconfiguration
+ * @param {Object} options - Check options
+ * @param {string} options.projectPath - Project directory
+ * @returns {Promise<Array<Object>>} - { id, title, status, message, hint, file, line } per finding, or a passing result per clean check
+ */
+async function runProjectChecks(options = {}) {
+  const { projectPath = process.cwd() } = options;
+  const sources = await readSourceFiles(projectPath);
+  const results = [];
+
+  for (const check of PROJECT_CHECKS) {
+    let outcome;
+    try {
+      outcome = await check.run({ projectPath, sources });
+    } catch (error) {
+      outcome = {
+        findings: [{ status: "fail", message: error.message, file: null }],
+      };
+    }
+
+    const base = {
+      id: check.id,
+      title: check.title,
+      hint: null,
+      fixable: false,
+    };
+    if (outcome.findings.length === 0) {
+      results.push({
+        ...base,
+        status: "pass",
+        message: outcome.passMessage,
+        file: null,
+        line: null,
+      });
+      continue;
+    }
+    outcome.findings.forEach((finding) =>
+      results.push({ ...base, line: null, ...finding })
+    );
+  }
+
+  return results;
+}
+
+module.exports = {
+  PROJECT_CHECKS,
+  getImportedPackages,
+  runProjectChecks,
+};
@@ -0,0 +1,135 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const { version: GENERATOR_VERSION } = require("../../package.json");
+
+/**
+ * File in a generated project that records how it was generated
+ */
+const PROJECT_CONFIG_FILE = ".titasrc.json";
+
+/**
+ * Work out a template's version: the manifest's `version`, or the version
+ * of create-titas-app for the built-in templates
+ * @param {Object} template - Template manifest with its `source`
+ * @returns {string|null} - Template version, or null when unknown
+ */
+function getTemplateVersion(template) {
+  if (template.version) {
+    return template.version;
+  }
+  return !template.source || template.source.type === "builtin"
+    ? GENERATOR_VERSION
+    : null;
+}
+
+/**
+ * Turn a template's source into a value that can be fetched again later
+ * from inside the project. Local paths, local git repositories included,
+ * are made absolute.
+ * @param {Object} template - Template manifest with its `source`
+ * @returns {string} - Value for `--template`
+ */
+function getRecordedSource(template) {
+  const { source } = template;
+  if (!source) {
+    return template.name;
+  }
+  if (source.type === "local") {
+    return source.path;
+  }
+  if (source.type === "tarball") {
+    return `file:${source.path}`;
+  }
+  if (source.type === "git" && path.isAbsolute(source.url)) {
+    const ref = source.ref || "";
+    const suffix = source.subdir ? `${ref}/${source.subdir}` : ref;
+    return `file:${source.url}${suffix ? `#${suffix}` : ""}`;
+  }
+  return source.source;
+}
+
+/**
+ * Get what pins a template's source to the exact contents used, so
+ * `upgrade` can fetch them again: a commit, an npm version or a hash of
+ * the files. Built-in templates are pinned by the generator version.
+ * @param {Object} template - Template manifest with its `source`
+ * @returns {Object|null} - Pin from fetchTemplate(), or null
+ */
+function getTemplatePin(template) {
+  return (template.source && template.source.pin) || null;
+}
+
+/**
+ * Build the contents of .titasrc.json
+ * @param {Object} context - How the project was generated
+ * @param {Object} context.template - Template manifest
+ * @param {string} context.projectName - Project name
+ * @param {Object} context.answers - Answers to the template's prompts
+ * @param {Object} context.options - CLI options
+ * @param {string} context.packageManager - Package manager name
+ * @returns {Object} - Project config
+ */
+function createProjectConfig(context) {
+  const { template, projectName, answers, options, packageManager } = context;
+  const pin = getTemplatePin(template);
+
+  return {
+    template: template.name,
+    source: getRecordedSource(template),
+    version: getTemplateVersion(template),
+    ...(pin && { pin }),
+    generator: GENERATOR_VERSION,
+    projectName,
+    packageManager,
+    answers: {
+      ...answers,
+      typescript: Boolean(options.typescript),
+      tailwind: Boolean(options.tailwind),
+      tailwindVersion: String(options.tailwindVersion || "3"),
+      hooks: Boolean(options.hooks),
+    },
+  };
+}
+
+/**
+ * Read a project's .titasrc.json
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Object>} - Project config
+ */
+async function readProjectConfig(projectPath) {
+  const configPath = path.join(projectPath, PROJECT_CONFIG_FILE);
+  if (!(await fs.pathExists(configPath))) {
+    throw new Error(
+      `No ${PROJECT_CONFIG_FILE} found in ${projectPath}. Only projects generated by create-titas-app can be upgraded.`
+    );
+  }
+
+  try {
+    return await fs.readJson(configPath);
+  } catch (error) {
+    throw new Error(`Could not read ${PROJECT_CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a project's .titasrc.json
+ * @param {string} projectPath - Project directory
+ * @param {Object} config - Project config
+ */
+async function writeProjectConfig(projectPath, config) {
+  await fs.writeJson(path.join(projectPath, PROJECT_CONFIG_FILE), config, {
+    spaces: 2,
+  });
+}
+
+module.exports = {
+  GENERATOR_VERSION,
+  PROJECT_CONFIG_FILE,
+  getTemplateVersion,
+  getRecordedSource,
+  getTemplatePin,
+  createProjectConfig,
+  readProjectConfig,
+  writeProjectConfig,
+};
@@ -0,0 +1,284 @@
+const fs = require("fs-extra");
+const path = require("path");
+const chalk = require("chalk");
+
+const { matchesGlob, toPosixPath } = require("./fileUtils");
+const { listVariables } = require("./templateEngine");
+const { resolvePackageJson } = require("./packageJsonUtils");
+const { getJavaScriptPath } = require("./typescriptUtils");
+const { createFileFilter } = require("./templateManifest");
+const {
+  REGISTRY_DIR,
+  planComponents,
+  readComponentsConfig,
+  resolveAliasPath,
+} = require("./componentRegistry");
+
+const TEMPLATE_SUFFIX = ".template";
+
+/**
+ * List every file in a template folder as posix relative paths
+ * @param {string} dirPath - Directory to walk
+ * @param {string} rootPath - Template root
+ * @param {Function} include - (relativePath) => boolean, also asked for folders
+ * @returns {Promise<Array<string>>} - Relative file paths
+ */
+async function listTemplateFiles(dirPath, rootPath, include) {
+  const files = [];
+  const items = (await fs.readdir(dirPath)).sort();
+
+  for (const item of items) {
+    const itemPath = path.join(dirPath, item);
+    const relativePath = toPosixPath(path.relative(rootPath, itemPath));
+
+    if (!include(relativePath)) {
+      continue;
+    }
+
+    if ((await fs.stat(itemPath)).isDirectory()) {
+      files.push(...(await listTemplateFiles(itemPath, rootPath, include)));
+    } else {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Apply the manifest's rename map to a single path
+ * @param {string} relativePath - Path inside the template
+ * @param {Object} rename - Map of template paths to project paths
+ * @returns {string} - Path inside the project
+ */
+function renamePath(relativePath, rename = {}) {
+  for (const [from, to] of Object.entries(rename)) {
+    if (relativePath === from) {
+      return to;
+    }
+    if (relativePath.startsWith(`${from}/`)) {
+      return `${to}${relativePath.slice(from.length)}`;
+    }
+  }
+  return relativePath;
+}
+
+/**
+ * Work out everything createApp() would do, without writing anything
+ * @param {Object} context - What the project is created from
+ * @param {string} context.projectPath - Directory the project would be created in
+ * @param {Object} context.template - Template manifest
+ * @param {Object} context.variables - Template variables
+ * @param {Function} context.filter - (relativePath) => boolean for copied paths
+ * @param {Array<string>} context.commands - Commands that would be run
+ * @param {Array<string>} context.generatedFiles - Files the generator writes itself
+ * @returns {Promise<Object>} - Plan of directory, files, variables, package.json and commands
+ */
+async function createProjectPlan(context) {
+  const {
+    projectPath,
+    template,
+    variables,
+    filter,
+    commands = [],
+    generatedFiles = [],
+  } = context;
+  const includeFile = createFileFilter(template, variables);
+
+  const sourceFiles = await listTemplateFiles(
+    template.path,
+    template.path,
+    (relativePath) => filter(relativePath) && includeFile(relativePath)
+  );
+
+  const files = [];
+  const substitutions = [];
+
+  for (const source of sourceFiles) {
+    const renamed = renamePath(source, template.rename);
+    const isTemplateFile = renamed.endsWith(TEMPLATE_SUFFIX);
+    const rendered =
+      isTemplateFile ||
+      template.templateFiles.some((pattern) => matchesGlob(renamed, pattern));
+
+    let target = isTemplateFile
+      ? renamed.slice(0, -TEMPLATE_SUFFIX.length)
+      : renamed;
+    if (!variables.typescript) {
+      target = getJavaScriptPath(target);
+    }
+    if (target === null) {
+      continue;
+    }
+
+    files.push({ source, path: target, rendered });
+
+    if (rendered) {
+      const content = await fs.readFile(
+        path.join(template.path, source),
+        "utf8"
+      );
+      const used = listVariables(content).filter((name) =>
+        Object.prototype.hasOwnProperty.call(variables, name)
+      );
+      if (used.length > 0) {
+        substitutions.push({
+          file: target,
+          variables: Object.fromEntries(
+            used.map((name) => [name, variables[name]])
+          ),
+        });
+      }
+    }
+  }
+
+  // Registry components are copied after the template, skipping any file the
+  // template already provides
+  if (template.components.length > 0) {
+    const components = await planComponents(
+      template.path,
+      template.components,
+      template.registryDir
+    );
+    const templatePaths = new Set(
+      sourceFiles.map((source) => renamePath(source, template.rename))
+    );
+
+    for (const file of components.files) {
+      if (templatePaths.has(file.path) || !includeFile(file.path)) {
+        continue;
+      }
+
+      const target = variables.typescript
+        ? file.path
+        : getJavaScriptPath(file.path);
+      files.push({
+        source: toPosixPath(
+          path.relative(path.dirname(REGISTRY_DIR), file.source)
+        ),
+        path: target,
+        rendered: false,
+      });
+    }
+  }
+
+  // Without Tailwind CSS, components.json goes when no UI components are left
+  const componentsJson = files.findIndex(
+    (file) => file.path === "components.json"
+  );
+  if (!variables.tailwind && componentsJson !== -1) {
+    const config = await readComponentsConfig(template.path);
+    const uiPath = toPosixPath(
+      path.relative(
+        template.path,
+        await resolveAliasPath(template.path, config.aliases.ui)
+      )
+    );
+    if (!files.some((file) => file.path.startsWith(`${uiPath}/`))) {
+      files.splice(componentsJson, 1);
+    }
+  }
+
+  for (const file of generatedFiles) {
+    // e.g. .gitignore, which is merged into the template's own
+    if (!files.some((entry) => entry.path === file)) {
+      files.push({ source: null, path: file, rendered: false });
+    }
+  }
+
+  const packageJsonPath = path.join(template.path, "package.json");
+  const templatePackageJson = (await fs.pathExists(packageJsonPath))
+    ? await fs.readJson(packageJsonPath)
+    : {};
+
+  // Files already in the target directory will need a conflict resolution
+  for (const file of files) {
+    file.exists = await fs.pathExists(path.join(projectPath, file.path));
+  }
+
+  const exists = await fs.pathExists(projectPath);
+  return {
+    directory: {
+      path: projectPath,
+      exists,
+      empty: !exists || (await fs.readdir(projectPath)).length === 0,
+    },
+    template: {
+      name: template.name,
+      displayName: template.displayName,
+      path: template.path,
+    },
+    files: files.sort((a, b) => a.path.localeCompare(b.path)),
+    substitutions,
+    packageJson: resolvePackageJson(templatePackageJson, variables, template),
+    commands,
+  };
+}
+
+/**
+ * Print a project plan for people to read
+ * @param {Object} plan - Plan from createProjectPlan()
+ */
+function printProjectPlan(plan) {
+  console.log(chalk.cyan("\n📝 Dry run - nothing will be written\n"));
+
+  console.log(chalk.blue("📁 Directory:"));
+  console.log(
+    `  ${plan.directory.path}${
+      plan.directory.exists
+        ? chalk.gray(plan.directory.empty ? " (exists, empty)" : " (exists)")
+        : ""
+    }`
+  );
+  console.log(
+    chalk.blue("\n📋 Template:"),
+    `${plan.template.displayName} (${plan.template.name})`
+  );
+
+  console.log(chalk.blue(`\n📄 Files (${plan.files.length}):`));
+  for (const file of plan.files) {
+    const notes = [];
+    if (file.source === null) notes.push("generated");
+    else if (file.source !== file.path) notes.push(`from ${file.source}`);
+    if (file.rendered) notes.push("rendered");
+    if (file.exists) notes.push("exists");
+    console.log(
+      `  ${file.path}${
+        notes.length > 0 ? chalk.gray(` (${notes.join(", ")})`) : ""
+      }`
+    );
+  }
+
+  console.log(chalk.blue("\n🔤 Variable substitutions:"));
+  if (plan.substitutions.length === 0) {
+    console.log(chalk.gray("  none"));
+  }
+  for (const { file, variables } of plan.substitutions) {
+    console.log(`  ${file}`);
+    for (const [name, value] of Object.entries(variables)) {
+      console.log(chalk.gray(`    ${name} = ${JSON.stringify(value)}`));
+    }
+  }
+
+  console.log(chalk.blue("\n📦 package.json:"));
+  console.log(
+    JSON.stringify(plan.packageJson, null, 2)
+      .split("\n")
+      .map((line) => `  ${line}`)
+      .join("\n")
+  );
+
+  console.log(chalk.blue("\n⚙️ Commands:"));
+  if (plan.commands.length === 0) {
+    console.log(chalk.gray("  none"));
+  }
+  for (const command of plan.commands) {
+    console.log(`  ${chalk.cyan(command)}`);
+  }
+  console.log();
+}
+
+module.exports = {
+  createProjectPlan,
+  printProjectPlan,
+};
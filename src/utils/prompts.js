@@ -0,0 +1,187 @@
+const fs = require("fs-extra");
+const path = require("path");
+const inquirer = require("inquirer");
+const { PromptError } = require("./errors");
+
+/**
+ * Question types whose answer must be typed in when there is no default
+ */
+const FREE_TEXT_TYPES = ["input", "password", "number", "editor"];
+
+/**
+ * Read a JSON answers file used to pre-fill prompts
+ * @param {string} filePath - Path to the answers file
+ * @returns {Promise<Object>} - Answers keyed by prompt name
+ */
+async function loadAnswers(filePath) {
+  const answersPath = path.resolve(filePath);
+
+  if (!(await fs.pathExists(answersPath))) {
+    throw new PromptError(`Answers file not found at ${answersPath}`);
+  }
+
+  let answers;
+  try {
+    answers = await fs.readJson(answersPath);
+  } catch (error) {
+    throw new PromptError(`Could not read answers file: ${error.message}`);
+  }
+
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    throw new PromptError("Answers file must contain a JSON object");
+  }
+
+  return answers;
+}
+
+/**
+ * Decide whether prompts may be shown
+ * @param {Object} options - CLI options
+ * @returns {boolean} - True when every prompt must be answered without a TTY
+ */
+function isNonInteractive(options = {}) {
+  return Boolean(options.yes) || !process.stdin.isTTY;
+}
+
+/**
+ * Get the selectable choices of a list-like question, skipping separators
+ * @param {Object} question - Inquirer question
+ * @returns {Array<Object>} - Choices as { value, checked }
+ */
+function getChoices(question) {
+  return (question.choices || [])
+    .filter((choice) => !(choice && choice.type === "separator"))
+    .map((choice) =>
+      choice && typeof choice === "object"
+        ? {
+            value: "value" in choice ? choice.value : choice.name,
+            checked: Boolean(choice.checked),
+          }
+        : { value: choice, checked: false }
+    );
+}
+
+/**
+ * Get the value of each choice of a list-like question
+ * @param {Object} question - Inquirer question
+ * @returns {Array} - Choice values
+ */
+function getChoiceValues(question) {
+  return getChoices(question).map((choice) => choice.value);
+}
+
+/**
+ * Check a pre-filled answer against the question it answers
+ * @param {Object} question - Inquirer question
+ * @param {*} value - Pre-filled answer
+ * @returns {*} - The answer
+ */
+function validateAnswer(question, value) {
+  const choices = getChoiceValues(question);
+
+  if (question.type === "confirm" && typeof value !== "boolean") {
+    throw new PromptError(
+      `Answer for "${question.name}" must be true or false`,
+      question.name
+    );
+  }
+
+  if (["list", "rawlist", "expand"].includes(question.type)) {
+    if (!choices.includes(value)) {
+      throw new PromptError(
+        `Invalid answer "${value}" for "${
+          question.name
+        }". Expected one of: ${choices.join(", ")}`,
+        question.name
+      );
+    }
+  }
+
+  if (question.type === "checkbox") {
+    const values = Array.isArray(value) ? value : [value];
+    const invalid = values.filter((item) => !choices.includes(item));
+    if (invalid.length > 0) {
+      throw new PromptError(
+        `Invalid answer "${invalid.join(", ")}" for "${
+          question.name
+        }". Expected any of: ${choices.join(", ")}`,
+        question.name
+      );
+    }
+    return values;
+  }
+
+  return value;
+}
+
+/**
+ * Work out the answer a user would get by pressing Enter
+ * @param {Object} question - Inquirer question
+ * @returns {*} - Default answer
+ */
+function getDefaultAnswer(question) {
+  if (question.default !== undefined) {
+    return question.default;
+  }
+
+  switch (question.type) {
+    case "confirm":
+      return true;
+    case "checkbox":
+      return getChoices(question)
+        .filter((choice) => choice.checked)
+        .map((choice) => choice.value);
+    case "list":
+    case "rawlist":
+    case "expand": {
+      const [first] = getChoiceValues(question);
+      if (first !== undefined) return first;
+      break;
+    }
+    default:
+      if (!FREE_TEXT_TYPES.includes(question.type || "input")) break;
+      if (question.required === false) return "";
+  }
+
+  throw new PromptError(
+    `Missing answer for "${question.name}" (${question.message}). Provide it with --answers <file> or run the command in an interactive terminal.`,
+    question.name
+  );
+}
+
+/**
+ * Ask a list of questions, using pre-filled answers and defaults where
+ * possible and only prompting for the rest
+ * @param {Array<Object>} questions - Inquirer questions
+ * @param {Object} options - Prompt options
+ * @param {Object} options.answers - Pre-filled answers keyed by question name
+ * @param {boolean} options.nonInteractive - Never prompt; use defaults instead
+ * @returns {Promise<Object>} - Answers keyed by question name
+ */
+async function ask(questions, options = {}) {
+  const { answers = {}, nonInteractive = false } = options;
+  const result = {};
+  const remaining = [];
+
+  for (const question of questions) {
+    if (Object.prototype.hasOwnProperty.call(answers, question.name)) {
+      result[question.name] = validateAnswer(question, answers[question.name]);
+    } else if (nonInteractive) {
+      result[question.name] = getDefaultAnswer(question);
+    } else {
+      remaining.push(question);
+    }
+  }
+
+  if (remaining.length > 0) {
+    Object.assign(result, await inquirer.prompt(remaining, result));
+  }
+
+  return result;
+}
+
+module.exports = {
+  loadAnswers,
+  isNonInteractive,
+  ask,
+};
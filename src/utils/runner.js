@@ -0,0 +1,234 @@
+const { spawn } = require("child_process");
+
+const { CommandError, CancelledError } = require("./errors");
+
+/**
+ * Most output kept per stream unless a command asks for less
+ */
+const DEFAULT_OUTPUT_LIMIT = 50 * 1024 * 1024;
+
+/**
+ * Package manager commands that are `.cmd` shims on Windows
+ */
+const WINDOWS_SHIMS = ["npm", "npx", "yarn", "pnpm"];
+
+/**
+ * Receives the trace of every command, or null when tracing is off
+ */
+let trace = null;
+
+/**
+ * Trace every command that runs, e.g. with `--verbose`
+ * @param {Function|null} writer - Called with each trace line; null turns tracing off
+ * @returns {Function|null} - The previous writer, to restore it later
+ */
+function setCommandTrace(writer) {
+  const previous = trace;
+  trace = writer;
+  return previous;
+}
+
+/**
+ * Format a command for people to read and copy, quoting arguments that
+ * need it
+ * @param {string} command - Command name
+ * @param {Array<string>} args - Arguments
+ * @returns {string}
+ */
+function formatCommand(command, args = []) {
+  return [command, ...args]
+    .map((arg) =>
+      /^[\w@%+=:,./-]+$/.test(arg)
+        ? arg
+        : `"${arg.replace(/(["\\$`])/g, "\\$1")}"`
+    )
+    .join(" ");
+}
+
+/**
+ * Quote an argument for cmd.exe, which has to start `.cmd` shims on Windows
+ * @param {string} arg - Argument
+ * @returns {string}
+ */
+function quoteForCmd(arg) {
+  return /^[\w@+=:,./\\-]+$/.test(arg) ? arg : `"${arg.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Work out how to spawn a command on this platform
+ * @param {string} command - Command name
+ * @param {Array<string>} args - Arguments
+ * @param {boolean} shell - `command` is a shell command line
+ * @returns {Object} - { file, args, shell }
+ */
+function getSpawnArgs(command, args, shell) {
+  if (shell) {
+    return { file: command, args: [], shell: true };
+  }
+  if (process.platform !== "win32") {
+    return { file: command, args, shell: false };
+  }
+
+  const file = WINDOWS_SHIMS.includes(command) ? `${command}.cmd` : command;
+  if (!/\.(cmd|bat)$/i.test(file)) {
+    return { file, args, shell: false };
+  }
+  // Node.js only starts batch files through cmd.exe
+  return {
+    file: [file, ...args].map(quoteForCmd).join(" "),
+    args: [],
+    shell: true,
+  };
+}
+
+/**
+ * Run a command with an argument array, never through a shell string
+ * unless `shell` asks for one, and collect its outcome
+ * @param {string} command - Command name, e.g. `git` or `npm`
+ * @param {Array<string>} args - Arguments, passed to the command as they are
+ * @param {Object} options - Run options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.env - Extra environment variables
+ * @param {number} options.timeout - Milliseconds before the command is stopped (0 for no limit)
+ * @param {boolean} options.check - Throw a CommandError unless the command exits with 0 (default true)
+ * @param {string} options.encoding - `utf8`, or `buffer` for binary output
+ * @param {number} options.outputLimit - Most characters (or bytes) kept of each stream; the tail is kept
+ * @param {Function} options.onOutput - Called with each non-empty line of stdout and stderr
+ * @param {boolean} options.cancelOnSignal - Stop the command on Ctrl-C or SIGTERM and throw a CancelledError
+ * @param {boolean} options.shell - Run `command` as a shell command line, for commands that only exist as strings such as template hooks; `args` are ignored
+ * @returns {Promise<Object>} - { command, args, cwd, code, signal, stdout, stderr, duration, timedOut, error }
+ */
+function runCommand(command, args = [], options = {}) {
+  const {
+    cwd = process.cwd(),
+    env = {},
+    timeout = 0,
+    check = true,
+    encoding = "utf8",
+    outputLimit = DEFAULT_OUTPUT_LIMIT,
+    onOutput = null,
+    cancelOnSignal = false,
+    shell = false,
+  } = options;
+  const display = shell ? command : formatCommand(command, args);
+  const startedAt = Date.now();
+
+  if (trace) {
+    trace(`$ ${display}  (in ${cwd})`);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = { stdout: [], stderr: [] };
+    const sizes = { stdout: 0, stderr: 0 };
+    let pending = "";
+    let timedOut = false;
+    let cancelledBy = null;
+    let spawnError = null;
+
+    const spawnArgs = getSpawnArgs(command, args, shell);
+    const child = spawn(spawnArgs.file, spawnArgs.args, {
+      cwd,
+      env: { ...process.env, ...env },
+      shell: spawnArgs.shell,
+      stdio: ["ignore", "pipe", "pipe"],
+      windowsHide: true,
+    });
+
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            child.kill("SIGTERM");
+          }, timeout)
+        : null;
+
+    const onSignal = (signal) => {
+      cancelledBy = signal;
+      child.kill(signal);
+    };
+    if (cancelOnSignal) {
+      process.on("SIGINT", onSignal);
+      process.on("SIGTERM", onSignal);
+    }
+
+    const collect = (stream) => (chunk) => {
+      chunks[stream].push(chunk);
+      sizes[stream] += chunk.length;
+      // Keep the tail: the end of the output explains a failure
+      while (sizes[stream] > outputLimit && chunks[stream].length > 1) {
+        sizes[stream] -= chunks[stream].shift().length;
+      }
+
+      if (onOutput) {
+        const lines = (pending + chunk.toString()).split(/\r?\n|\r/);
+        pending = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) onOutput(line.trim());
+        }
+      }
+    };
+    child.stdout.on("data", collect("stdout"));
+    child.stderr.on("data", collect("stderr"));
+    child.on("error", (error) => {
+      spawnError = error;
+    });
+
+    child.on("close", (code, signal) => {
+      if (timer) clearTimeout(timer);
+      if (cancelOnSignal) {
+        process.removeListener("SIGINT", onSignal);
+        process.removeListener("SIGTERM", onSignal);
+      }
+
+      const output = (stream) => {
+        const buffer = Buffer.concat(chunks[stream]);
+        return encoding === "buffer" ? buffer : buffer.toString(encoding);
+      };
+      const result = {
+        command,
+        args,
+        cwd,
+        code: spawnError ? null : code,
+        signal: spawnError ? null : signal,
+        stdout: output("stdout"),
+        stderr: output("stderr"),
+        duration: Date.now() - startedAt,
+        timedOut,
+        error: spawnError,
+      };
+
+      if (trace) {
+        let outcome = `exit ${result.code}`;
+        if (spawnError) outcome = `could not start: ${spawnError.message}`;
+        else if (timedOut) outcome = `timed out after ${timeout / 1000}s`;
+        else if (signal) outcome = `stopped by ${signal}`;
+        trace(`  ↳ ${outcome} in ${result.duration}ms`);
+        if (result.code !== 0 && result.stderr.length > 0) {
+          trace(
+            result.stderr
+              .toString()
+              .trim()
+              .split(/\r?\n/)
+              .slice(-10)
+              .map((line) => `    ${line}`)
+              .join("\n")
+          );
+        }
+      }
+
+      if (cancelledBy) {
+        reject(new CancelledError(cancelledBy));
+      } else if (check && (spawnError || timedOut || code !== 0)) {
+        reject(new CommandError(display, result));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+module.exports = {
+  setCommandTrace,
+  formatCommand,
+  runCommand,
+};
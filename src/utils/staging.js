@@ -0,0 +1,225 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+const { CancelledError } = require("./errors");
+
+/**
+ * Journal file kept next to the staged project
+ */
+const JOURNAL_FILE = "journal.json";
+
+/**
+ * Prefix of the staging directory created next to the target directory
+ * @param {string} projectPath - Target directory
+ * @returns {string} - Directory name prefix
+ */
+function getStagingPrefix(projectPath) {
+  return `.${path.basename(projectPath)}-staging-`;
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Remove staging directories left behind by runs that were killed outright
+ * (SIGKILL, power loss); their journal names a process that is gone
+ * @param {string} projectPath - Target directory
+ * @param {Object} logger - Logger
+ */
+async function removeStaleStaging(projectPath, logger) {
+  const parentPath = path.dirname(projectPath);
+  const prefix = getStagingPrefix(projectPath);
+  const entries = (await fs.pathExists(parentPath))
+    ? await fs.readdir(parentPath)
+    : [];
+
+  for (const entry of entries.filter((name) => name.startsWith(prefix))) {
+    const rootPath = path.join(parentPath, entry);
+    const journal = await fs
+      .readJson(path.join(rootPath, JOURNAL_FILE))
+      .catch(() => null);
+    if (journal && journal.projectPath === projectPath) {
+      if (!isRunning(journal.pid)) {
+        logger.debug(`Removing stale staging directory ${rootPath}`);
+        await fs.remove(rootPath);
+      }
+    }
+  }
+}
+
+/**
+ * Create the journal of a run: each completed step is appended and written
+ * to disk right away, so a leftover staging directory explains itself
+ * @param {string|null} filePath - Journal file, or null to keep it in memory
+ * @param {Object} details - Run details stored with the steps
+ * @returns {Object} - { steps, record(step, data), detach() }
+ */
+function createJournal(filePath = null, details = {}) {
+  const journal = {
+    ...details,
+    pid: process.pid,
+    startedAt: new Date().toISOString(),
+    steps: [],
+  };
+
+  let journalPath = filePath;
+  return {
+    steps: journal.steps,
+    /**
+     * Record a completed step
+     * @param {string} step - Step name (copy, process, install, hooks, git, ...)
+     * @param {Object} data - Extra details, e.g. { status }
+     */
+    async record(step, data = {}) {
+      journal.steps.push({
+        step,
+        ...data,
+        completedAt: new Date().toISOString(),
+      });
+      if (journalPath) {
+        await fs.writeJson(journalPath, journal, { spaces: 2 });
+      }
+    },
+    /**
+     * Keep recording in memory only, once the journal file is gone
+     */
+    detach() {
+      journalPath = null;
+    },
+  };
+}
+
+/**
+ * Create a staging directory for a project. It sits next to the target so
+ * the finished project can be renamed into place, or in the system temp
+ * directory when the parent is not writable.
+ * @param {string} projectPath - Target directory
+ * @param {Object} logger - Logger
+ * @returns {Promise<Object>} - { path, journal, commit(), rollback() }
+ */
+async function createStaging(projectPath, logger) {
+  await removeStaleStaging(projectPath, logger);
+
+  let rootPath;
+  try {
+    await fs.ensureDir(path.dirname(projectPath));
+    rootPath = await fs.mkdtemp(
+      path.join(path.dirname(projectPath), getStagingPrefix(projectPath))
+    );
+  } catch (error) {
+    logger.debug(`Staging in the temp directory: ${error.message}`);
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), "create-titas-app-"));
+  }
+
+  const stagingPath = path.join(rootPath, "project");
+  const journal = createJournal(path.join(rootPath, JOURNAL_FILE), {
+    projectPath,
+    stagingPath,
+  });
+  await journal.record("stage");
+
+  return {
+    path: stagingPath,
+    journal,
+    /**
+     * Move the staged project into the target directory, which must be
+     * missing or empty. An existing directory is kept and filled entry by
+     * entry, so a shell already inside it (`create-titas-app .`) still sees
+     * the project.
+     */
+    async commit() {
+      if (await fs.pathExists(projectPath)) {
+        for (const entry of await fs.readdir(stagingPath)) {
+          await fs.move(
+            path.join(stagingPath, entry),
+            path.join(projectPath, entry)
+          );
+        }
+      } else {
+        await fs.move(stagingPath, projectPath);
+      }
+      await journal.record("move");
+      journal.detach();
+      await fs.remove(rootPath);
+    },
+    /**
+     * Throw the staged project away; the target directory is not touched
+     */
+    async rollback() {
+      await fs.remove(rootPath);
+    },
+  };
+}
+
+/**
+ * Catch SIGINT and SIGTERM while files are being written so the run can
+ * stop at the next safe point and clean up, instead of dying half-way
+ * @param {Object} options - Watch options
+ * @param {boolean} options.listen - Listen on the process; when false the
+ * guard never fires, leaving the signals to whoever embeds the generator
+ * @returns {Object} - { check(), race(promise), dispose() }
+ */
+function watchSignals(options = {}) {
+  const { listen = true } = options;
+  let received = null;
+  let cancel;
+  const cancelled = new Promise((resolve, reject) => {
+    cancel = reject;
+  });
+  cancelled.catch(() => {});
+
+  const onSignal = (signal) => {
+    if (!received) {
+      received = signal;
+      cancel(new CancelledError(signal));
+    }
+  };
+  if (listen) {
+    process.on("SIGINT", onSignal);
+    process.on("SIGTERM", onSignal);
+  }
+
+  return {
+    /**
+     * Throw a CancelledError if a signal arrived since the last check
+     */
+    check() {
+      if (received) {
+        throw new CancelledError(received);
+      }
+    },
+    /**
+     * Settle with the promise, or reject as soon as a signal arrives; used
+     * for steps that may wait forever, such as prompts
+     * @param {Promise} promise - Step to wait for
+     * @returns {Promise}
+     */
+    race(promise) {
+      return Promise.race([promise, cancelled]);
+    },
+    dispose() {
+      process.removeListener("SIGINT", onSignal);
+      process.removeListener("SIGTERM", onSignal);
+    },
+  };
+}
+
+module.exports = {
+  JOURNAL_FILE,
+  createJournal,
+  createStaging,
+  removeStaleStaging,
+  watchSignals,
+};
@@ -0,0 +1,156 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const {
+  readComponentsConfig,
+  resolveAliasPath,
+} = require("./componentRegistry");
+
+const TAILWIND_VERSIONS = ["3", "4"];
+
+/**
+ * Packages added for each supported Tailwind CSS version
+ */
+const TAILWIND_PACKAGES = {
+  3: {
+    tailwindcss: "^3.3.0",
+    postcss: "^8",
+    autoprefixer: "^10.0.1",
+  },
+  4: {
+    tailwindcss: "^4.0.0",
+    "@tailwindcss/postcss": "^4.0.0",
+    postcss: "^8",
+  },
+};
+
+/**
+ * Packages that only make sense when Tailwind CSS is used
+ */
+const TAILWIND_ONLY_PACKAGES = [
+  "tailwindcss",
+  "@tailwindcss/postcss",
+  "autoprefixer",
+  "postcss",
+  "tailwindcss-animate",
+];
+
+/**
+ * Resolve the Tailwind related template variables from CLI options
+ * @param {Object} options - CLI options
+ * @returns {Object} - { tailwind, tailwindVersion, tailwindV3, tailwindV4 }
+ */
+function getTailwindVariables(options = {}) {
+  const tailwind = Boolean(options.tailwind);
+  const tailwindVersion = String(options.tailwindVersion || "3");
+
+  if (!TAILWIND_VERSIONS.includes(tailwindVersion)) {
+    throw new Error(
+      `Unsupported Tailwind CSS version "${tailwindVersion}". Use one of: ${TAILWIND_VERSIONS.join(
+        ", "
+      )}`
+    );
+  }
+
+  return {
+    tailwind,
+    tailwindVersion,
+    tailwindV3: tailwind && tailwindVersion === "3",
+    tailwindV4: tailwind && tailwindVersion === "4",
+  };
+}
+
+/**
+ * Add or remove Tailwind CSS packages in a package.json object
+ * @param {Object} packageJson - package.json contents (modified in place)
+ * @param {Object} variables - Tailwind variables from getTailwindVariables()
+ * @returns {Object} - The same package.json object
+ */
+function applyTailwindPackages(packageJson, variables) {
+  const animateVersion =
+    (packageJson.dependencies || {})["tailwindcss-animate"] ||
+    (packageJson.devDependencies || {})["tailwindcss-animate"];
+
+  for (const field of ["dependencies", "devDependencies"]) {
+    if (!packageJson[field]) continue;
+    for (const name of TAILWIND_ONLY_PACKAGES) {
+      delete packageJson[field][name];
+    }
+  }
+
+  if (!variables.tailwind) {
+    return packageJson;
+  }
+
+  packageJson.devDependencies = {
+    ...packageJson.devDependencies,
+    ...TAILWIND_PACKAGES[variables.tailwindVersion],
+  };
+
+  // Keep the animation plugin for templates that use it
+  if (animateVersion) {
+    packageJson.dependencies = {
+      ...packageJson.dependencies,
+      "tailwindcss-animate": animateVersion,
+    };
+  }
+
+  return packageJson;
+}
+
+/**
+ * Leave out a template's registry components when Tailwind CSS is not
+ * used: they are shadcn/ui components styled with Tailwind classes only.
+ * They are kept as `droppedComponents` so their packages can be left out
+ * as well.
+ * @param {Object} template - Template manifest
+ * @param {boolean} tailwind - Whether Tailwind CSS is used
+ * @returns {Object} - Template manifest
+ */
+function withTailwindComponents(template, tailwind) {
+  return tailwind
+    ? template
+    : { ...template, components: [], droppedComponents: template.components };
+}
+
+/**
+ * Point shadcn's components.json at the right Tailwind configuration.
+ * Tailwind v4 is configured from CSS, so the config path is left empty.
+ * Without Tailwind the block is dropped, and so is the whole file when the
+ * project has no UI components left.
+ * @param {string} projectPath - Project directory
+ * @param {Object} variables - Tailwind variables from getTailwindVariables()
+ */
+async function configureComponentsJson(projectPath, variables) {
+  const componentsPath = path.join(projectPath, "components.json");
+  if (variables.tailwindV3 || !(await fs.pathExists(componentsPath))) {
+    return;
+  }
+
+  const components = await fs.readJson(componentsPath);
+  if (!variables.tailwind) {
+    const config = await readComponentsConfig(projectPath);
+    const uiPath = await resolveAliasPath(projectPath, config.aliases.ui);
+    if (
+      !(await fs.pathExists(uiPath)) ||
+      (await fs.readdir(uiPath)).length === 0
+    ) {
+      await fs.remove(componentsPath);
+      return;
+    }
+    delete components.tailwind;
+  } else if (components.tailwind) {
+    components.tailwind.config = "";
+  }
+
+  await fs.writeJson(componentsPath, components, { spaces: 2 });
+}
+
+module.exports = {
+  TAILWIND_VERSIONS,
+  TAILWIND_ONLY_PACKAGES,
+  getTailwindVariables,
+  applyTailwindPackages,
+  withTailwindComponents,
+  configureComponentsJson,
+};
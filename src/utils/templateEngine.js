@@ -0,0 +1,463 @@
+/**
+ * Small logic-aware template engine used for template files.
+ *
+ * Supported syntax:
+ *   {{projectName}}                     variable (dotted paths allowed)
+ *   {{projectName | pascalCase}}        filters, chained left to right
+ *   {{description | default: "none"}}   filter with an argument (a quoted
+ *                                       argument may contain `|`)
+ *   {{#if typescript}}…{{else}}…{{/if}} conditionals (`!` negates)
+ *   {{#unless tailwind}}…{{/unless}}
+ *   {{#each features}}{{this}} {{@index}}{{/each}}
+ *   \{{literal}}                        escaped, rendered as `{{literal}}`
+ *
+ * A `{{` only starts a tag when its contents match the grammar above, and
+ * never right after `=`, so JSX object literals such as `style={{ width }}`
+ * or `value={{ api, opts }}` pass through untouched.
+ */
+
+const TAG_PATTERN = /\\?\{\{\s*([#/]?)([^{}]*?)\s*\}\}/g;
+const PATH_PATTERN = /^!?(@?[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*|this)$/;
+const FILTER_PATTERN = /^([A-Za-z_]\w*)(?:\s*:\s*(.+)|\s+((["']).*\4))?$/;
+const BLOCK_TAGS = ["if", "unless", "each"];
+
+/**
+ * Split a string into words for case conversion
+ * @param {string} value - Input string
+ * @returns {Array<string>} - Lower-cased words
+ */
+function splitWords(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const filters = {
+  lowerCase: (value) => String(value).toLowerCase(),
+  upperCase: (value) => String(value).toUpperCase(),
+  capitalize: (value) => capitalize(String(value)),
+  camelCase: (value) =>
+    splitWords(value)
+      .map((word, index) => (index === 0 ? word : capitalize(word)))
+      .join(""),
+  pascalCase: (value) => splitWords(value).map(capitalize).join(""),
+  kebabCase: (value) => splitWords(value).join("-"),
+  snakeCase: (value) => splitWords(value).join("_"),
+  titleCase: (value) => splitWords(value).map(capitalize).join(" "),
+  trim: (value) => String(value).trim(),
+  json: (value) => JSON.stringify(value),
+  default: (value, fallback) =>
+    value === undefined || value === null || value === "" ? fallback : value,
+};
+
+/**
+ * Parse a filter argument (quoted string, number, boolean)
+ * @param {string} raw - Raw argument text
+ * @returns {*} - Parsed value
+ */
+function parseArgument(raw) {
+  const trimmed = raw.trim();
+  const quoted = trimmed.match(/^(["'])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (trimmed === "true" || trimmed === "false") return trimmed === "true";
+  if (trimmed !== "" && !isNaN(Number(trimmed))) return Number(trimmed);
+  return trimmed;
+}
+
+/**
+ * Split a tag on the `|` between filters, leaving a `|` inside a quoted
+ * argument such as `default: "a|b"` alone
+ * @param {string} body - Tag contents
+ * @returns {Array<string>|null} - Trimmed parts, or null for an unclosed quote
+ */
+function splitFilters(body) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "|") {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+
+  if (quote) {
+    return null;
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse the inside of a variable tag (`name | filter | filter: arg`)
+ * @param {string} body - Tag contents
+ * @returns {Object|null} - { path, filters } or null when not a tag
+ */
+function parseExpression(body) {
+  const parts = splitFilters(body);
+  if (!parts) {
+    return null;
+  }
+  const [head, ...rest] = parts;
+  if (!PATH_PATTERN.test(head)) {
+    return null;
+  }
+
+  const parsedFilters = [];
+  for (const part of rest) {
+    const match = part.match(FILTER_PATTERN);
+    if (!match) {
+      return null;
+    }
+    const arg = match[2] !== undefined ? match[2] : match[3];
+    parsedFilters.push({
+      name: match[1],
+      arg: arg !== undefined ? parseArgument(arg) : undefined,
+    });
+  }
+
+  return { path: head, filters: parsedFilters };
+}
+
+/**
+ * Turn a template string into a flat list of text and tag tokens
+ * @param {string} source - Template source
+ * @returns {Array<Object>} - Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [raw, sigil, body] = match;
+    const start = match.index;
+
+    let token = null;
+    if (raw.startsWith("\\")) {
+      token = { type: "text", value: raw.slice(1) };
+    } else if (source[start - 1] !== "=") {
+      token = parseTag(sigil, body.trim());
+    }
+
+    if (!token) {
+      continue;
+    }
+
+    if (start > lastIndex) {
+      tokens.push({ type: "text", value: source.slice(lastIndex, start) });
+    }
+    tokens.push({ ...token, raw });
+    lastIndex = start + raw.length;
+  }
+
+  if (lastIndex < source.length) {
+    tokens.push({ type: "text", value: source.slice(lastIndex) });
+  }
+
+  return stripStandaloneLines(tokens);
+}
+
+/**
+ * Parse a single tag, returning null when it is not template syntax
+ * @param {string} sigil - `#`, `/` or empty
+ * @param {string} body - Tag contents
+ * @returns {Object|null} - Token or null
+ */
+function parseTag(sigil, body) {
+  if (sigil === "#") {
+    const [, name, expression] = body.match(/^(\w+)\s+(.+)$/) || [];
+    if (!BLOCK_TAGS.includes(name)) return null;
+    const parsed = parseExpression(expression);
+    return parsed ? { type: "open", name, ...parsed } : null;
+  }
+
+  if (sigil === "/") {
+    return BLOCK_TAGS.includes(body) ? { type: "close", name: body } : null;
+  }
+
+  if (body === "else") {
+    return { type: "else" };
+  }
+
+  const parsed = parseExpression(body);
+  return parsed ? { type: "variable", ...parsed } : null;
+}
+
+/**
+ * Drop the indentation and newline around block tags that sit on their own
+ * line, so they don't leave blank lines in the output
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Array<Object>} - Tokens
+ */
+function stripStandaloneLines(tokens) {
+  const isBlock = (token) => ["open", "close", "else"].includes(token.type);
+
+  tokens.forEach((token, index) => {
+    if (!isBlock(token)) return;
+
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+
+    let lineStart = -1;
+    if (before) {
+      if (before.type !== "text") return;
+      lineStart = before.value.lastIndexOf("\n");
+      const startsLine =
+        lineStart !== -1 || index === 1 || before.atLineStart === true;
+      if (!startsLine || !/^[ \t]*$/.test(before.value.slice(lineStart + 1))) {
+        return;
+      }
+    }
+
+    let trailing = "";
+    if (after) {
+      if (after.type !== "text") return;
+      const match = after.value.match(/^[ \t]*(\r?\n|$)/);
+      if (!match || (match[1] === "" && index + 1 !== tokens.length - 1)) {
+        return;
+      }
+      trailing = match[0];
+    }
+
+    if (before) before.value = before.value.slice(0, lineStart + 1);
+    if (after) {
+      after.value = after.value.slice(trailing.length);
+      after.atLineStart = true;
+    }
+  });
+
+  return tokens.filter((token) => token.type !== "text" || token.value !== "");
+}
+
+/**
+ * Build a tree of nodes from the flat token list
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Array<Object>} - Root nodes
+ */
+function buildTree(tokens) {
+  const root = [];
+  const stack = [{ node: null, target: root }];
+
+  for (const token of tokens) {
+    const frame = stack[stack.length - 1];
+
+    if (token.type === "open") {
+      const node = { ...token, children: [], inverse: null };
+      frame.target.push(node);
+      stack.push({ node, target: node.children });
+    } else if (token.type === "else") {
+      if (!frame.node || frame.node.inverse) {
+        throw new Error("Unexpected {{else}} outside of a block");
+      }
+      frame.node.inverse = [];
+      frame.target = frame.node.inverse;
+    } else if (token.type === "close") {
+      if (!frame.node || frame.node.name !== token.name) {
+        throw new Error(`Unexpected {{/${token.name}}}`);
+      }
+      stack.pop();
+    } else {
+      frame.target.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].node.name}}}`);
+  }
+
+  return root;
+}
+
+/**
+ * Resolve a dotted path against the context stack
+ * @param {string} expression - Path expression
+ * @param {Array<Object>} scopes - Context stack, innermost last
+ * @returns {*} - Resolved value or undefined
+ */
+function resolvePath(expression, scopes) {
+  const negate = expression.startsWith("!");
+  const pathExpression = negate ? expression.slice(1) : expression;
+  const [first, ...rest] = pathExpression.split(".");
+
+  let value;
+  if (first === "this") {
+    value = scopes[scopes.length - 1].this;
+  } else {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (scopes[i] && Object.prototype.hasOwnProperty.call(scopes[i], first)) {
+        value = scopes[i][first];
+        break;
+      }
+    }
+  }
+
+  for (const key of rest) {
+    value = value === undefined || value === null ? undefined : value[key];
+  }
+
+  return negate ? !isTruthy(value) : value;
+}
+
+/**
+ * Template truthiness: empty arrays and empty strings are false
+ * @param {*} value - Value to test
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Apply filters to a value
+ * @param {*} value - Input value
+ * @param {Array<Object>} filterList - Parsed filters
+ * @returns {*} - Filtered value
+ */
+function applyFilters(value, filterList) {
+  return filterList.reduce((result, filter) => {
+    const fn = filters[filter.name];
+    if (!fn) {
+      throw new Error(`Unknown template filter "${filter.name}"`);
+    }
+    return fn(result, filter.arg);
+  }, value);
+}
+
+/**
+ * Render a list of nodes
+ * @param {Array<Object>} nodes - Nodes
+ * @param {Array<Object>} scopes - Context stack
+ * @returns {string} - Rendered output
+ */
+function renderNodes(nodes, scopes) {
+  return nodes.map((node) => renderNode(node, scopes)).join("");
+}
+
+/**
+ * Render a single node
+ * @param {Object} node - Node
+ * @param {Array<Object>} scopes - Context stack
+ * @returns {string} - Rendered output
+ */
+function renderNode(node, scopes) {
+  if (node.type === "text") {
+    return node.value;
+  }
+
+  if (node.type === "variable") {
+    const value = resolvePath(node.path, scopes);
+    const rendered = applyFilters(value, node.filters);
+    if (rendered === undefined || rendered === null) {
+      // Leave unknown variables untouched, like the old substitution did
+      return value === undefined && node.filters.length === 0 ? node.raw : "";
+    }
+    return String(rendered);
+  }
+
+  const value = applyFilters(resolvePath(node.path, scopes), node.filters);
+
+  if (node.name === "each") {
+    const items = Array.isArray(value)
+      ? value
+      : value && typeof value === "object"
+      ? Object.values(value)
+      : [];
+    if (items.length === 0) {
+      return node.inverse ? renderNodes(node.inverse, scopes) : "";
+    }
+    return items
+      .map((item, index) =>
+        renderNodes(node.children, [
+          ...scopes,
+          {
+            ...(item && typeof item === "object" ? item : {}),
+            this: item,
+            "@index": index,
+            "@first": index === 0,
+            "@last": index === items.length - 1,
+          },
+        ])
+      )
+      .join("");
+  }
+
+  const condition = node.name === "unless" ? !isTruthy(value) : isTruthy(value);
+  if (condition) {
+    return renderNodes(node.children, scopes);
+  }
+  return node.inverse ? renderNodes(node.inverse, scopes) : "";
+}
+
+/**
+ * Render a template string
+ * @param {string} source - Template source
+ * @param {Object} variables - Template variables
+ * @returns {string} - Rendered output
+ */
+function render(source, variables = {}) {
+  return renderNodes(buildTree(tokenize(source)), [variables]);
+}
+
+/**
+ * Evaluate a condition such as `typescript` or `!tailwind` the same way
+ * `{{#if}}` does
+ * @param {string} expression - Path expression, optionally negated with `!`
+ * @param {Object} variables - Template variables
+ * @returns {boolean}
+ */
+function evaluate(expression, variables = {}) {
+  const trimmed = expression.trim();
+  if (!PATH_PATTERN.test(trimmed)) {
+    throw new Error(`Invalid condition "${expression}"`);
+  }
+  return isTruthy(resolvePath(trimmed, [variables]));
+}
+
+/**
+ * Check whether a string contains any template tags
+ * @param {string} source - Template source
+ * @returns {boolean}
+ */
+function hasTags(source) {
+  return tokenize(source).some((token) => token.type !== "text");
+}
+
+/**
+ * List the top-level variables a template refers to, in order of first use
+ * @param {string} source - Template source
+ * @returns {Array<string>} - Variable names
+ */
+function listVariables(source) {
+  const names = [];
+
+  for (const token of tokenize(source)) {
+    if (token.type !== "variable" && token.type !== "open") continue;
+    const [name] = token.path.replace(/^!/, "").split(".");
+    if (name !== "this" && !name.startsWith("@") && !names.includes(name)) {
+      names.push(name);
+    }
+  }
+
+  return names;
+}
+
+module.exports = {
+  render,
+  evaluate,
+  hasTags,
+  listVariables,
+  filters,
+};
@@ -0,0 +1,453 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { evaluate } = require("./templateEngine");
+const { matchesGlob } = require("./fileUtils");
+const { readRegistry } = require("./componentRegistry");
+const { ENV_FORMATS } = require("./envFile");
+const { consoleLogger } = require("./logger");
+
+const MANIFEST_FILE = "template.json";
+
+const TEMPLATES_DIR = path.resolve(__dirname, "../../templates");
+
+/**
+ * Fill in defaults for optional manifest fields
+ * @param {Object} manifest - Raw manifest contents
+ * @param {string} templateName - Name of the template folder
+ * @returns {Object} - Normalized manifest
+ */
+function normalizeManifest(manifest, templateName) {
+  return {
+    name: templateName,
+    displayName: templateName,
+    description: "",
+    order: Number.MAX_SAFE_INTEGER,
+    prompts: [],
+    variables: {},
+    dependencies: {},
+    devDependencies: {},
+    rename: {},
+    templateFiles: [],
+    files: [],
+    components: [],
+    env: [],
+    gitignore: [],
+    packageJson: {},
+    hooks: {},
+    ...manifest,
+    env: (manifest.env || []).map((entry) => ({
+      description: "",
+      required: true,
+      secret: false,
+      ...entry,
+    })),
+    gitignore: (manifest.gitignore || []).map((entry) =>
+      typeof entry === "string" ? { pattern: entry } : entry
+    ),
+    hooks: {
+      postCreate: [],
+      ...(manifest.hooks || {}),
+    },
+  };
+}
+
+/**
+ * Validate a template manifest
+ * @param {Object} manifest - Manifest contents
+ * @param {string} templateName - Name of the template folder
+ * @returns {Array<string>} - List of validation errors (empty when valid)
+ */
+function validateManifest(manifest, templateName) {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    return ["manifest must be a JSON object"];
+  }
+
+  if (manifest.name !== undefined && manifest.name !== templateName) {
+    errors.push(
+      `"name" is "${manifest.name}" but the folder is "${templateName}"`
+    );
+  }
+
+  for (const field of ["displayName", "description", "version"]) {
+    if (manifest[field] !== undefined && typeof manifest[field] !== "string") {
+      errors.push(`"${field}" must be a string`);
+    }
+  }
+
+  if (manifest.order !== undefined && typeof manifest.order !== "number") {
+    errors.push(`"order" must be a number`);
+  }
+
+  if (manifest.prompts !== undefined) {
+    if (!Array.isArray(manifest.prompts)) {
+      errors.push(`"prompts" must be an array`);
+    } else {
+      manifest.prompts.forEach((prompt, index) => {
+        if (!prompt || typeof prompt.name !== "string") {
+          errors.push(`prompts[${index}] is missing a "name"`);
+        }
+        if (prompt && typeof prompt.message !== "string") {
+          errors.push(`prompts[${index}] is missing a "message"`);
+        }
+      });
+    }
+  }
+
+  if (
+    manifest.templateFiles !== undefined &&
+    (!Array.isArray(manifest.templateFiles) ||
+      manifest.templateFiles.some((pattern) => typeof pattern !== "string"))
+  ) {
+    errors.push(`"templateFiles" must be an array of glob patterns`);
+  }
+
+  if (manifest.files !== undefined) {
+    if (!Array.isArray(manifest.files)) {
+      errors.push(`"files" must be an array of rules`);
+    } else {
+      manifest.files.forEach((rule, index) => {
+        if (!rule || typeof rule.path !== "string") {
+          errors.push(`files[${index}] is missing a "path" glob`);
+        }
+        const conditions = rule && [].concat(rule.when);
+        if (
+          !conditions ||
+          conditions.length === 0 ||
+          conditions.some((condition) => typeof condition !== "string")
+        ) {
+          errors.push(`files[${index}] needs a "when" condition`);
+        }
+      });
+    }
+  }
+
+  if (manifest.components !== undefined) {
+    if (
+      !Array.isArray(manifest.components) ||
+      manifest.components.some((name) => typeof name !== "string")
+    ) {
+      errors.push(`"components" must be an array of component names`);
+    } else {
+      const { items } = readRegistry();
+      manifest.components
+        .filter((name) => !items[name])
+        .forEach((name) => errors.push(`unknown component "${name}"`));
+    }
+  }
+
+  if (manifest.env !== undefined) {
+    if (!Array.isArray(manifest.env)) {
+      errors.push(`"env" must be an array of variables`);
+    } else {
+      manifest.env.forEach((entry, index) => {
+        if (!entry || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(entry.key)) {
+          errors.push(`env[${index}] needs a "key" such as DATABASE_URL`);
+          return;
+        }
+        for (const field of ["required", "secret"]) {
+          if (entry[field] !== undefined && typeof entry[field] !== "boolean") {
+            errors.push(`env[${index}].${field} must be true or false`);
+          }
+        }
+        if (
+          entry.format !== undefined &&
+          !Object.keys(ENV_FORMATS).includes(entry.format)
+        ) {
+          errors.push(
+            `env[${index}].format must be one of: ${Object.keys(
+              ENV_FORMATS
+            ).join(", ")}`
+          );
+        }
+        if (
+          entry.when !== undefined &&
+          []
+            .concat(entry.when)
+            .some((condition) => typeof condition !== "string")
+        ) {
+          errors.push(`env[${index}].when must be a condition`);
+        }
+      });
+    }
+  }
+
+  if (manifest.gitignore !== undefined) {
+    if (!Array.isArray(manifest.gitignore)) {
+      errors.push(`"gitignore" must be an array of patterns`);
+    } else {
+      manifest.gitignore.forEach((entry, index) => {
+        const pattern =
+          typeof entry === "string" ? entry : entry && entry.pattern;
+        if (typeof pattern !== "string" || pattern.trim() === "") {
+          errors.push(`gitignore[${index}] needs a "pattern" such as .vercel`);
+        } else if (pattern.includes("\n") || pattern.trim().startsWith("#")) {
+          errors.push(`gitignore[${index}] must be a single pattern`);
+        }
+        if (
+          entry &&
+          entry.when !== undefined &&
+          []
+            .concat(entry.when)
+            .some((condition) => typeof condition !== "string")
+        ) {
+          errors.push(`gitignore[${index}].when must be a condition`);
+        }
+      });
+    }
+  }
+
+  for (const field of [
+    "variables",
+    "dependencies",
+    "devDependencies",
+    "rename",
+    "packageJson",
+    "hooks",
+  ]) {
+    const value = manifest[field];
+    if (
+      value !== undefined &&
+      (typeof value !== "object" || value === null || Array.isArray(value))
+    ) {
+      errors.push(`"${field}" must be an object`);
+    }
+  }
+
+  if (
+    manifest.hooks &&
+    manifest.hooks.postCreate !== undefined &&
+    !Array.isArray(manifest.hooks.postCreate)
+  ) {
+    errors.push(`"hooks.postCreate" must be an array of commands`);
+  }
+
+  return errors;
+}
+
+/**
+ * Read and validate the manifest of a template folder
+ * @param {string} templatePath - Path to the template folder
+ * @param {Object} options - Read options
+ * @param {boolean} options.remote - Template fetched from outside the
+ *   package: the manifest is optional and its name need not match the folder
+ * @returns {Object} - Normalized manifest with its `path`
+ */
+function readManifest(templatePath, options = {}) {
+  const { remote = false } = options;
+  const templateName = path.basename(templatePath);
+  const manifestPath = path.join(templatePath, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    if (remote) {
+      return { ...normalizeManifest({}, templateName), path: templatePath };
+    }
+    throw new Error(
+      `Template "${templateName}" has no ${MANIFEST_FILE} at ${manifestPath}`
+    );
+  }
+
+  let manifest;
+  try {
+    manifest = fs.readJsonSync(manifestPath);
+  } catch (error) {
+    throw new Error(
+      `Could not read ${MANIFEST_FILE} of template "${templateName}": ${error.message}`
+    );
+  }
+
+  const errors = validateManifest(
+    remote ? { ...manifest, name: templateName } : manifest,
+    templateName
+  );
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid ${MANIFEST_FILE} in template "${templateName}":\n  - ${errors.join(
+        "\n  - "
+      )}`
+    );
+  }
+
+  return {
+    ...normalizeManifest(manifest, templateName),
+    ...(remote && manifest.name ? { name: manifest.name } : {}),
+    path: templatePath,
+  };
+}
+
+/**
+ * List every template that ships a manifest, in display order
+ * @param {string} templatesDir - Directory containing the templates
+ * @param {Object} logger - Logger for templates that are skipped
+ * @returns {Array<Object>} - Normalized manifests
+ */
+function listTemplates(templatesDir = TEMPLATES_DIR, logger = consoleLogger) {
+  if (!fs.existsSync(templatesDir)) {
+    return [];
+  }
+
+  const templates = [];
+
+  for (const item of fs.readdirSync(templatesDir)) {
+    const templatePath = path.join(templatesDir, item);
+    if (!fs.statSync(templatePath).isDirectory()) {
+      continue;
+    }
+
+    if (!fs.existsSync(path.join(templatePath, MANIFEST_FILE))) {
+      continue;
+    }
+
+    try {
+      templates.push(readManifest(templatePath));
+    } catch (error) {
+      logger.warn(`⚠️ Skipping template: ${error.message}`);
+    }
+  }
+
+  return templates.sort(
+    (a, b) => a.order - b.order || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Find a template by name
+ * @param {string} templateName - Template name (folder name)
+ * @param {string} templatesDir - Directory containing the templates
+ * @param {Object} logger - Logger for templates that are skipped
+ * @returns {Object|null} - Normalized manifest or null
+ */
+function getTemplate(
+  templateName,
+  templatesDir = TEMPLATES_DIR,
+  logger = consoleLogger
+) {
+  return (
+    listTemplates(templatesDir, logger).find(
+      (template) => template.name === templateName
+    ) || null
+  );
+}
+
+/**
+ * Get the commander option key for a template flag (`--my-template` → `myTemplate`)
+ * @param {string} templateName - Template name
+ * @returns {string} - Option key
+ */
+function getOptionKey(templateName) {
+  return templateName.replace(/-([a-z0-9])/g, (match, char) =>
+    char.toUpperCase()
+  );
+}
+
+/**
+ * Build a predicate that decides whether a template file belongs in the
+ * generated project. A file is left out when any `files` rule matching it
+ * has a `when` condition that is false for the selected options.
+ * @param {Object} manifest - Template manifest
+ * @param {Object} variables - Template variables (options and answers)
+ * @returns {Function} - (relativePath) => boolean
+ */
+function createFileFilter(manifest, variables) {
+  const rules = manifest.files.map((rule) => ({
+    path: rule.path,
+    included: []
+      .concat(rule.when)
+      .every((condition) => evaluate(condition, variables)),
+  }));
+
+  return (relativePath) =>
+    rules.every(
+      (rule) =>
+        rule.included ||
+        !(
+          matchesGlob(relativePath, rule.path) ||
+          matchesGlob(`${relativePath}/`, rule.path)
+        )
+    );
+}
+
+/**
+ * Get the env variables a generated project needs: the manifest's `env`
+ * entries whose `when` condition holds for the selected options
+ * @param {Object} manifest - Template manifest
+ * @param {Object} variables - Template variables (options and answers)
+ * @returns {Array<Object>} - Env schema entries
+ */
+function getEnvSchema(manifest, variables) {
+  return manifest.env.filter((entry) =>
+    []
+      .concat(entry.when === undefined ? [] : entry.when)
+      .every((condition) => evaluate(condition, variables))
+  );
+}
+
+/**
+ * Get the extra .gitignore patterns a generated project needs: the
+ * manifest's `gitignore` entries whose `when` condition holds
+ * @param {Object} manifest - Template manifest
+ * @param {Object} variables - Template variables (options and answers)
+ * @returns {Array<string>} - .gitignore patterns
+ */
+function getTemplateGitignore(manifest, variables) {
+  return manifest.gitignore
+    .filter((entry) =>
+      []
+        .concat(entry.when === undefined ? [] : entry.when)
+        .every((condition) => evaluate(condition, variables))
+    )
+    .map((entry) => entry.pattern.trim());
+}
+
+/**
+ * Resolve a rename path inside the project, refusing paths that escape it
+ * @param {string} projectPath - Project directory
+ * @param {string} relativePath - Path from the rename map
+ * @returns {string} - Absolute path
+ */
+function resolveRenamePath(projectPath, relativePath) {
+  const root = path.resolve(projectPath);
+  const resolved = path.resolve(root, relativePath);
+  if (resolved === root || !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Rename path "${relativePath}" is outside the project`);
+  }
+  return resolved;
+}
+
+/**
+ * Apply the manifest's rename map inside a generated project
+ * @param {string} projectPath - Project directory
+ * @param {Object} rename - Map of template paths to project paths
+ * @returns {Promise<Array<Object>>} - List of { from, to } that were renamed
+ */
+async function applyRenames(projectPath, rename = {}) {
+  const renamed = [];
+
+  for (const [from, to] of Object.entries(rename)) {
+    const fromPath = resolveRenamePath(projectPath, from);
+    const toPath = resolveRenamePath(projectPath, to);
+    if (!(await fs.pathExists(fromPath))) {
+      continue;
+    }
+
+    await fs.move(fromPath, toPath, { overwrite: true });
+    renamed.push({ from, to });
+  }
+
+  return renamed;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  TEMPLATES_DIR,
+  validateManifest,
+  readManifest,
+  listTemplates,
+  getTemplate,
+  getOptionKey,
+  createFileFilter,
+  getEnvSchema,
+  getTemplateGitignore,
+  applyRenames,
+};
@@ -3,6 +3,7 @@
 const fs = require("fs-extra");
 const path = require("path");
 const chalk = require("chalk");
+const { processTemplateFiles } = require("./fileUtils");
 
 /**
  * Get the correct template path for both development and production
@@ -421,129 +422,30 @@ function getTemplateDescription(templateType) {
 }
 
 /**
- * Process template files by replacing variables
+ * Files of the basic template that contain template variables
+ */
+const BASIC_TEMPLATE_FILES = ["package.json", "README.md", "pages/index.js"];
+
+/**
+ * Process template files by rendering template variables
  * @param {string} projectPath - Project directory path
  * @param {Object} variables - Variables to replace in templates
  * @returns {Promise<boolean>} - Success status
  */
 async function processTemplate(projectPath, variables) {
-  try {
-    console.log(chalk.blue("Processing template files..."));
-
-    // Process package.json first
-    await processPackageJson(projectPath, variables);
+  console.log(chalk.blue("Processing template files..."));
 
-    // Process other template files
-    await processTemplateFiles(projectPath, variables);
-
-    console.log(chalk.green("✅ Template processed successfully"));
-    return true;
-  } catch (error) {
-    console.error(chalk.red(`❌ Failed to process template: ${error.message}`));
-    throw error;
-  }
-}
-
-/**
- * Process package.json file
- */
-async function processPackageJson(projectPath, variables) {
-  const packageJsonPath = path.join(projectPath, "package.json");
-
-  try {
-    if (await fs.pathExists(packageJsonPath)) {
-      let content = await fs.readFile(packageJsonPath, "utf8");
-
-      // Replace template variables
-      Object.keys(variables).forEach((key) => {
-        const regex = new RegExp(`{{${key}}}`, "g");
-        content = content.replace(regex, variables[key] || "");
-      });
-
-      await fs.writeFile(packageJsonPath, content, "utf8");
-      console.log(chalk.green("✓ Updated package.json"));
-    }
-  } catch (error) {
-    console.error(
-      chalk.yellow(`Warning: Could not process package.json: ${error.message}`)
-    );
-  }
-}
+  const processed = await processTemplateFiles(projectPath, variables, {
+    include: BASIC_TEMPLATE_FILES,
+  });
 
-/**
- * Process all template files recursively
- */
-async function processTemplateFiles(dirPath, variables) {
-  try {
-    const items = await fs.readdir(dirPath);
-
-    for (const item of items) {
-      const itemPath = path.join(dirPath, item);
-      const stat = await fs.stat(itemPath);
-
-      if (stat.isDirectory()) {
-        if (["node_modules", ".git", ".next", "build", "dist"].includes(item)) {
-          continue;
-        }
-        await processTemplateFiles(itemPath, variables);
-      } else {
-        await processFile(itemPath, variables);
-      }
-    }
-  } catch (error) {
-    console.error(
-      chalk.yellow(`Warning processing directory ${dirPath}: ${error.message}`)
-    );
+  if (!processed) {
+    console.error(chalk.red("❌ Failed to process template"));
+    throw new Error("Failed to process template files");
   }
-}
 
-/**
- * Process individual file
- */
-async function processFile(filePath, variables) {
-  const ext = path.extname(filePath);
-  const isTemplateFile = filePath.endsWith(".template");
-
-  const processableExtensions = [
-    ".js",
-    ".jsx",
-    ".ts",
-    ".tsx",
-    ".json",
-    ".md",
-    ".html",
-    ".css",
-    ".txt",
-    ".yml",
-    ".yaml",
-  ];
-
-  if (isTemplateFile || processableExtensions.includes(ext)) {
-    try {
-      let content = await fs.readFile(filePath, "utf8");
-      let hasChanges = false;
-
-      Object.keys(variables).forEach((key) => {
-        const regex = new RegExp(`{{${key}}}`, "g");
-        const originalContent = content;
-        content = content.replace(regex, variables[key] || "");
-        if (originalContent !== content) {
-          hasChanges = true;
-        }
-      });
-
-      if (hasChanges) {
-        await fs.writeFile(filePath, content, "utf8");
-      }
-
-      if (isTemplateFile) {
-        const newFilePath = filePath.replace(".template", "");
-        await fs.move(filePath, newFilePath);
-      }
-    } catch (error) {
-      // Skip files that can't be processed
-    }
-  }
+  console.log(chalk.green("✅ Template processed successfully"));
+  return true;
 }
 
 module.exports = {
@@ -0,0 +1,363 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const tar = require("tar");
+
+const { cloneRepository, getHeadCommit } = require("./gitUtils");
+const {
+  TEMPLATES_DIR,
+  getTemplate,
+  readManifest,
+} = require("./templateManifest");
+const { listFiles } = require("./fileUtils");
+const { consoleLogger, silentLogger } = require("./logger");
+const { runCommand } = require("./runner");
+
+/**
+ * How long `npm pack` may take to download a template
+ */
+const PACK_TIMEOUT = 2 * 60 * 1000;
+
+const GIT_HOSTS = {
+  github: "https://github.com",
+  gitlab: "https://gitlab.com",
+  bitbucket: "https://bitbucket.org",
+};
+
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/;
+
+/**
+ * Split `url#ref/sub/dir` into its parts
+ * @param {string} value - Source with an optional `#ref/subdir` suffix
+ * @returns {Object} - { url, ref, subdir }
+ */
+function splitRef(value) {
+  const hashIndex = value.indexOf("#");
+  if (hashIndex === -1) {
+    return { url: value, ref: null, subdir: null };
+  }
+
+  const [ref, ...subdir] = value.slice(hashIndex + 1).split("/");
+  return {
+    url: value.slice(0, hashIndex),
+    ref: ref || null,
+    subdir: subdir.length > 0 ? subdir.join("/") : null,
+  };
+}
+
+/**
+ * Check whether a local directory is a (bare or regular) git repository
+ * @param {string} dirPath - Directory path
+ * @returns {boolean}
+ */
+function isLocalGitRepository(dirPath) {
+  return (
+    fs.existsSync(path.join(dirPath, ".git")) ||
+    (fs.existsSync(path.join(dirPath, "HEAD")) &&
+      fs.existsSync(path.join(dirPath, "objects")))
+  );
+}
+
+/**
+ * Work out what kind of template source a `--template` value refers to
+ *
+ *   dashboard                         built-in template
+ *   ./local/path, /abs/path           local folder or git repository (or
+ *                                     tarball by extension)
+ *   file:./foo.tgz                    local tarball, folder or git repository
+ *   github:org/repo#branch/subdir     git hosting shorthand
+ *   https://host/repo.git#branch      any git URL (also git@, ssh://, git+…)
+ *   npm:@scope/titas-template-x       package from the npm registry
+ *   npm:pkg@1.0.0#templates/x         sub-directory of an npm package
+ *
+ * @param {string} source - Value of `--template`
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {Object} - Parsed source with a `type`
+ */
+function parseTemplateSource(source, cwd = process.cwd()) {
+  if (!source || typeof source !== "string") {
+    throw new Error("A template source is required");
+  }
+
+  if (source.startsWith("npm:")) {
+    const [spec, subdir = null] = source.slice(4).split("#");
+    return { type: "npm", source, spec, subdir };
+  }
+
+  const hostMatch = source.match(/^(github|gitlab|bitbucket):(.+)$/);
+  if (hostMatch) {
+    const { url, ref, subdir } = splitRef(hostMatch[2]);
+    return {
+      type: "git",
+      source,
+      url: `${GIT_HOSTS[hostMatch[1]]}/${url.replace(/\.git$/, "")}.git`,
+      ref,
+      subdir,
+    };
+  }
+
+  if (source.startsWith("file:") && !source.startsWith("file://")) {
+    const { url, ref, subdir } = splitRef(source.slice(5));
+    const localPath = path.resolve(cwd, url);
+    if (TARBALL_PATTERN.test(localPath)) {
+      return { type: "tarball", source, path: localPath, subdir: null };
+    }
+    if (isLocalGitRepository(localPath)) {
+      return { type: "git", source, url: localPath, ref, subdir };
+    }
+    return { type: "local", source, path: localPath };
+  }
+
+  if (
+    /^(git\+|git:\/\/|ssh:\/\/|git@|file:\/\/)/.test(source) ||
+    /^https?:\/\/.+\.git(#.*)?$/.test(source)
+  ) {
+    const { url, ref, subdir } = splitRef(source.replace(/^git\+/, ""));
+    return { type: "git", source, url, ref, subdir };
+  }
+
+  if (/^https?:\/\//.test(source)) {
+    throw new Error(
+      `Unsupported template URL "${source}". Use a git URL ending in .git or npm:<package>`
+    );
+  }
+
+  const looksLikePath =
+    /^(\.{1,2}[\\/]|[\\/]|~[\\/]|[A-Za-z]:[\\/])/.test(source) ||
+    source.includes("/") ||
+    source.includes("\\");
+
+  if (!looksLikePath && getTemplate(source, TEMPLATES_DIR, silentLogger)) {
+    return { type: "builtin", source, name: source };
+  }
+
+  const localPath = path.resolve(
+    cwd,
+    source.replace(/^~(?=[\\/])/, os.homedir())
+  );
+  if (looksLikePath || fs.existsSync(localPath)) {
+    if (TARBALL_PATTERN.test(localPath)) {
+      return { type: "tarball", source, path: localPath, subdir: null };
+    }
+    // Clone repositories rather than copying their internals
+    if (isLocalGitRepository(localPath)) {
+      return { type: "git", source, url: localPath, ref: null, subdir: null };
+    }
+    return { type: "local", source, path: localPath };
+  }
+
+  throw new Error(
+    `Unknown template "${source}". Use a built-in template name, a local path, file:<tarball>, github:<org>/<repo> or npm:<package>`
+  );
+}
+
+/**
+ * Extract a tarball, dropping a single top-level folder such as npm's
+ * `package/` or GitHub's `repo-branch/`
+ * @param {string} tarballPath - Path to the tarball
+ * @param {string} targetDir - Directory to extract into
+ * @returns {Promise<string>} - Directory holding the extracted files
+ */
+async function extractTarball(tarballPath, targetDir) {
+  if (!(await fs.pathExists(tarballPath))) {
+    throw new Error(`Template tarball not found at ${tarballPath}`);
+  }
+
+  await fs.ensureDir(targetDir);
+  await tar.x({ file: tarballPath, cwd: targetDir });
+
+  const entries = await fs.readdir(targetDir);
+  if (entries.length === 1) {
+    const onlyEntry = path.join(targetDir, entries[0]);
+    if ((await fs.stat(onlyEntry)).isDirectory()) {
+      return onlyEntry;
+    }
+  }
+
+  return targetDir;
+}
+
+/**
+ * Download an npm package tarball with `npm pack`
+ * @param {string} spec - Package spec (`name`, `name@version`, `@scope/name`)
+ * @param {string} targetDir - Directory to download into
+ * @returns {Promise<Object>} - { tarballPath, spec } with the exact version
+ */
+async function packNpmPackage(spec, targetDir) {
+  try {
+    const { stdout } = await runCommand(
+      "npm",
+      ["pack", spec, "--json", "--pack-destination", targetDir],
+      { cwd: targetDir, timeout: PACK_TIMEOUT }
+    );
+    const [{ filename, name, version }] = JSON.parse(stdout);
+    return {
+      tarballPath: path.join(targetDir, filename),
+      spec: `${name}@${version}`,
+    };
+  } catch (error) {
+    throw new Error(
+      `Could not download npm package "${spec}": ${error.message}`
+    );
+  }
+}
+
+/**
+ * Resolve a sub-directory of a fetched template, refusing paths that escape it
+ * @param {string} rootDir - Fetched template root
+ * @param {string|null} subdir - Requested sub-directory
+ * @returns {Promise<string>} - Template directory
+ */
+async function resolveSubdirectory(rootDir, subdir) {
+  if (!subdir) {
+    return rootDir;
+  }
+
+  const templatePath = path.resolve(rootDir, subdir);
+  if (
+    templatePath !== rootDir &&
+    !templatePath.startsWith(rootDir + path.sep)
+  ) {
+    throw new Error(`Template sub-directory "${subdir}" is outside the source`);
+  }
+
+  if (!(await fs.pathExists(templatePath))) {
+    throw new Error(`Template sub-directory "${subdir}" does not exist`);
+  }
+
+  return templatePath;
+}
+
+/**
+ * Hash every file of a template folder, to tell later whether a local
+ * template still has the contents a project was generated from
+ * @param {string} dirPath - Template directory
+ * @returns {Promise<string>} - sha256 hex digest
+ */
+async function hashDirectory(dirPath) {
+  const hash = crypto.createHash("sha256");
+  for (const file of await listFiles(dirPath)) {
+    hash.update(`${file}\0`);
+    hash.update(await fs.readFile(path.join(dirPath, file)));
+    hash.update("\0");
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Check a local template against the hash it was pinned to
+ * @param {string} dirPath - Template directory
+ * @param {Object|null} pin - Pin recorded when the project was generated
+ * @param {string} source - Template source, for the error message
+ * @returns {Promise<Object>} - The folder's pin, `{ hash }`
+ */
+async function pinDirectory(dirPath, pin, source) {
+  const hash = await hashDirectory(dirPath);
+  if (pin && pin.hash !== hash) {
+    throw new Error(
+      `The template at ${source} has changed since the project was generated`
+    );
+  }
+  return { hash };
+}
+
+/**
+ * Fetch a template from any supported source into a usable directory and
+ * load its manifest. Remote sources are fetched into a temporary directory
+ * that is removed by calling `cleanup()`.
+ *
+ * `source.pin` identifies the exact contents that were fetched: the commit
+ * for git, the package version for npm and a hash of the files otherwise.
+ * Passing it back as `options.pin` fetches those contents again, or fails
+ * when that is no longer possible.
+ * @param {string} source - Value of `--template`
+ * @param {Object} options - Fetch options
+ * @param {string} options.cwd - Directory relative paths are resolved against
+ * @param {Object} options.logger - Logger for progress messages
+ * @param {Object} options.pin - Pin to fetch, from an earlier `source.pin`
+ * @returns {Promise<Object>} - Template manifest with `path`, `source` and `cleanup`
+ */
+async function fetchTemplate(source, options = {}) {
+  const { cwd = process.cwd(), logger = consoleLogger, pin = null } = options;
+  const parsed = parseTemplateSource(source, cwd);
+  const noop = async () => {};
+
+  if (parsed.type === "builtin") {
+    return {
+      ...getTemplate(parsed.name, TEMPLATES_DIR, logger),
+      source: parsed,
+      cleanup: noop,
+    };
+  }
+
+  if (parsed.type === "local") {
+    if (!(await fs.pathExists(parsed.path))) {
+      throw new Error(`Template folder not found at ${parsed.path}`);
+    }
+    const manifest = readManifest(parsed.path, { remote: true });
+    parsed.pin = await pinDirectory(parsed.path, pin, source);
+    return { ...manifest, source: parsed, cleanup: noop };
+  }
+
+  const tempDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), "create-titas-app-template-")
+  );
+  const cleanup = () => fs.remove(tempDir);
+
+  try {
+    let rootDir;
+
+    if (parsed.type === "git") {
+      logger.info(`📥 Fetching template from ${parsed.url}...`);
+      rootDir = path.join(tempDir, "repo");
+      const cloned = await cloneRepository(parsed.url, rootDir, {
+        branch: parsed.ref,
+        depth: 1,
+        commit: pin && pin.commit,
+        logger,
+      });
+      if (!cloned) {
+        throw new Error(
+          pin
+            ? `Could not check out commit ${pin.commit} of template repository ${parsed.url}`
+            : `Could not clone template repository ${parsed.url}`
+        );
+      }
+      parsed.pin = { commit: await getHeadCommit(rootDir) };
+      await fs.remove(path.join(rootDir, ".git"));
+    } else if (parsed.type === "tarball") {
+      logger.info(`📥 Extracting template from ${parsed.path}...`);
+      rootDir = await extractTarball(
+        parsed.path,
+        path.join(tempDir, "extracted")
+      );
+    } else if (parsed.type === "npm") {
+      const spec = pin ? pin.spec : parsed.spec;
+      logger.info(`📥 Downloading template ${spec}...`);
+      const packed = await packNpmPackage(spec, tempDir);
+      parsed.pin = { spec: packed.spec };
+      rootDir = await extractTarball(
+        packed.tarballPath,
+        path.join(tempDir, "extracted")
+      );
+    }
+
+    const templatePath = await resolveSubdirectory(rootDir, parsed.subdir);
+    const manifest = readManifest(templatePath, { remote: true });
+    if (parsed.type === "tarball") {
+      parsed.pin = await pinDirectory(templatePath, pin, source);
+    }
+
+    return { ...manifest, source: parsed, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+module.exports = {
+  parseTemplateSource,
+  extractTarball,
+  fetchTemplate,
+};
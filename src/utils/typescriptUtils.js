@@ -0,0 +1,278 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { transform } = require("sucrase");
+const { parse } = require("sucrase/dist/parser");
+const { TokenType } = require("sucrase/dist/parser/tokenizer/types");
+
+/**
+ * Packages that only make sense in a TypeScript project
+ */
+const TYPESCRIPT_PACKAGES = [/^typescript$/, /^@types\//];
+
+/**
+ * Tokens that never follow a space: what is left of `values[key as Key]`
+ * or `f(value as string)` is `values[key ]` and `f(value )`
+ */
+const CLOSING_TOKENS = [
+  TokenType.bracketR,
+  TokenType.parenR,
+  TokenType.comma,
+  TokenType.semi,
+];
+
+/**
+ * Remove the spaces removed annotations leave between two tokens on the
+ * same line. Works on tokens, so strings, template literals, JSX text and
+ * comments keep their spacing.
+ * @param {string} code - Code with types stripped
+ * @param {boolean} isJSX - Whether the code contains JSX
+ * @returns {string} - Cleaned code
+ */
+function tidyTokenSpacing(code, isJSX) {
+  let tokens;
+  try {
+    ({ tokens } = parse(code, isJSX, false, false));
+  } catch (error) {
+    return code;
+  }
+
+  let result = "";
+  let lastIndex = 0;
+  for (let i = 1; i < tokens.length; i++) {
+    const { end } = tokens[i - 1];
+    const { start, type } = tokens[i];
+    const gap = code.slice(end, start);
+    if (!/^[ \t]+$/.test(gap)) {
+      continue;
+    }
+
+    const spacing = CLOSING_TOKENS.includes(type) ? "" : " ";
+    if (gap !== spacing) {
+      result += code.slice(lastIndex, end) + spacing;
+      lastIndex = start;
+    }
+  }
+
+  return result + code.slice(lastIndex);
+}
+
+/**
+ * Tidy the whitespace sucrase leaves behind where types were removed
+ * @param {string} code - Code with types stripped
+ * @returns {string} - Cleaned code
+ */
+function tidyStrippedCode(code) {
+  return (
+    code
+      // Trailing whitespace left after removed annotations
+      .replace(/[ \t]+$/gm, "")
+      // `forwardRef<A, B>(` spread over several lines becomes `forwardRef\n\n\n(`
+      .replace(/([\w$)\]])\n(?:[ \t]*\n)+[ \t]*\(/g, "$1(")
+      // A multi-line parameter type after a destructured parameter leaves
+      // `}` apart from the `)` or `,` that follows: `function Layout({ children }) {`
+      .replace(/([}\]])\n(?:[ \t]*\n)+[ \t]*([),])/g, "$1$2")
+      // Parameter types removed before the closing parenthesis
+      .replace(/\n(?:[ \t]*\n)+([ \t]*\))/g, "\n$1")
+      // `import Foo, { type Bar } from` becomes `import Foo, {} from`
+      .replace(/,\s*\{\s*\}\s*from/g, " from")
+      // `import { Foo, type Bar } from` becomes `import { Foo, } from`
+      .replace(/, +\} from/g, " } from")
+      // Blank lines where interfaces and type aliases used to be
+      .replace(/\n{3,}/g, "\n\n")
+      .replace(/^\n+/, "")
+  );
+}
+
+/**
+ * Strip TypeScript types from a source file, keeping JSX as-is
+ * @param {string} source - TypeScript source
+ * @param {string} filePath - File path (used for error messages)
+ * @returns {string} - JavaScript source
+ */
+function stripTypes(source, filePath) {
+  const { code } = transform(source, {
+    transforms: filePath.endsWith(".tsx")
+      ? ["typescript", "jsx"]
+      : ["typescript"],
+    jsxRuntime: "preserve",
+    disableESTransforms: true,
+    filePath,
+  });
+
+  return tidyStrippedCode(tidyTokenSpacing(code, filePath.endsWith(".tsx")));
+}
+
+/**
+ * Convert every `.ts`/`.tsx` file in a directory to `.js`/`.jsx`
+ * @param {string} dirPath - Directory to convert
+ * @param {string} rootPath - Project root, for relative paths
+ * @param {Array<Object>} converted - Accumulator of { from, to }
+ */
+async function convertDirectory(dirPath, rootPath, converted) {
+  const items = await fs.readdir(dirPath);
+
+  for (const item of items) {
+    const itemPath = path.join(dirPath, item);
+    const stat = await fs.stat(itemPath);
+
+    if (stat.isDirectory()) {
+      if (item === "node_modules" || item === ".git") {
+        continue;
+      }
+      await convertDirectory(itemPath, rootPath, converted);
+      continue;
+    }
+
+    if (item.endsWith(".d.ts")) {
+      await fs.remove(itemPath);
+      continue;
+    }
+
+    const ext = path.extname(item);
+    if (ext !== ".ts" && ext !== ".tsx") {
+      continue;
+    }
+
+    const newPath =
+      itemPath.slice(0, -ext.length) + (ext === ".tsx" ? ".jsx" : ".js");
+    const source = await fs.readFile(itemPath, "utf8");
+
+    let code;
+    try {
+      code = stripTypes(source, itemPath);
+    } catch (error) {
+      throw new Error(
+        `Could not convert ${path.relative(rootPath, itemPath)}: ${
+          error.message
+        }`
+      );
+    }
+
+    await fs.writeFile(newPath, code, "utf8");
+    await fs.remove(itemPath);
+    converted.push({
+      from: path.relative(rootPath, itemPath),
+      to: path.relative(rootPath, newPath),
+    });
+  }
+}
+
+/**
+ * Replace tsconfig.json with a jsconfig.json that keeps the path aliases
+ * @param {string} projectPath - Project directory
+ */
+async function convertTsconfig(projectPath) {
+  const tsconfigPath = path.join(projectPath, "tsconfig.json");
+  if (!(await fs.pathExists(tsconfigPath))) {
+    return;
+  }
+
+  const tsconfig = await fs.readJson(tsconfigPath);
+  const { baseUrl, paths } = tsconfig.compilerOptions || {};
+
+  const compilerOptions = {};
+  if (baseUrl) compilerOptions.baseUrl = baseUrl;
+  if (paths) compilerOptions.paths = paths;
+
+  await fs.writeJson(
+    path.join(projectPath, "jsconfig.json"),
+    { compilerOptions },
+    { spaces: 2 }
+  );
+  await fs.remove(tsconfigPath);
+}
+
+/**
+ * Point shadcn's components.json at JavaScript files
+ * @param {string} projectPath - Project directory
+ */
+async function convertComponentsJson(projectPath) {
+  const componentsPath = path.join(projectPath, "components.json");
+  if (!(await fs.pathExists(componentsPath))) {
+    return;
+  }
+
+  const components = await fs.readJson(componentsPath);
+  components.tsx = false;
+  if (components.tailwind && components.tailwind.config) {
+    components.tailwind.config = components.tailwind.config.replace(
+      /\.ts$/,
+      ".js"
+    );
+  }
+
+  await fs.writeJson(componentsPath, components, { spaces: 2 });
+}
+
+/**
+ * Remove TypeScript-only packages from a package.json object
+ * @param {Object} packageJson - package.json contents (modified in place)
+ * @returns {Object} - The same package.json object
+ */
+function removeTypescriptDependencies(packageJson) {
+  for (const field of ["dependencies", "devDependencies"]) {
+    if (!packageJson[field]) continue;
+    for (const name of Object.keys(packageJson[field])) {
+      if (TYPESCRIPT_PACKAGES.some((pattern) => pattern.test(name))) {
+        delete packageJson[field][name];
+      }
+    }
+  }
+
+  return packageJson;
+}
+
+/**
+ * Remove TypeScript-only packages from package.json
+ * @param {string} projectPath - Project directory
+ */
+async function removeTypescriptPackages(projectPath) {
+  const packageJsonPath = path.join(projectPath, "package.json");
+  if (!(await fs.pathExists(packageJsonPath))) {
+    return;
+  }
+
+  const packageJson = await fs.readJson(packageJsonPath);
+  removeTypescriptDependencies(packageJson);
+
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+}
+
+/**
+ * Get the path a file ends up at after JavaScript conversion
+ * @param {string} relativePath - Path of a TypeScript project file
+ * @returns {string|null} - New path, or null when the file is removed
+ */
+function getJavaScriptPath(relativePath) {
+  if (relativePath.endsWith(".d.ts")) {
+    return null;
+  }
+  if (relativePath === "tsconfig.json") {
+    return "jsconfig.json";
+  }
+  return relativePath.replace(/\.ts$/, ".js").replace(/\.tsx$/, ".jsx");
+}
+
+/**
+ * Turn a generated TypeScript project into a JavaScript one
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Array<Object>>} - List of { from, to } converted files
+ */
+async function convertToJavaScript(projectPath) {
+  const converted = [];
+
+  await convertDirectory(projectPath, projectPath, converted);
+  await convertTsconfig(projectPath);
+  await convertComponentsJson(projectPath);
+  await removeTypescriptPackages(projectPath);
+
+  return converted;
+}
+
+module.exports = {
+  TYPESCRIPT_PACKAGES,
+  stripTypes,
+  removeTypescriptDependencies,
+  getJavaScriptPath,
+  convertToJavaScript,
+};
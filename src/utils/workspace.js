@@ -0,0 +1,618 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const { toPosixPath, listFiles } = require("./fileUtils");
+const { detectProjectPackageManager } = require("./packageManager");
+const {
+  REGISTRY_DIR,
+  readComponentsConfig,
+  resolveAliasPath,
+  rewriteImports,
+  copyComponents,
+  getComponentDependencies,
+  addPackageDependencies,
+  removePackageDependencies,
+} = require("./componentRegistry");
+const { getImportedPackages } = require("./projectChecks");
+const { silentLogger } = require("./logger");
+
+/**
+ * Workspace file used by pnpm instead of `workspaces` in package.json
+ */
+const PNPM_WORKSPACE_FILE = "pnpm-workspace.yaml";
+
+/**
+ * Where the shared UI package is created, relative to the workspace root
+ */
+const UI_PACKAGE_DIR = "packages/ui";
+
+/**
+ * Read the `packages` list of a pnpm-workspace.yaml
+ * @param {string} content - File contents
+ * @returns {Array<string>} - Workspace patterns
+ */
+function parsePnpmWorkspace(content) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages:\s*(#.*)?$/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages || !line.trim() || line.trim().startsWith("#")) {
+      continue;
+    }
+
+    const item = line.match(/^\s+-\s*(["']?)([^"'#]+?)\1\s*(#.*)?$/);
+    if (!item) break;
+    patterns.push(item[2]);
+  }
+
+  return patterns;
+}
+
+/**
+ * Read the workspace declaration of a directory, if it has one
+ * @param {string} dirPath - Directory to check
+ * @returns {Promise<Object|null>} - { file, patterns }, or null when it is not a workspace root
+ */
+async function readWorkspace(dirPath) {
+  const pnpmPath = path.join(dirPath, PNPM_WORKSPACE_FILE);
+  if (await fs.pathExists(pnpmPath)) {
+    return {
+      file: PNPM_WORKSPACE_FILE,
+      patterns: parsePnpmWorkspace(await fs.readFile(pnpmPath, "utf8")),
+    };
+  }
+
+  const packageJsonPath = path.join(dirPath, "package.json");
+  if (!(await fs.pathExists(packageJsonPath))) {
+    return null;
+  }
+
+  const { workspaces } = await fs.readJson(packageJsonPath);
+  const patterns = Array.isArray(workspaces)
+    ? workspaces
+    : workspaces && workspaces.packages;
+  return Array.isArray(patterns) ? { file: "package.json", patterns } : null;
+}
+
+/**
+ * Find the workspace root a new app is created in by walking up from the
+ * app's parent directory
+ * @param {string} startPath - Directory to start from
+ * @returns {Promise<Object|null>} - { root, file, patterns, packageManager, packageName }, or null when there is none
+ */
+async function findWorkspaceRoot(startPath) {
+  let dirPath = path.resolve(startPath);
+
+  for (;;) {
+    const workspace = await readWorkspace(dirPath);
+    if (workspace) {
+      const packageJsonPath = path.join(dirPath, "package.json");
+      const packageJson = (await fs.pathExists(packageJsonPath))
+        ? await fs.readJson(packageJsonPath)
+        : {};
+
+      return {
+        ...workspace,
+        root: dirPath,
+        packageManager:
+          workspace.file === PNPM_WORKSPACE_FILE
+            ? "pnpm"
+            : detectProjectPackageManager(dirPath),
+        packageName: packageJson.name || null,
+      };
+    }
+
+    const parentPath = path.dirname(dirPath);
+    if (parentPath === dirPath) {
+      return null;
+    }
+    dirPath = parentPath;
+  }
+}
+
+/**
+ * Check a relative path against a workspace glob such as `apps/*`
+ * @param {string} relativePath - Path relative to the workspace root
+ * @param {string} pattern - Workspace pattern
+ * @returns {boolean}
+ */
+function matchesPattern(relativePath, pattern) {
+  if (pattern.startsWith("!")) {
+    return false;
+  }
+
+  const source = pattern
+    .replace(/^\.\//, "")
+    .replace(/\/$/, "")
+    .split(/(\*\*|\*)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`).test(relativePath);
+}
+
+/**
+ * List the packages of a workspace
+ * @param {Object} workspace - Workspace from findWorkspaceRoot()
+ * @returns {Promise<Array<Object>>} - { path, packageJson } for each package
+ */
+async function listWorkspacePackages(workspace) {
+  const packages = [];
+
+  const visit = async (dirPath, depth) => {
+    const relativePath = toPosixPath(path.relative(workspace.root, dirPath));
+    const packageJsonPath = path.join(dirPath, "package.json");
+    if (
+      relativePath &&
+      workspace.patterns.some((pattern) =>
+        matchesPattern(relativePath, pattern)
+      ) &&
+      (await fs.pathExists(packageJsonPath))
+    ) {
+      packages.push({
+        path: relativePath,
+        packageJson: await fs.readJson(packageJsonPath),
+      });
+    }
+
+    if (depth === 0) return;
+    for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+      if (
+        entry.isDirectory() &&
+        !entry.name.startsWith(".") &&
+        entry.name !== "node_modules"
+      ) {
+        await visit(path.join(dirPath, entry.name), depth - 1);
+      }
+    }
+  };
+  await visit(workspace.root, 3);
+
+  return packages;
+}
+
+/**
+ * Add an app to the workspace's package list unless a pattern already
+ * covers it
+ * @param {Object} workspace - Workspace from findWorkspaceRoot()
+ * @param {string} relativePath - App path relative to the workspace root
+ * @returns {Promise<boolean>} - True when the workspace file was changed
+ */
+async function registerWorkspacePackage(workspace, relativePath) {
+  if (
+    workspace.patterns.some((pattern) => matchesPattern(relativePath, pattern))
+  ) {
+    return false;
+  }
+
+  if (workspace.file === PNPM_WORKSPACE_FILE) {
+    const filePath = path.join(workspace.root, PNPM_WORKSPACE_FILE);
+    const lines = (await fs.readFile(filePath, "utf8")).split("\n");
+    const entry = `  - "${relativePath}"`;
+    const start = lines.findIndex((line) => /^packages:\s*(#.*)?$/.test(line));
+
+    if (start === -1) {
+      lines.push("packages:", entry);
+    } else {
+      // Insert after the last item of the packages list
+      let end = start + 1;
+      while (end < lines.length && /^\s+-/.test(lines[end])) end++;
+      lines.splice(end, 0, entry);
+    }
+    await fs.writeFile(filePath, lines.join("\n"));
+  } else {
+    const filePath = path.join(workspace.root, "package.json");
+    const packageJson = await fs.readJson(filePath);
+    if (Array.isArray(packageJson.workspaces)) {
+      packageJson.workspaces.push(relativePath);
+    } else {
+      packageJson.workspaces.packages.push(relativePath);
+    }
+    await fs.writeJson(filePath, packageJson, { spaces: 2 });
+  }
+
+  workspace.patterns.push(relativePath);
+  return true;
+}
+
+/**
+ * Get the release line a version range such as `^2.1.1` or `~15.3.0`
+ * starts on: the major version, or major and minor for 0.x
+ * @param {string} range - Version range
+ * @returns {string|null} - e.g. `2` or `0.4`; null for tags, URLs and unions
+ */
+function getReleaseLine(range) {
+  const match = range
+    .trim()
+    .match(
+      /^(?:\^|~|>=|=)?v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-[\w.]+)?$/
+    );
+  if (!match) return null;
+  const [, major, minor] = match;
+  return major === "0" && /^\d+$/.test(minor || "") ? `0.${minor}` : major;
+}
+
+/**
+ * Leave shared packages to the workspace: dev tools the root already
+ * declares are dropped from the app, and packages other workspace members
+ * use are pinned to the same version so a single copy is hoisted. A version
+ * on another release line is never adopted; the app keeps its own.
+ * @param {Object} workspace - Workspace from findWorkspaceRoot()
+ * @param {string} projectPath - App directory
+ * @returns {Promise<Object>} - { hoisted, aligned, kept } package names and versions; `kept` maps each package left alone to { version, common }
+ */
+async function hoistDependencies(workspace, projectPath) {
+  const packageJsonPath = path.join(projectPath, "package.json");
+  const packageJson = await fs.readJson(packageJsonPath);
+  const rootPackageJson = await fs
+    .readJson(path.join(workspace.root, "package.json"))
+    .catch(() => ({}));
+  const rootPackages = {
+    ...rootPackageJson.dependencies,
+    ...rootPackageJson.devDependencies,
+  };
+
+  const hoisted = [];
+  for (const name of Object.keys(packageJson.devDependencies || {})) {
+    if (rootPackages[name]) {
+      delete packageJson.devDependencies[name];
+      hoisted.push(name);
+    }
+  }
+
+  // The version most other members use, per package
+  const versions = {};
+  const appPath = toPosixPath(path.relative(workspace.root, projectPath));
+  for (const member of await listWorkspacePackages(workspace)) {
+    if (member.path === appPath) continue;
+    for (const field of ["dependencies", "devDependencies"]) {
+      for (const [name, version] of Object.entries(
+        member.packageJson[field] || {}
+      )) {
+        if (version.startsWith("workspace:")) continue;
+        versions[name] = versions[name] || {};
+        versions[name][version] = (versions[name][version] || 0) + 1;
+      }
+    }
+  }
+
+  const aligned = {};
+  const kept = {};
+  for (const field of ["dependencies", "devDependencies"]) {
+    for (const [name, version] of Object.entries(packageJson[field] || {})) {
+      if (!versions[name]) continue;
+      const [common] = Object.entries(versions[name]).sort(
+        (a, b) => b[1] - a[1]
+      )[0];
+      if (common === version) continue;
+
+      const line = getReleaseLine(version);
+      if (line && line === getReleaseLine(common)) {
+        packageJson[field][name] = common;
+        aligned[name] = common;
+      } else {
+        kept[name] = { version, common };
+      }
+    }
+  }
+
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+  return { hoisted, aligned, kept };
+}
+
+/**
+ * Version range that points a dependency at another workspace member
+ * @param {Object} workspace - Workspace from findWorkspaceRoot()
+ * @returns {string} - `workspace:*`, or `*` for npm and Yarn 1
+ */
+function getWorkspaceRange(workspace) {
+  const { packageManager, root } = workspace;
+  if (packageManager === "pnpm" || packageManager === "bun") {
+    return "workspace:*";
+  }
+  if (
+    packageManager === "yarn" &&
+    fs.existsSync(path.join(root, ".yarnrc.yml"))
+  ) {
+    return "workspace:*";
+  }
+  return "*";
+}
+
+/**
+ * Name of the shared UI package: `@<scope>/ui` after the root package's
+ * scope, or `@workspace/ui`
+ * @param {Object} workspace - Workspace from findWorkspaceRoot()
+ * @returns {string} - Package name
+ */
+function getUiPackageName(workspace) {
+  const scope = (workspace.packageName || "").match(/^(@[^/]+)\//);
+  return `${scope ? scope[1] : "@workspace"}/ui`;
+}
+
+/**
+ * Create the shared UI package, with the same component conventions as an
+ * app so the registry can copy into it
+ * @param {string} uiPath - Package directory
+ * @param {string} name - Package name
+ * @param {Object} appConfig - The app's components.json
+ */
+async function createUiPackage(uiPath, name, appConfig) {
+  const ext = appConfig.tsx ? "tsx" : "jsx";
+  await fs.outputJson(
+    path.join(uiPath, "package.json"),
+    {
+      name,
+      version: "0.0.0",
+      private: true,
+      exports: {
+        "./components/ui/*": `./src/components/ui/*.${ext}`,
+        "./hooks/*": `./src/hooks/*.${ext}`,
+        "./lib/*": `./src/lib/*.${appConfig.tsx ? "ts" : "js"}`,
+      },
+      peerDependencies: { react: "*", "react-dom": "*" },
+    },
+    { spaces: 2 }
+  );
+
+  const { aliases, tsx, ...config } = appConfig;
+  await fs.outputJson(
+    path.join(uiPath, "components.json"),
+    {
+      ...config,
+      tsx,
+      tailwind: { ...config.tailwind, config: "", css: "" },
+      aliases: {
+        components: `${name}/components`,
+        utils: `${name}/lib/utils`,
+        ui: `${name}/components/ui`,
+        lib: `${name}/lib`,
+        hooks: `${name}/hooks`,
+      },
+    },
+    { spaces: 2 }
+  );
+
+  await fs.outputJson(
+    path.join(uiPath, tsx ? "tsconfig.json" : "jsconfig.json"),
+    {
+      compilerOptions: {
+        jsx: "preserve",
+        moduleResolution: "bundler",
+        paths: { [`${name}/*`]: ["./src/*"] },
+      },
+      include: ["src"],
+    },
+    { spaces: 2 }
+  );
+}
+
+/**
+ * Point Next.js and Tailwind CSS at the shared UI package
+ * @param {string} projectPath - App directory
+ * @param {string} uiPath - UI package directory
+ * @param {string} name - UI package name
+ * @param {Object} appConfig - The app's components.json
+ * @returns {Promise<Array<string>>} - Files that could not be updated
+ */
+async function configureUiPackage(projectPath, uiPath, name, appConfig) {
+  const skipped = [];
+
+  const nextConfig = ["next.config.js", "next.config.mjs", "next.config.ts"]
+    .map((file) => path.join(projectPath, file))
+    .find((filePath) => fs.existsSync(filePath));
+  if (nextConfig) {
+    const source = await fs.readFile(nextConfig, "utf8");
+    const updated = source.replace(
+      /(const nextConfig(?:\s*:\s*[\w.]+)?\s*=\s*\{)(\s*\})?/,
+      (match, start, empty) =>
+        `${start}\n  transpilePackages: ["${name}"],${empty ? "\n}" : ""}`
+    );
+    if (updated === source) skipped.push(path.basename(nextConfig));
+    else await fs.writeFile(nextConfig, updated);
+  }
+
+  const { config: tailwindConfig, css } = appConfig.tailwind || {};
+  const tailwindPath = tailwindConfig && path.join(projectPath, tailwindConfig);
+  const cssPath = css && path.join(projectPath, css);
+  const sourceGlob = (fromPath) => {
+    const relative = toPosixPath(
+      path.relative(fromPath, path.join(uiPath, "src"))
+    );
+    return relative.startsWith(".") ? relative : `./${relative}`;
+  };
+
+  if (tailwindPath && (await fs.pathExists(tailwindPath))) {
+    // Tailwind CSS 3 scans the files listed in `content`
+    const source = await fs.readFile(tailwindPath, "utf8");
+    const updated = source.replace(
+      /content:\s*\[/,
+      (match) =>
+        `${match}\n    '${sourceGlob(projectPath)}/**/*.{js,ts,jsx,tsx}',`
+    );
+    if (updated === source) skipped.push(tailwindConfig);
+    else await fs.writeFile(tailwindPath, updated);
+  } else if (cssPath && (await fs.pathExists(cssPath))) {
+    // Tailwind CSS 4 scans the sources declared in the stylesheet
+    const source = await fs.readFile(cssPath, "utf8");
+    const updated = source.replace(
+      /@import ["']tailwindcss["'];/,
+      (match) => `${match}\n@source "${sourceGlob(path.dirname(cssPath))}";`
+    );
+    if (updated !== source) await fs.writeFile(cssPath, updated);
+  }
+
+  return skipped;
+}
+
+/**
+ * Move an app's UI components into the workspace's shared UI package
+ * (created on first use) and import them from there
+ * @param {Object} workspace - Workspace from findWorkspaceRoot()
+ * @param {string} projectPath - App directory
+ * @param {Object} options - Extraction options
+ * @param {Array<string>} options.components - Registry components of the template
+ * @param {string} options.registryDir - Registry directory
+ * @returns {Promise<Object>} - { name, path, created, registered, added, moved, removed, skipped }
+ */
+async function extractUiPackage(workspace, projectPath, options = {}) {
+  const { components = [], registryDir = REGISTRY_DIR } = options;
+  const uiPath = path.join(workspace.root, UI_PACKAGE_DIR);
+  const appConfig = await readComponentsConfig(projectPath);
+
+  const created = !(await fs.pathExists(uiPath));
+  const name = created
+    ? getUiPackageName(workspace)
+    : (await fs.readJson(path.join(uiPath, "package.json"))).name;
+  if (created) {
+    await createUiPackage(uiPath, name, appConfig);
+  }
+  // The app depends on the package through the workspace protocol, so it
+  // has to be a member like the app itself
+  const registered = await registerWorkspacePackage(workspace, UI_PACKAGE_DIR);
+  const uiConfig = await readComponentsConfig(uiPath);
+
+  // Registry components the package does not have yet
+  const copied = await copyComponents(uiPath, ["utils", ...components], {
+    registryDir,
+    logger: silentLogger,
+  });
+  await addPackageDependencies(uiPath, copied.dependencies);
+
+  // Components only this template ships move over as they are
+  const appUiPath = await resolveAliasPath(projectPath, appConfig.aliases.ui);
+  const uiComponentsPath = await resolveAliasPath(uiPath, uiConfig.aliases.ui);
+  const moved = [];
+  const movedPackages = new Set();
+  if (await fs.pathExists(appUiPath)) {
+    for (const file of await listFiles(appUiPath)) {
+      const target = path.join(uiComponentsPath, file);
+      if (!(await fs.pathExists(target))) {
+        const source = await fs.readFile(path.join(appUiPath, file), "utf8");
+        await fs.outputFile(target, rewriteImports(source, uiConfig.aliases));
+        getImportedPackages(source).forEach((name) => movedPackages.add(name));
+        moved.push(file);
+      }
+    }
+    await fs.remove(appUiPath);
+
+    // Drop components/ when the UI components were all it had
+    const parentPath = path.dirname(appUiPath);
+    if ((await fs.readdir(parentPath)).length === 0) {
+      await fs.remove(parentPath);
+    }
+  }
+
+  // Import the components from the package instead
+  const uiImport = new RegExp(
+    `(["'])${appConfig.aliases.ui.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}/`,
+    "g"
+  );
+  const appPackages = new Set();
+  for (const file of await listFiles(projectPath)) {
+    if (!/\.(jsx?|tsx?|mdx)$/.test(file)) continue;
+    const filePath = path.join(projectPath, file);
+    const source = await fs.readFile(filePath, "utf8");
+    const updated = source.replace(uiImport, `$1${uiConfig.aliases.ui}/`);
+    if (updated !== source) await fs.writeFile(filePath, updated);
+    getImportedPackages(updated).forEach((name) => appPackages.add(name));
+  }
+
+  // The package owns what the components import now; the app keeps only
+  // the packages its own code still uses
+  const appPackageJson = await fs.readJson(
+    path.join(projectPath, "package.json")
+  );
+  const appDependencies = {
+    ...appPackageJson.devDependencies,
+    ...appPackageJson.dependencies,
+  };
+  const movedDependencies = Object.fromEntries(
+    [...movedPackages]
+      .filter((dependency) => appDependencies[dependency])
+      .map((dependency) => [dependency, appDependencies[dependency]])
+  );
+  await addPackageDependencies(uiPath, movedDependencies);
+  const removed = await removePackageDependencies(
+    projectPath,
+    [
+      ...Object.keys(
+        getComponentDependencies(["utils", ...components], registryDir)
+      ),
+      ...Object.keys(movedDependencies),
+    ].filter(
+      (dependency) =>
+        !appPackages.has(dependency) &&
+        !["react", "react-dom"].includes(dependency)
+    )
+  );
+
+  await addPackageDependencies(projectPath, {
+    [name]: getWorkspaceRange(workspace),
+  });
+  const skipped = await configureUiPackage(
+    projectPath,
+    uiPath,
+    name,
+    appConfig
+  );
+
+  return {
+    name,
+    path: UI_PACKAGE_DIR,
+    created,
+    registered,
+    added: copied.added,
+    moved,
+    removed,
+    skipped,
+  };
+}
+
+/**
+ * Make a freshly generated app a member of the workspace: register it, hoist
+ * shared packages and optionally share its UI components
+ * @param {Object} workspace - Workspace from findWorkspaceRoot()
+ * @param {string} projectPath - App directory
+ * @param {Object} options - Workspace options
+ * @param {boolean} options.uiPackage - Extract UI components into packages/ui
+ * @param {Array<string>} options.components - Registry components of the template
+ * @param {string} options.registryDir - Registry directory
+ * @returns {Promise<Object>} - { root, path, registered, hoisted, aligned, kept, ui }
+ */
+async function addToWorkspace(workspace, projectPath, options = {}) {
+  const relativePath = toPosixPath(path.relative(workspace.root, projectPath));
+
+  const result = {
+    root: workspace.root,
+    path: relativePath,
+    registered: await registerWorkspacePackage(workspace, relativePath),
+    ...(await hoistDependencies(workspace, projectPath)),
+    ui: null,
+  };
+
+  if (options.uiPackage) {
+    result.ui = await extractUiPackage(workspace, projectPath, options);
+  }
+
+  return result;
+}
+
+module.exports = {
+  PNPM_WORKSPACE_FILE,
+  UI_PACKAGE_DIR,
+  findWorkspaceRoot,
+  matchesPattern,
+  listWorkspacePackages,
+  registerWorkspacePackage,
+  hoistDependencies,
+  extractUiPackage,
+  addToWorkspace,
+};
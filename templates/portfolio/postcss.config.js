@@ -1,6 +1,10 @@
 module.exports = {
   plugins: {
+{{#if tailwindV4}}
+    "@tailwindcss/postcss": {},
+{{else}}
     tailwindcss: {},
     autoprefixer: {},
+{{/if}}
   },
 }
@@ -21,7 +21,7 @@ export async function POST(request: Request) {
     // Email options
     const mailOptions = {
       from: `"Client Email" <${process.env.ORG_MAIL_USER}>`, // Sender's name and email
-      to: "client@gmail.com", // Recipient's email
+      to: {{contactEmail | json}}, // Recipient's email
       subject: `New Contact Form Submission: ${service}`, // Email subject
       text: `You have received a new contact form submission:
 Name: ${name}
@@ -3,9 +3,16 @@ import HeroSection from "@/components/sections/hero-section";
 import DemoSection from "@/components/sections/demo-section";
 import AboutSection from "@/components/sections/about-section";
 import ContactSection from "@/components/sections/contact-section";
+{{#unless tailwind}}
+import styles from "./page.module.css";
+{{/unless}}
 const page = () => {
   return (
+{{#if tailwind}}
     <main className="min-h-screen w-full flex flex-col items-center justify-center">
+{{else}}
+    <main className={styles.main}>
+{{/if}}
       <HeroSection />
       <AboutSection />
       <DemoSection />
@@ -1,8 +1,15 @@
 import React from "react";
+{{#unless tailwind}}
+import styles from "./Footer.module.css";
+{{/unless}}
 
 const Footer = () => {
   return (
+{{#if tailwind}}
     <div className="w-full border-t flex items-center justify-center h-72">
+{{else}}
+    <div className={styles.footer}>
+{{/if}}
       Footer
     </div>
   );
@@ -1,7 +1,14 @@
 import React from "react";
+{{#unless tailwind}}
+import styles from "./Header.module.css";
+{{/unless}}
 const Header = () => {
   return (
+{{#if tailwind}}
     <div className="w-full flex items-center justify-between px-[5%] h-20">
+{{else}}
+    <div className={styles.header}>
+{{/if}}
       <div id="logo">Logo</div>
       <div id="menu">Menus</div>
     </div>
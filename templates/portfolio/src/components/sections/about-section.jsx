@@ -1,8 +1,15 @@
 import React from "react";
+{{#unless tailwind}}
+import styles from "./section.module.css";
+{{/unless}}
 
 const AboutSection = () => {
   return (
+{{#if tailwind}}
     <div className="w-full h-screen flex items-center justify-center">
+{{else}}
+    <div className={styles.section}>
+{{/if}}
       AboutSection
     </div>
   );
@@ -1,8 +1,15 @@
 import React from "react";
+{{#unless tailwind}}
+import styles from "./section.module.css";
+{{/unless}}
 
 const HeroSction = () => {
   return (
+{{#if tailwind}}
     <div className="w-full h-screen flex items-center justify-center">
+{{else}}
+    <div className={styles.section}>
+{{/if}}
       Hero Section
     </div>
   );
@@ -0,0 +1,76 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const path = require("path");
+
+const { makeTempDir, git, createBareRepository } = require("./helpers");
+const { silentLogger } = require("../src/utils/logger");
+const { scaffold } = require("../src");
+
+test("pushes the initial commit and develop to a bare remote", async (t) => {
+  const dirPath = await makeTempDir(t);
+  const barePath = createBareRepository(dirPath, { empty: true });
+
+  const result = await scaffold({
+    targetDir: path.join(dirPath, "my-app"),
+    template: "webapp",
+    options: {
+      install: false,
+      remote: barePath,
+      push: true,
+      develop: true,
+      branch: "trunk",
+      commitMessage: "Start my-app",
+    },
+  });
+
+  assert.equal(result.git.status, "success");
+  assert.deepEqual(result.git.remote.pushed, ["trunk", "develop"]);
+  assert.equal(
+    git(barePath, ["log", "-1", "--format=%s", "trunk"]),
+    "Start my-app"
+  );
+  assert.equal(
+    git(barePath, ["rev-parse", "trunk"]),
+    git(barePath, ["rev-parse", "develop"])
+  );
+  assert.equal(
+    git(path.join(dirPath, "my-app"), ["remote", "get-url", "origin"]),
+    barePath
+  );
+});
+
+test("warns instead of failing when the push is rejected", async (t) => {
+  const dirPath = await makeTempDir(t);
+  const missingRemote = path.join(dirPath, "missing.git");
+
+  const warnings = [];
+  const result = await scaffold({
+    targetDir: path.join(dirPath, "my-app"),
+    template: "webapp",
+    options: { install: false, remote: missingRemote, push: true },
+    logger: { ...silentLogger, warn: (message) => warnings.push(message) },
+  });
+
+  assert.equal(result.git.status, "success");
+  assert.deepEqual(result.git.remote.pushed, []);
+  assert.match(warnings.join("\n"), /push/i);
+  assert.equal(
+    git(path.join(dirPath, "my-app"), ["log", "-1", "--format=%s"]),
+    "Initial commit from create-titas-app"
+  );
+});
+
+test("warns when --push is given without --remote", async (t) => {
+  const dirPath = await makeTempDir(t);
+
+  const warnings = [];
+  const result = await scaffold({
+    targetDir: path.join(dirPath, "my-app"),
+    template: "webapp",
+    options: { install: false, push: true },
+    logger: { ...silentLogger, warn: (message) => warnings.push(message) },
+  });
+
+  assert.equal(result.git.remote, null);
+  assert.match(warnings.join("\n"), /--push needs --remote/);
+});
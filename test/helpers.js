@@ -0,0 +1,78 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Built-in template small enough to use as a fixture
+ */
+const FIXTURE_TEMPLATE = path.resolve(__dirname, "../templates/webapp");
+
+/**
+ * Identity for the commits made by the tests and by the code under test
+ */
+const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+Object.assign(process.env, GIT_IDENTITY);
+
+/**
+ * Create a temporary directory that is removed after the test
+ * @param {Object} t - Test context
+ * @returns {Promise<string>} - Directory path
+ */
+async function makeTempDir(t) {
+  const dirPath = await fs.mkdtemp(
+    path.join(os.tmpdir(), "create-titas-app-test-")
+  );
+  t.after(() => fs.remove(dirPath));
+  return dirPath;
+}
+
+/**
+ * Run git and return its trimmed output
+ * @param {string} cwd - Directory to run in
+ * @param {Array<string>} args - Arguments
+ * @returns {string}
+ */
+function git(cwd, args) {
+  return execFileSync("git", args, {
+    cwd,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+  }).trim();
+}
+
+/**
+ * Create a bare repository, optionally holding one commit with the fixture
+ * template in `subdir` on `branch`
+ * @param {string} dirPath - Directory to create the repositories in
+ * @param {Object} options - { branch, subdir, empty }
+ * @returns {string} - Path of the bare repository
+ */
+function createBareRepository(dirPath, options = {}) {
+  const { branch = "main", subdir = "", empty = false } = options;
+  const barePath = path.join(dirPath, "remote.git");
+  git(dirPath, ["init", "--bare", `--initial-branch=${branch}`, barePath]);
+  if (empty) {
+    return barePath;
+  }
+
+  const workPath = path.join(dirPath, "work");
+  git(dirPath, ["init", `--initial-branch=${branch}`, workPath]);
+  fs.copySync(FIXTURE_TEMPLATE, path.join(workPath, subdir));
+  git(workPath, ["add", "."]);
+  git(workPath, ["commit", "-m", "Add template"]);
+  git(workPath, ["push", barePath, branch]);
+  return barePath;
+}
+
+module.exports = {
+  FIXTURE_TEMPLATE,
+  makeTempDir,
+  git,
+  createBareRepository,
+};
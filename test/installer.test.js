@@ -0,0 +1,197 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const crypto = require("crypto");
+const http = require("http");
+const fs = require("fs-extra");
+const path = require("path");
+const tar = require("tar");
+
+const { makeTempDir } = require("./helpers");
+const {
+  getInstallArgs,
+  installDependencies,
+} = require("../src/utils/installer");
+const { silentLogger } = require("../src/utils/logger");
+
+/**
+ * Package the stand-in registry serves
+ */
+const PACKAGE = { name: "titas-fixture", version: "1.0.0" };
+
+/**
+ * Start a registry that serves one package, like a minimal verdaccio
+ * @param {Object} t - Test context
+ * @param {string} dirPath - Directory to build the tarball in
+ * @param {Object} options - { failures } requests to drop before answering
+ * @returns {Promise<Object>} - { url, requests }
+ */
+async function startRegistry(t, dirPath, options = {}) {
+  let { failures = 0 } = options;
+  const packagePath = path.join(dirPath, "package");
+  await fs.outputJson(path.join(packagePath, "package.json"), PACKAGE);
+  await fs.outputFile(
+    path.join(packagePath, "index.js"),
+    "module.exports = 1;\n"
+  );
+  const tarballPath = path.join(dirPath, "fixture.tgz");
+  await tar.c({ gzip: true, file: tarballPath, cwd: dirPath }, ["package"]);
+  const tarball = await fs.readFile(tarballPath);
+
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (failures > 0) {
+      failures--;
+      req.socket.destroy();
+      return;
+    }
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+    if (req.url === `/${PACKAGE.name}`) {
+      res.setHeader("content-type", "application/json");
+      res.end(
+        JSON.stringify({
+          name: PACKAGE.name,
+          "dist-tags": { latest: PACKAGE.version },
+          versions: {
+            [PACKAGE.version]: {
+              ...PACKAGE,
+              dist: {
+                tarball: `${url}/${PACKAGE.name}/-/${PACKAGE.name}-${PACKAGE.version}.tgz`,
+                shasum: crypto.createHash("sha1").update(tarball).digest("hex"),
+                integrity: `sha512-${crypto
+                  .createHash("sha512")
+                  .update(tarball)
+                  .digest("base64")}`,
+              },
+            },
+          },
+        })
+      );
+    } else if (req.url.endsWith(".tgz")) {
+      res.end(tarball);
+    } else {
+      res.statusCode = 404;
+      res.end("{}");
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/`, requests };
+}
+
+/**
+ * Create a project that depends on the fixture package, with an npm cache
+ * of its own
+ * @param {Object} t - Test context
+ * @returns {Promise<string>} - Project directory
+ */
+async function createProject(t) {
+  const dirPath = await makeTempDir(t);
+  const projectPath = path.join(dirPath, "project");
+  await fs.outputJson(path.join(projectPath, "package.json"), {
+    name: "project",
+    version: "0.0.0",
+    private: true,
+    dependencies: { [PACKAGE.name]: PACKAGE.version },
+  });
+  await fs.outputFile(
+    path.join(projectPath, ".npmrc"),
+    [
+      `cache=${path.join(dirPath, "cache")}`,
+      "audit=false",
+      "fund=false",
+      "update-notifier=false",
+      // Leave retrying to installDependencies
+      "fetch-retries=0",
+      "",
+    ].join("\n")
+  );
+  return projectPath;
+}
+
+test("getInstallArgs maps the install options per package manager", () => {
+  assert.deepEqual(
+    getInstallArgs("npm", { frozenLockfile: true, preferOffline: true }).args,
+    ["ci", "--prefer-offline"]
+  );
+  assert.deepEqual(
+    getInstallArgs("pnpm", { registry: "http://localhost:4873/" }).args,
+    ["install", "--registry=http://localhost:4873/"]
+  );
+
+  const berry = getInstallArgs(
+    "yarn",
+    { version: "4.5.0", frozenLockfile: true, registry: "http://r.test/" },
+    silentLogger
+  );
+  assert.deepEqual(berry.args, ["install", "--immutable"]);
+  assert.equal(berry.env.YARN_NPM_REGISTRY_SERVER, "http://r.test/");
+
+  assert.throws(
+    () => getInstallArgs("npm", { offline: true, preferOffline: true }),
+    /either --offline or --prefer-offline/
+  );
+});
+
+test("installs from the given registry, then offline from the cache", async (t) => {
+  const projectPath = await createProject(t);
+  const registry = await startRegistry(t, path.dirname(projectPath));
+
+  const lines = [];
+  const result = await installDependencies(projectPath, {
+    registry: registry.url,
+    onProgress: (line) => lines.push(line),
+    logger: silentLogger,
+  });
+  assert.equal(result.attempts, 1);
+  assert.ok(lines.some((line) => /added 1 package/.test(line)));
+  assert.ok(registry.requests.includes(`/${PACKAGE.name}`));
+  assert.ok(
+    await fs.pathExists(
+      path.join(projectPath, "node_modules", PACKAGE.name, "index.js")
+    )
+  );
+
+  // The lockfile now exists, so --frozen-lockfile installs with `npm ci`,
+  // and --offline must not reach the registry
+  await fs.remove(path.join(projectPath, "node_modules"));
+  const requestCount = registry.requests.length;
+  const offline = await installDependencies(projectPath, {
+    registry: registry.url,
+    offline: true,
+    frozenLockfile: true,
+    logger: silentLogger,
+  });
+  assert.match(offline.command, /^npm ci .*--offline/);
+  assert.equal(registry.requests.length, requestCount);
+});
+
+test("drops --frozen-lockfile with a warning when there is no lockfile", async (t) => {
+  const projectPath = await createProject(t);
+  const registry = await startRegistry(t, path.dirname(projectPath));
+
+  const warnings = [];
+  const result = await installDependencies(projectPath, {
+    registry: registry.url,
+    frozenLockfile: true,
+    logger: { ...silentLogger, warn: (message) => warnings.push(message) },
+  });
+  assert.match(result.command, /^npm install /);
+  assert.match(warnings.join("\n"), /No package-lock\.json/);
+});
+
+test("retries when the registry drops the connection", async (t) => {
+  const projectPath = await createProject(t);
+  const registry = await startRegistry(t, path.dirname(projectPath), {
+    failures: 1,
+  });
+
+  const result = await installDependencies(projectPath, {
+    registry: registry.url,
+    retryDelay: 10,
+    logger: silentLogger,
+  });
+  assert.equal(result.attempts, 2);
+});
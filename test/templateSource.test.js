@@ -0,0 +1,118 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const fs = require("fs-extra");
+const path = require("path");
+const tar = require("tar");
+
+const {
+  FIXTURE_TEMPLATE,
+  makeTempDir,
+  createBareRepository,
+} = require("./helpers");
+const {
+  parseTemplateSource,
+  fetchTemplate,
+} = require("../src/utils/templateSource");
+const { silentLogger } = require("../src/utils/logger");
+const { scaffold } = require("../src");
+
+test("parseTemplateSource tells the source types apart", () => {
+  const cwd = "/work";
+  assert.equal(parseTemplateSource("dashboard", cwd).type, "builtin");
+  assert.deepEqual(parseTemplateSource("github:org/repo#dev/tpl", cwd), {
+    type: "git",
+    source: "github:org/repo#dev/tpl",
+    url: "https://github.com/org/repo.git",
+    ref: "dev",
+    subdir: "tpl",
+  });
+  assert.equal(
+    parseTemplateSource("file:./foo.tgz", cwd).path,
+    "/work/foo.tgz"
+  );
+  assert.equal(parseTemplateSource("./local/path", cwd).type, "local");
+  assert.deepEqual(parseTemplateSource("npm:@scope/tpl@1.0.0#x", cwd), {
+    type: "npm",
+    source: "npm:@scope/tpl@1.0.0#x",
+    spec: "@scope/tpl@1.0.0",
+    subdir: "x",
+  });
+});
+
+test("fetches a template from a local folder", async (t) => {
+  const dirPath = await makeTempDir(t);
+  await fs.copy(FIXTURE_TEMPLATE, path.join(dirPath, "tpl"));
+
+  const template = await fetchTemplate("./tpl", {
+    cwd: dirPath,
+    logger: silentLogger,
+  });
+  assert.equal(template.name, "webapp");
+  assert.equal(template.path, path.join(dirPath, "tpl"));
+  assert.match(template.source.pin.hash, /^[0-9a-f]{64}$/);
+});
+
+test("fetches a template from a tarball", async (t) => {
+  const dirPath = await makeTempDir(t);
+  await fs.copy(FIXTURE_TEMPLATE, path.join(dirPath, "package"));
+  await tar.c(
+    { gzip: true, file: path.join(dirPath, "tpl.tgz"), cwd: dirPath },
+    ["package"]
+  );
+
+  const template = await fetchTemplate("file:./tpl.tgz", {
+    cwd: dirPath,
+    logger: silentLogger,
+  });
+  t.after(() => template.cleanup());
+  assert.equal(template.name, "webapp");
+  assert.ok(await fs.pathExists(path.join(template.path, "package.json")));
+});
+
+test("fetches a branch and sub-directory of a bare repository", async (t) => {
+  const dirPath = await makeTempDir(t);
+  const barePath = createBareRepository(dirPath, {
+    branch: "release",
+    subdir: "templates/app",
+  });
+
+  const template = await fetchTemplate(
+    `file://${barePath}#release/templates/app`,
+    { logger: silentLogger }
+  );
+  t.after(() => template.cleanup());
+  assert.equal(template.name, "webapp");
+  assert.match(template.source.pin.commit, /^[0-9a-f]{40}$/);
+  assert.ok(!(await fs.pathExists(path.join(template.path, ".git"))));
+});
+
+test("clones a bare repository given as a plain path", async (t) => {
+  const dirPath = await makeTempDir(t);
+  const barePath = createBareRepository(dirPath);
+
+  const template = await fetchTemplate(barePath, { logger: silentLogger });
+  t.after(() => template.cleanup());
+  assert.equal(template.source.type, "git");
+  assert.equal(template.name, "webapp");
+});
+
+test("scaffolds a project from a tarball template", async (t) => {
+  const dirPath = await makeTempDir(t);
+  await fs.copy(FIXTURE_TEMPLATE, path.join(dirPath, "package"));
+  await tar.c(
+    { gzip: true, file: path.join(dirPath, "tpl.tgz"), cwd: dirPath },
+    ["package"]
+  );
+
+  const targetDir = path.join(dirPath, "my-app");
+  const result = await scaffold({
+    targetDir,
+    template: "file:./tpl.tgz",
+    cwd: dirPath,
+    options: { install: false, git: false },
+  });
+  assert.equal(result.install.status, "skipped");
+  const packageJson = await fs.readJson(path.join(targetDir, "package.json"));
+  assert.equal(packageJson.name, "my-app");
+  assert.ok(await fs.pathExists(path.join(targetDir, ".titasrc.json")));
+});